@@ -3,18 +3,32 @@ import { useAppContext } from './context/AppContext';
 import { useWebSocket } from './hooks/useWebSocket';
 import { useWebRTC } from './hooks/useWebRTC';
 import { useUserName } from './hooks/useUserName';
-import { getRoomFromUrl } from './utils/helpers';
+import { getRoomFromUrl, getInviteFromUrl, saveReclaimInfo, getReclaimInfo, clearReclaimInfo } from './utils/helpers';
 import { waitForServerReady } from './utils/healthCheck';
+import { loadIceConfig } from './utils/iceConfig';
+import { resolveServerUrl } from './config';
+import { isRoomError, isPasswordError, isChatError, isTransferError, isSongRequestError } from './utils/protocol';
 
 import Header from './components/Header';
 import HomeScreen from './components/HomeScreen';
 import BroadcasterScreen from './components/BroadcasterScreen';
 import ListenerScreen from './components/ListenerScreen';
 import NameModal from './components/NameModal';
+import PasswordModal from './components/PasswordModal';
+import KickedScreen from './components/KickedScreen';
 import ChatBox from './components/ChatBox';
+import ExpiryBanner from './components/ExpiryBanner';
+import TransferBanner from './components/TransferBanner';
 import Sidebar from './components/Sidebar';
 import ServerStatus from './components/ServerStatus';
 
+// Shown to the broadcaster when a listener doesn't take over
+const TRANSFER_CANCELLED_TEXT = {
+  declined: 'The listener declined to take over the broadcast',
+  expired: "The listener didn't accept in time - the broadcast stays with you",
+  left: 'The listener left the room - the broadcast stays with you',
+};
+
 export default function App() {
   const {
     currentScreen,
@@ -22,6 +36,25 @@ export default function App() {
     setRoomCode,
     role,
     setRole,
+    setRoomAccess,
+    listenerId,
+    setListenerId,
+    setRoomExpiry,
+    setBroadcasterTransfer,
+    setDjQueue,
+    setKickInfo,
+    setIsChatMuted,
+    setChatPolicy,
+    setChatError,
+    addReactionBurst,
+    setReactionTally,
+    setNowPlaying,
+    addTrack,
+    loadTrackHistory,
+    setSongRequests,
+    applyPresence,
+    addDirectMessage,
+    resetState,
     setListenerCount,
     setListeners,
     setConnectionStatus,
@@ -34,13 +67,20 @@ export default function App() {
     pendingAction,
     modalContext,
     addMessage,
+    mergeMessages,
+    setHasMoreHistory,
   } = useAppContext();
 
   const { connect, send, registerHandler } = useWebSocket();
   const {
     createRoom,
+    reclaimRoom,
     joinRoom,
+    stepDownAsBroadcaster,
     handleNewListener,
+    renegotiateListeners,
+    closePeerConnection,
+    prepareForNewOffer,
     handleOffer,
     handleAnswer,
     handleIceCandidate,
@@ -54,6 +94,10 @@ export default function App() {
   const audioRef = useRef(null);
   const roomCodeInputRef = useRef('');
 
+  // Room code of the join in flight, so a password prompt knows what to retry
+  const pendingJoinRef = useRef(null);
+  const [passwordPrompt, setPasswordPrompt] = useState(null); // {roomCode, error}
+
   // Server availability state
   const [serverStatus, setServerStatus] = useState('checking'); // 'checking', 'ready', 'error'
   const [elapsedTime, setElapsedTime] = useState(0);
@@ -61,6 +105,16 @@ export default function App() {
   // Keep track of current role in a ref for handlers to access
   const roleRef = useRef(role);
 
+  // Our own listener ID, for handlers that need to recognise events about us
+  const listenerIdRef = useRef(listenerId);
+
+  useEffect(() => {
+    listenerIdRef.current = listenerId;
+  }, [listenerId]);
+
+  // Listener session (room + session ID) used to resume after a WebSocket reconnect
+  const sessionRef = useRef(null);
+
   // Update roleRef whenever role changes
   useEffect(() => {
     roleRef.current = role;
@@ -71,12 +125,91 @@ export default function App() {
     // Register WebSocket message handlers
     registerHandler('room-created', (data) => {
       setRoomCode(data.roomCode);
+      setRoomAccess({
+        passwordProtected: data.passwordProtected,
+        inviteOnly: data.inviteOnly,
+        inviteToken: data.inviteToken,
+        listing: data.listing,
+      });
+      setChatPolicy(data.chatPolicy);
+      setReactionTally(data.reactionTally);
+      loadTrackHistory(data.roomCode, []);
+      setCurrentScreen('broadcaster');
+      // Keep the reclaim token so this room survives a reload or network blip
+      if (data.reclaimToken) {
+        saveReclaimInfo(data.roomCode, data.reclaimToken);
+      }
+    });
+
+    registerHandler('room-reclaimed', async (data) => {
+      setRoomCode(data.roomCode);
+      setRoomAccess({
+        passwordProtected: data.passwordProtected,
+        inviteOnly: data.inviteOnly,
+        inviteToken: data.inviteToken,
+        listing: data.listing,
+      });
+      setChatPolicy(data.chatPolicy);
+      setReactionTally(data.reactionTally);
+      setNowPlaying(data.nowPlaying);
+      loadTrackHistory(data.roomCode, data.trackHistory);
       setCurrentScreen('broadcaster');
+      mergeMessages(data.chatHistory);
+      setHasMoreHistory(data.hasMoreChatHistory);
+      if (data.listeners) {
+        setListeners(data.listeners);
+        await renegotiateListeners(data.listeners);
+      }
+    });
+
+    registerHandler('session-resumed', (data) => {
+      sessionRef.current = { roomCode: data.roomCode, sessionId: data.sessionId };
+      setListenerId(data.listenerId);
+      // Catch up on chat sent while we were disconnected
+      mergeMessages(data.chatHistory);
+      setHasMoreHistory(data.hasMoreChatHistory);
+      setChatPolicy(data.chatPolicy);
+      setNowPlaying(data.nowPlaying);
+      loadTrackHistory(data.roomCode, data.trackHistory);
+      if (data.listeners) {
+        setListeners(data.listeners);
+        setListenerCount(data.listeners.length);
+      }
+      // The broadcaster will send a fresh offer for the new connection
+      prepareForNewOffer();
+    });
+
+    // Re-attach to our room after the WebSocket reconnects mid-session
+    registerHandler('open', () => {
+      const reclaimInfo = getReclaimInfo();
+      if (roleRef.current === 'broadcaster' && reclaimInfo && localStreamRef.current) {
+        send({
+          type: 'reclaim-room',
+          roomCode: reclaimInfo.roomCode,
+          reclaimToken: reclaimInfo.reclaimToken,
+        });
+      } else if (roleRef.current === 'listener' && sessionRef.current) {
+        send({
+          type: 'resume-session',
+          roomCode: sessionRef.current.roomCode,
+          sessionId: sessionRef.current.sessionId,
+        });
+      }
     });
 
     registerHandler('room-joined', (data) => {
+      pendingJoinRef.current = null;
+      if (data.sessionId) {
+        sessionRef.current = { roomCode: data.roomCode, sessionId: data.sessionId };
+      }
       setRoomCode(data.roomCode);
+      setListenerId(data.listenerId);
       setCurrentScreen('listener');
+      mergeMessages(data.chatHistory);
+      setHasMoreHistory(data.hasMoreChatHistory);
+      setChatPolicy(data.chatPolicy);
+      setNowPlaying(data.nowPlaying);
+      loadTrackHistory(data.roomCode, data.trackHistory);
       // Update listeners list if provided
       if (data.listeners) {
         setListeners(data.listeners);
@@ -107,6 +240,14 @@ export default function App() {
       await handleIceCandidate(data, roleRef.current);
     });
 
+    registerHandler('listener-resumed', async (data) => {
+      if (data.listeners) {
+        setListeners(data.listeners);
+        setListenerCount(data.listeners.length);
+      }
+      await handleNewListener(data.listenerId);
+    });
+
     registerHandler('broadcaster-left', () => {
       setConnectionStatus('disconnected');
     });
@@ -115,35 +256,249 @@ export default function App() {
       setConnectionStatus('disconnected');
     });
 
+    registerHandler('broadcaster-returned', (data) => {
+      if (data.listeners) {
+        setListeners(data.listeners);
+        setListenerCount(data.listeners.length);
+      }
+      prepareForNewOffer();
+    });
+
+    registerHandler('broadcaster-transfer-pending', (data) => {
+      setBroadcasterTransfer({ listenerId: data.listenerId, userName: data.userName, expiresAt: data.expiresAt });
+    });
+
+    registerHandler('broadcaster-transfer-requested', (data) => {
+      setBroadcasterTransfer({ fromName: data.fromName, expiresAt: data.expiresAt, fromDjQueue: data.fromDjQueue });
+    });
+
+    registerHandler('broadcaster-transfer-cancelled', (data) => {
+      setBroadcasterTransfer(null);
+      if (roleRef.current === 'broadcaster' && TRANSFER_CANCELLED_TEXT[data.reason]) {
+        alert(TRANSFER_CANCELLED_TEXT[data.reason]);
+      }
+    });
+
+    // We accepted the broadcaster role - stream to everyone who was listening with us
+    registerHandler('broadcaster-transferred', async (data) => {
+      closePeerConnection('broadcaster');
+      if (audioRef.current) {
+        audioRef.current.srcObject = null;
+      }
+      // Answers and ICE candidates from listeners arrive before the next render updates roleRef
+      roleRef.current = 'broadcaster';
+      sessionRef.current = null;
+      setRole('broadcaster');
+      setListenerId(null);
+      setIsChatMuted(false);
+      setBroadcasterTransfer(null);
+      setRoomAccess({
+        passwordProtected: data.passwordProtected,
+        inviteOnly: data.inviteOnly,
+        inviteToken: data.inviteToken,
+        listing: data.listing,
+      });
+      setChatPolicy(data.chatPolicy);
+      setReactionTally(data.reactionTally);
+      setNowPlaying(data.nowPlaying);
+      loadTrackHistory(data.roomCode, data.trackHistory);
+      saveReclaimInfo(data.roomCode, data.reclaimToken);
+      setCurrentScreen('broadcaster');
+      setListeners(data.listeners);
+      await renegotiateListeners(data.listeners);
+    });
+
+    // Someone else took over broadcasting - a fresh offer is on its way
+    registerHandler('broadcaster-changed', (data) => {
+      setListeners(data.listeners);
+      setListenerCount(data.listeners.length);
+      setNowPlaying(null); // Until the new DJ says what they're playing
+
+      // We handed the room over and stay on as a listener
+      if (data.sessionId) {
+        stepDownAsBroadcaster();
+        roleRef.current = 'listener';
+        sessionRef.current = { roomCode: data.roomCode, sessionId: data.sessionId };
+        setListenerId(data.listenerId);
+        setBroadcasterTransfer(null);
+        setReactionTally(null);
+        setCurrentScreen('listener');
+        prepareForNewOffer();
+      }
+      // Other listeners keep playing the old source until the new broadcaster's offer replaces it
+    });
+
+    registerHandler('dj-queue-updated', (data) => {
+      setDjQueue({ queue: data.queue, upNext: data.upNext, slotEndsAt: data.slotEndsAt, canSkip: data.canSkip });
+    });
+
     registerHandler('listener-left', (data) => {
       // Update listeners list from server
       if (data.listeners) {
         setListeners(data.listeners);
         setListenerCount(data.listeners.length);
       }
+      // Stop streaming to whoever left (or was kicked)
+      if (roleRef.current === 'broadcaster') {
+        closePeerConnection(data.listenerId);
+      }
+    });
+
+    registerHandler('kicked', (data) => {
+      // The server closes our socket - don't try to resume this session
+      sessionRef.current = null;
+      closePeerConnection('broadcaster');
+      resetState();
+      setKickInfo({ banned: data.banned, reason: data.reason });
+      setCurrentScreen('kicked');
+    });
+
+    registerHandler('room-expiring', (data) => {
+      setRoomExpiry({ reason: data.reason, expiresAt: data.expiresAt });
+    });
+
+    registerHandler('room-expiry-cancelled', () => {
+      setRoomExpiry(null);
+    });
+
+    registerHandler('room-closed', (data) => {
+      // The server deleted the room and closes our socket - nothing to reclaim or resume
+      sessionRef.current = null;
+      if (roleRef.current === 'broadcaster') {
+        stopBroadcast();
+      } else {
+        leaveRoom(audioRef);
+      }
+      alert(data.reason ? `The room was closed: ${data.reason}` : 'The room was closed');
+    });
+
+    registerHandler('chat-mute-updated', (data) => {
+      setListeners(data.listeners);
+      if (data.listenerId === listenerIdRef.current) {
+        setIsChatMuted(data.muted);
+      }
+    });
+
+    registerHandler('chat-policy-updated', (data) => {
+      setChatPolicy(data.chatPolicy);
+    });
+
+    registerHandler('room-listing-updated', (data) => {
+      setRoomAccess(prev => ({ ...prev, listing: data.listing }));
+    });
+
+    registerHandler('presence', (data) => {
+      applyPresence(data);
+    });
+
+    registerHandler('reaction-burst', (data) => {
+      addReactionBurst(data.reactions);
+    });
+
+    registerHandler('now-playing', (data) => {
+      addTrack(data.track);
+    });
+
+    registerHandler('song-requests-updated', (data) => {
+      setSongRequests(data.requests);
+    });
+
+    registerHandler('reaction-tally', (data) => {
+      setReactionTally({ current: data.current, tracks: data.tracks });
     });
 
     registerHandler('chat-message', (data) => {
       addMessage({
+        id: data.id,
         senderId: data.senderId,
         senderName: data.senderName,
         message: data.message,
         timestamp: data.timestamp,
+        system: data.system,
+      });
+    });
+
+    registerHandler('direct-message', (data) => {
+      const ownId = roleRef.current === 'broadcaster' ? 'broadcaster' : listenerIdRef.current;
+      const isOwn = data.senderId === ownId;
+      // Our own messages come back too - they belong in the recipient's thread
+      addDirectMessage(isOwn ? data.recipientId : data.senderId, isOwn ? null : data.senderName, {
+        senderName: data.senderName,
+        message: data.message,
+        timestamp: data.timestamp,
+        isOwn,
       });
     });
 
+    registerHandler('chat-history', (data) => {
+      mergeMessages(data.messages);
+      setHasMoreHistory(data.hasMore);
+    });
+
     registerHandler('error', (data) => {
-      console.error('[App] Handler: error', data);
+      console.error(`[App] Handler: error ${data.code}`, data);
+
+      // Protected room - ask for the password and retry the join
+      if (isPasswordError(data) && pendingJoinRef.current) {
+        setPasswordPrompt({
+          roomCode: pendingJoinRef.current,
+          error: data.code === 'invalid_password' ? data.message : null,
+        });
+        return;
+      }
+
+      // A hand-off fell through - drop any audio we captured to take over
+      if (isTransferError(data)) {
+        if (roleRef.current === 'listener' && localStreamRef.current) {
+          localStreamRef.current.getTracks().forEach((track) => track.stop());
+          localStreamRef.current = null;
+        }
+        setBroadcasterTransfer(null);
+        alert(data.message);
+        return;
+      }
+
+      // A song request, vote or update raced with the queue changing, or hit a limit
+      if (isSongRequestError(data)) {
+        alert(data.message);
+        return;
+      }
+
+      // Our chat message was refused - ChatBox shows why
+      if (isChatError(data)) {
+        setChatError({ code: data.code, message: data.message, retryAfter: data.retryAfter });
+        return;
+      }
+
+      // Throttled by the server - nothing was changed, the user can simply retry later
+      if (data.code === 'rate_limited' || data.code === 'message_too_large') {
+        alert(data.retryAfter ? `${data.message} (try again in ${data.retryAfter}s)` : data.message);
+        return;
+      }
+
+      // Protocol and signaling errors are recoverable - stay in the room
+      if (!isRoomError(data)) {
+        return;
+      }
+
+      // A failed join, reclaim or resume means the saved room/session is gone for good
+      if (roleRef.current === 'broadcaster') {
+        clearReclaimInfo();
+      }
+      sessionRef.current = null;
       alert(data.message);
       setCurrentScreen('home');
     });
-  }, [registerHandler, handleNewListener, handleOffer, handleAnswer, handleIceCandidate, addMessage]);
+  }, [registerHandler, send, handleNewListener, renegotiateListeners, closePeerConnection, prepareForNewOffer, handleOffer, handleAnswer, handleIceCandidate, addMessage, mergeMessages, addReactionBurst, applyPresence, addDirectMessage, addTrack, loadTrackHistory, stepDownAsBroadcaster, stopBroadcast, leaveRoom]);
 
   // Check server health and initialize WebSocket connection once on mount
   const initializeConnection = useCallback(async () => {
     try {
       setServerStatus('checking');
 
+      // Pick the server from env, config.json, saved settings or ?server=
+      await resolveServerUrl();
+
       // Wait for server to be ready
       await waitForServerReady((elapsed) => {
         setElapsedTime(elapsed);
@@ -151,6 +506,9 @@ export default function App() {
 
       setServerStatus('ready');
 
+      // Fetch STUN/TURN servers in the background (defaults are used until it loads)
+      loadIceConfig();
+
       // Connect to WebSocket
       connect();
 
@@ -159,8 +517,10 @@ export default function App() {
       if (urlRoomCode) {
         roomCodeInputRef.current = urlRoomCode;
         // Show join modal
+        const inviteToken = getInviteFromUrl();
         openNameModal('join', (context) => {
-          joinRoom(urlRoomCode);
+          pendingJoinRef.current = urlRoomCode;
+          joinRoom(urlRoomCode, { inviteToken });
         });
       }
     } catch (error) {
@@ -178,20 +538,48 @@ export default function App() {
     initializeConnection();
   }, [initializeConnection]);
 
-  // Handle create room
-  const handleCreateRoom = useCallback(async () => {
+  // Handle create room (options: optional password and inviteOnly flag)
+  const handleCreateRoom = useCallback(async (options) => {
     try {
-      await createRoom();
-    } catch (error) {
+      await createRoom(options);
+    } catch {
       // Error already handled in createRoom
     }
   }, [createRoom]);
 
+  // Handle reclaim room
+  const handleReclaimRoom = useCallback(async () => {
+    const reclaimInfo = getReclaimInfo();
+    if (!reclaimInfo) return;
+
+    try {
+      await reclaimRoom(reclaimInfo.roomCode, reclaimInfo.reclaimToken);
+    } catch {
+      // Error already handled in reclaimRoom
+    }
+  }, [reclaimRoom]);
+
   // Handle join room
   const handleJoinRoom = useCallback((code) => {
+    pendingJoinRef.current = code;
     joinRoom(code);
   }, [joinRoom]);
 
+  // Handle password prompt submit
+  const handleSubmitPassword = useCallback((password) => {
+    const code = passwordPrompt.roomCode;
+    setPasswordPrompt(null);
+    joinRoom(code, { password });
+  }, [passwordPrompt, joinRoom]);
+
+  // Handle password prompt cancel
+  const handleCancelPassword = useCallback(() => {
+    setPasswordPrompt(null);
+    pendingJoinRef.current = null;
+    setRole(null);
+    setRoomCode(null);
+  }, [setRole, setRoomCode]);
+
   // Handle stop broadcast
   const handleStopBroadcast = useCallback(() => {
     stopBroadcast();
@@ -213,6 +601,7 @@ export default function App() {
 
   // Handle leave room
   const handleLeaveRoom = useCallback(() => {
+    sessionRef.current = null;
     leaveRoom(audioRef);
   }, [leaveRoom]);
 
@@ -241,9 +630,14 @@ export default function App() {
         <main className="flex-1 flex justify-center items-center px-8">
           <HomeScreen
             onCreateRoom={handleCreateRoom}
+            onReclaimRoom={handleReclaimRoom}
             onJoinRoom={handleJoinRoom}
           />
         </main>
+      ) : currentScreen === 'kicked' ? (
+        <main className="flex-1 flex justify-center items-center px-8">
+          <KickedScreen />
+        </main>
       ) : (
         <main className="flex-1 grid grid-cols-1 md:grid-cols-[320px_1fr_320px] gap-6 px-8 pb-8 overflow-hidden">
           {/* Left Sidebar - Desktop Only */}
@@ -253,6 +647,9 @@ export default function App() {
 
           {/* Middle Content */}
           <div className="overflow-auto custom-scrollbar">
+            <ExpiryBanner />
+            <TransferBanner />
+
             {currentScreen === 'broadcaster' && (
               <BroadcasterScreen
                 onStop={handleStopBroadcast}
@@ -282,6 +679,15 @@ export default function App() {
       )}
 
       <NameModal onSave={handleSaveName} />
+
+      {passwordPrompt && (
+        <PasswordModal
+          roomCode={passwordPrompt.roomCode}
+          error={passwordPrompt.error}
+          onSubmit={handleSubmitPassword}
+          onCancel={handleCancelPassword}
+        />
+      )}
     </div>
   );
 }
@@ -4,20 +4,27 @@ import { useAudioVisualizer } from '../hooks/useAudioVisualizer';
 import { generateShareUrl, copyToClipboard } from '../utils/helpers';
 import StatusBadge from './StatusBadge';
 import AudioVisualizer from './AudioVisualizer';
+import ReactionOverlay from './ReactionOverlay';
+import ReactionBar from './ReactionBar';
+import ReactionTally from './ReactionTally';
+import NowPlayingEditor from './NowPlayingEditor';
+import SongRequests from './SongRequests';
+import RoomListingModal from './RoomListingModal';
 
 export default function BroadcasterScreen({ onStop, onPause, onChangeSource }) {
-    const { roomCode, isPaused, localStreamRef } = useAppContext();
+    const { roomCode, roomAccess, isPaused, localStreamRef, captureLabel } = useAppContext();
     const [shareUrl, setShareUrl] = useState('');
     const [copied, setCopied] = useState(false);
     const [stream, setStream] = useState(null);
+    const [showListing, setShowListing] = useState(false);
 
     const bars = useAudioVisualizer(stream);
 
     useEffect(() => {
         if (roomCode) {
-            setShareUrl(generateShareUrl(roomCode));
+            setShareUrl(generateShareUrl(roomCode, roomAccess?.inviteToken));
         }
-    }, [roomCode]);
+    }, [roomCode, roomAccess]);
 
     useEffect(() => {
         setStream(localStreamRef.current);
@@ -41,9 +48,26 @@ export default function BroadcasterScreen({ onStop, onPause, onChangeSource }) {
 
             {/* Room Code - Compact */}
             <div className="bg-white/5 border border-white/10 rounded-xl p-4 mb-4">
-                <p className="text-xs uppercase tracking-widest text-white/60 mb-2">
-                    Room Code
-                </p>
+                <div className="flex items-center justify-between mb-2">
+                    <p className="text-xs uppercase tracking-widest text-white/60">
+                        Room Code
+                    </p>
+                    {roomAccess?.inviteOnly && (
+                        <span className="text-[10px] uppercase tracking-wider text-amber-300">✉️ Invite only</span>
+                    )}
+                    {roomAccess?.passwordProtected && (
+                        <span className="text-[10px] uppercase tracking-wider text-amber-300">🔒 Password</span>
+                    )}
+                    {!roomAccess?.inviteOnly && (
+                        <button
+                            onClick={() => setShowListing(true)}
+                            className="text-[10px] uppercase tracking-wider text-white/60 hover:text-white transition-colors"
+                            title={roomAccess?.listing ? 'Edit the public listing' : 'List this room under "Live now" on the home page'}
+                        >
+                            {roomAccess?.listing ? '🌐 Public' : '🌐 List publicly'}
+                        </button>
+                    )}
+                </div>
                 <div className="text-3xl font-bold tracking-[0.2em] text-white room-code-text mb-3">
                     {roomCode || '------'}
                 </div>
@@ -65,11 +89,21 @@ export default function BroadcasterScreen({ onStop, onPause, onChangeSource }) {
                 </div>
             </div>
 
-            {/* Audio Visualizer - Compact */}
+            {/* Audio Visualizer - Compact, with listeners' reactions floating over it */}
             <div className="mb-4">
-                <AudioVisualizer bars={bars} />
+                <div className="relative">
+                    <AudioVisualizer bars={bars} />
+                    <ReactionOverlay />
+                </div>
+                <ReactionBar />
             </div>
 
+            <NowPlayingEditor key={captureLabel} />
+
+            <ReactionTally />
+
+            <SongRequests />
+
             {/* Control Buttons - 3 Column Grid */}
             <div className="grid grid-cols-3 gap-2 mt-auto">
                 <button
@@ -105,6 +139,8 @@ export default function BroadcasterScreen({ onStop, onPause, onChangeSource }) {
                     </span>
                 </button>
             </div>
+
+            {showListing && <RoomListingModal onClose={() => setShowListing(false)} />}
         </div>
     );
 }
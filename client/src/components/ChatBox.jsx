@@ -1,20 +1,92 @@
 import { useState, useRef, useEffect } from 'react';
 import { useAppContext } from '../context/AppContext';
 import { useChat } from '../hooks/useChat';
+import { usePresence } from '../hooks/usePresence';
+import ChatSettingsModal from './ChatSettingsModal';
+
+/**
+ * Describe who is typing, e.g. "Alice and Bob are typing..."
+ * @param {string[]} names - Names of the people typing
+ * @returns {string} - Typing indicator text
+ */
+function describeTyping(names) {
+    if (names.length === 1) return `${names[0]} is typing...`;
+    if (names.length === 2) return `${names[0]} and ${names[1]} are typing...`;
+    return 'Several people are typing...';
+}
+
+/**
+ * Format a timestamp as HH:MM
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} - Formatted time
+ */
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    const hours = date.getHours().toString().padStart(2, '0');
+    const minutes = date.getMinutes().toString().padStart(2, '0');
+    return `${hours}:${minutes}`;
+}
+
+/**
+ * A single chat message, ours on the right and everyone else's on the left
+ */
+function MessageBubble({ msg, isOwnMessage }) {
+    return (
+        <div className={`flex flex-col ${isOwnMessage ? 'items-end' : 'items-start'}`}>
+            <div className="flex items-baseline gap-2 mb-1">
+                {!isOwnMessage && (
+                    <span className="text-xs font-medium gradient-text">
+                        {msg.senderName}
+                    </span>
+                )}
+                <span className="text-xs text-gray-400">
+                    {formatTime(msg.timestamp)}
+                </span>
+                {isOwnMessage && (
+                    <span className="text-xs font-medium text-gray-300">
+                        You
+                    </span>
+                )}
+            </div>
+            <div
+                className={`
+                    max-w-[80%] px-4 py-2 rounded-2xl break-words
+                    ${isOwnMessage
+                        ? 'gradient-primary text-white rounded-br-sm'
+                        : 'bg-white/10 text-gray-100 rounded-bl-sm'
+                    }
+                `}
+            >
+                {msg.message}
+            </div>
+        </div>
+    );
+}
 
 export default function ChatBox() {
-    const { messages, unreadCount, isChatOpen, toggleChat, userName, currentScreen } = useAppContext();
-    const { sendMessage } = useChat();
+    const { messages, hasMoreHistory, unreadCount, isChatOpen, toggleChat, userName, currentScreen, isChatMuted, role, chatPolicy, chatError, setChatError, typingUsers, directThreads, activeThread, openThread } = useAppContext();
+    const { sendMessage, sendDirectMessage, loadOlderMessages } = useChat();
+    const { notifyTyping, stopTyping } = usePresence();
+    const typingNames = Object.values(typingUsers);
+    const threadIds = Object.keys(directThreads);
+    const thread = activeThread ? directThreads[activeThread] : null;
+    const directUnread = threadIds.reduce((total, id) => total + directThreads[id].unread, 0);
+    const totalUnread = unreadCount + directUnread;
+    // Muted listeners can still message the broadcaster privately
+    const inputDisabled = isChatMuted && activeThread !== 'broadcaster';
     const [inputValue, setInputValue] = useState('');
+    const [showSettings, setShowSettings] = useState(false);
     const messagesEndRef = useRef(null);
     const inputRef = useRef(null);
 
-    // Auto-scroll to bottom when new messages arrive
+    // Auto-scroll to bottom when new messages arrive (not when older history is paged in)
+    const visibleMessages = thread ? thread.messages : messages;
+    const newestMessage = visibleMessages[visibleMessages.length - 1];
     useEffect(() => {
         if (messagesEndRef.current && isChatOpen) {
             messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
         }
-    }, [messages, isChatOpen]);
+    }, [newestMessage, isChatOpen]);
 
     // Focus input when chat opens
     useEffect(() => {
@@ -25,7 +97,12 @@ export default function ChatBox() {
 
     const handleSend = () => {
         if (inputValue.trim()) {
-            sendMessage(inputValue);
+            if (activeThread) {
+                sendDirectMessage(activeThread, inputValue);
+            } else {
+                sendMessage(inputValue);
+                stopTyping();
+            }
             setInputValue('');
         }
     };
@@ -37,13 +114,6 @@ export default function ChatBox() {
         }
     };
 
-    const formatTime = (timestamp) => {
-        const date = new Date(timestamp);
-        const hours = date.getHours().toString().padStart(2, '0');
-        const minutes = date.getMinutes().toString().padStart(2, '0');
-        return `${hours}:${minutes}`;
-    };
-
     return (
         <>
             {/* Chat Toggle Button - Mobile Only (hidden on desktop in 3-column view) */}
@@ -66,9 +136,9 @@ export default function ChatBox() {
                             d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"
                         />
                     </svg>
-                    {unreadCount > 0 && (
+                    {totalUnread > 0 && (
                         <span className="absolute -top-1 -right-1 w-6 h-6 bg-red-500 rounded-full flex items-center justify-center text-xs font-bold animate-pulse-status">
-                            {unreadCount > 9 ? '9+' : unreadCount}
+                            {totalUnread > 9 ? '9+' : totalUnread}
                         </span>
                     )}
                 </button>
@@ -83,7 +153,24 @@ export default function ChatBox() {
             >
                 {/* Chat Header */}
                 <div className="gradient-primary p-4 flex items-center justify-between">
-                    <h3 className="text-lg font-semibold text-white">Chat</h3>
+                    <div className="flex items-center gap-2">
+                        <h3 className="text-lg font-semibold text-white">Chat</h3>
+                        {chatPolicy?.slowModeSeconds > 0 && (
+                            <span className="text-xs text-white/80 bg-white/20 rounded-full px-2 py-0.5">
+                                🐢 Slow mode: {chatPolicy.slowModeSeconds}s
+                            </span>
+                        )}
+                    </div>
+                    {role === 'broadcaster' && (
+                        <button
+                            onClick={() => setShowSettings(true)}
+                            className="ml-auto mr-2 md:mr-0 text-white hover:bg-white/20 rounded-lg px-2 py-1 transition-colors"
+                            aria-label="Chat settings"
+                            title="Chat settings"
+                        >
+                            ⚙️
+                        </button>
+                    )}
                     <button
                         onClick={toggleChat}
                         className="md:hidden text-white hover:bg-white/20 rounded-lg p-1 transition-colors"
@@ -105,69 +192,124 @@ export default function ChatBox() {
                     </button>
                 </div>
 
+                {/* Conversation Switcher - room chat plus one tab per DM thread */}
+                {threadIds.length > 0 && (
+                    <div className="flex gap-2 px-4 py-2 border-b border-white/10 overflow-x-auto custom-scrollbar">
+                        {[null, ...threadIds].map((id) => {
+                            const isActive = activeThread === id;
+                            const unread = id ? directThreads[id].unread : 0;
+                            return (
+                                <button
+                                    key={id || 'room'}
+                                    onClick={() => openThread(id)}
+                                    className={`flex items-center gap-1 px-3 py-1 rounded-full text-xs whitespace-nowrap transition-colors ${isActive
+                                        ? 'bg-white/20 text-white'
+                                        : 'bg-white/5 text-gray-400 hover:text-white'
+                                        }`}
+                                >
+                                    {id ? `✉️ ${directThreads[id].name || 'Unknown'}` : '# Room'}
+                                    {unread > 0 && (
+                                        <span className="min-w-4 h-4 px-1 bg-red-500 rounded-full text-[10px] font-bold text-white flex items-center justify-center">
+                                            {unread > 9 ? '9+' : unread}
+                                        </span>
+                                    )}
+                                </button>
+                            );
+                        })}
+                    </div>
+                )}
+
                 {/* Messages Area */}
                 <div className="flex-1 overflow-y-auto p-4 space-y-3 custom-scrollbar min-h-0">
-                    {messages.length === 0 ? (
+                    {thread ? (
+                        thread.messages.length === 0 ? (
+                            <div className="h-full flex items-center justify-center text-gray-400 text-sm text-center px-4">
+                                Only {thread.name || 'they'} will see messages sent here.
+                            </div>
+                        ) : (
+                            thread.messages.map((msg) => (
+                                <MessageBubble key={msg.id} msg={msg} isOwnMessage={msg.isOwn} />
+                            ))
+                        )
+                    ) : messages.length === 0 ? (
                         <div className="h-full flex items-center justify-center text-gray-400 text-sm text-center px-4">
                             No messages yet. Start the conversation!
                         </div>
                     ) : (
-                        messages.map((msg, index) => {
-                            const isOwnMessage = msg.senderName === userName;
-                            return (
-                                <div
-                                    key={index}
-                                    className={`flex flex-col ${isOwnMessage ? 'items-end' : 'items-start'}`}
-                                >
-                                    <div className="flex items-baseline gap-2 mb-1">
-                                        {!isOwnMessage && (
-                                            <span className="text-xs font-medium gradient-text">
-                                                {msg.senderName}
-                                            </span>
-                                        )}
-                                        <span className="text-xs text-gray-400">
-                                            {formatTime(msg.timestamp)}
-                                        </span>
-                                        {isOwnMessage && (
-                                            <span className="text-xs font-medium text-gray-300">
-                                                You
-                                            </span>
-                                        )}
-                                    </div>
-                                    <div
-                                        className={`
-                                            max-w-[80%] px-4 py-2 rounded-2xl break-words
-                                            ${isOwnMessage
-                                                ? 'gradient-primary text-white rounded-br-sm'
-                                                : 'bg-white/10 text-gray-100 rounded-bl-sm'
-                                            }
-                                        `}
+                        <>
+                            {hasMoreHistory && (
+                                <div className="flex justify-center">
+                                    <button
+                                        onClick={() => loadOlderMessages(messages[0].id)}
+                                        className="text-xs text-gray-400 hover:text-white transition-colors"
                                     >
-                                        {msg.message}
-                                    </div>
+                                        Load earlier messages
+                                    </button>
                                 </div>
-                            );
-                        })
+                            )}
+                            {messages.map((msg) => {
+                                if (msg.system) {
+                                    return (
+                                        <div key={msg.id} className="flex justify-center">
+                                            <div className="max-w-[90%] px-4 py-2 rounded-lg bg-yellow-500/10 border border-yellow-500/30 text-yellow-100 text-sm text-center break-words">
+                                                <span className="font-semibold">📢 {msg.senderName}</span>
+                                                <span className="text-xs text-gray-400 ml-2">{formatTime(msg.timestamp)}</span>
+                                                <p className="mt-1">{msg.message}</p>
+                                            </div>
+                                        </div>
+                                    );
+                                }
+
+                                return <MessageBubble key={msg.id} msg={msg} isOwnMessage={msg.senderName === userName} />;
+                            })}
+                        </>
                     )}
                     <div ref={messagesEndRef} />
                 </div>
 
+                {/* Typing Indicator */}
+                {!thread && typingNames.length > 0 && (
+                    <div className="px-4 pb-1 text-xs text-gray-400 italic animate-fade-in">
+                        {describeTyping(typingNames)}
+                    </div>
+                )}
+
                 {/* Input Area */}
                 <div className="p-4 border-t border-white/10">
+                    {chatError && (
+                        <p className="mb-2 text-xs text-red-300" role="alert">
+                            {chatError.message}
+                            {chatError.retryAfter ? ` (try again in ${chatError.retryAfter}s)` : ''}
+                        </p>
+                    )}
                     <div className="flex gap-2">
                         <input
                             ref={inputRef}
                             type="text"
                             value={inputValue}
-                            onChange={(e) => setInputValue(e.target.value)}
+                            onChange={(e) => {
+                                setInputValue(e.target.value);
+                                setChatError(null);
+                                if (activeThread) {
+                                    return; // Typing indicators are only shown in the room chat
+                                }
+                                if (e.target.value) {
+                                    notifyTyping();
+                                } else {
+                                    stopTyping();
+                                }
+                            }}
                             onKeyPress={handleKeyPress}
-                            placeholder="Type a message..."
-                            className="flex-1 bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white placeholder-gray-400 focus:outline-none focus:border-primary focus:ring-1 focus:ring-primary transition-all"
-                            maxLength={500}
+                            placeholder={inputDisabled
+                                ? "You've been muted by the broadcaster"
+                                : thread ? `Message ${thread.name || 'them'} privately...` : "Type a message..."}
+                            disabled={inputDisabled}
+                            className="flex-1 bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white placeholder-gray-400 focus:outline-none focus:border-primary focus:ring-1 focus:ring-primary transition-all disabled:opacity-50"
+                            maxLength={chatPolicy?.maxLength || 500}
                         />
                         <button
                             onClick={handleSend}
-                            disabled={!inputValue.trim()}
+                            disabled={inputDisabled || !inputValue.trim()}
                             className="gradient-primary px-4 py-2 rounded-lg text-white font-medium hover:shadow-glow transition-all disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:shadow-none"
                         >
                             <svg
@@ -187,6 +329,8 @@ export default function ChatBox() {
                     </div>
                 </div>
             </div>
+
+            {showSettings && <ChatSettingsModal onClose={() => setShowSettings(false)} />}
         </>
     );
 }
@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { useModeration } from '../hooks/useModeration';
+
+const SLOW_MODE_OPTIONS = [0, 5, 10, 30, 60, 120, 300];
+
+export default function ChatSettingsModal({ onClose }) {
+    const { chatPolicy } = useAppContext();
+    const { updateChatPolicy } = useModeration();
+    const [maxLength, setMaxLength] = useState(chatPolicy?.maxLength ?? 500);
+    const [slowModeSeconds, setSlowModeSeconds] = useState(chatPolicy?.slowModeSeconds ?? 0);
+    const [blockedWords, setBlockedWords] = useState((chatPolicy?.blockedWords || []).join(', '));
+    const [blockedWordAction, setBlockedWordAction] = useState(chatPolicy?.blockedWordAction || 'mask');
+    const [blockLinks, setBlockLinks] = useState(!!chatPolicy?.blockLinks);
+
+    const handleSave = () => {
+        const length = Number(maxLength);
+        if (!Number.isInteger(length) || length < 1 || length > 500) {
+            alert('Message length must be between 1 and 500 characters');
+            return;
+        }
+
+        // The server confirms with chat-policy-updated, which updates everyone's chat box
+        updateChatPolicy({
+            maxLength: length,
+            slowModeSeconds: Number(slowModeSeconds),
+            blockedWords: blockedWords.split(',').map(word => word.trim()).filter(Boolean),
+            blockedWordAction: blockedWordAction,
+            blockLinks: blockLinks,
+        });
+        onClose();
+    };
+
+    const inputClassName = "w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white text-base outline-none transition-all focus:border-purple-500/50 focus:bg-white/[0.08] placeholder:text-white/30";
+
+    return (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-lg flex items-center justify-center z-50 animate-fade-in">
+            <div className="glass-card rounded-2xl p-8 max-w-md w-[90%] animate-slide-up text-white">
+                <h2 className="mb-2 text-center text-2xl font-semibold">
+                    💬 Chat Settings
+                </h2>
+                <p className="mb-6 text-center text-sm text-white/60">
+                    Rules for everyone's messages. Slow mode and link blocking don't apply to you.
+                </p>
+
+                <label className="block mb-2 text-sm text-white/70">
+                    Maximum message length
+                </label>
+                <input
+                    type="number"
+                    min={1}
+                    max={500}
+                    value={maxLength}
+                    onChange={(e) => setMaxLength(e.target.value)}
+                    className={`${inputClassName} mb-4`}
+                />
+
+                <label className="block mb-2 text-sm text-white/70">
+                    Slow mode
+                </label>
+                <select
+                    value={slowModeSeconds}
+                    onChange={(e) => setSlowModeSeconds(e.target.value)}
+                    className={`${inputClassName} mb-4`}
+                >
+                    {SLOW_MODE_OPTIONS.map(seconds => (
+                        <option key={seconds} value={seconds} className="bg-gray-900">
+                            {seconds === 0 ? 'Off' : `One message every ${seconds}s`}
+                        </option>
+                    ))}
+                </select>
+
+                <label className="block mb-2 text-sm text-white/70">
+                    Blocked words
+                </label>
+                <input
+                    type="text"
+                    value={blockedWords}
+                    onChange={(e) => setBlockedWords(e.target.value)}
+                    placeholder="Comma-separated, e.g. spoiler, darn"
+                    autoComplete="off"
+                    className={`${inputClassName} mb-2`}
+                />
+                <div className="flex gap-4 mb-4 text-sm text-white/70">
+                    <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                            type="radio"
+                            checked={blockedWordAction === 'mask'}
+                            onChange={() => setBlockedWordAction('mask')}
+                        />
+                        Mask with ***
+                    </label>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                            type="radio"
+                            checked={blockedWordAction === 'reject'}
+                            onChange={() => setBlockedWordAction('reject')}
+                        />
+                        Reject message
+                    </label>
+                </div>
+
+                <label className="flex items-center gap-2 mb-6 text-sm text-white/70 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={blockLinks}
+                        onChange={(e) => setBlockLinks(e.target.checked)}
+                    />
+                    Block links
+                </label>
+
+                <div className="flex gap-4">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-4 px-8 border border-white/20 rounded-lg text-base font-semibold cursor-pointer transition-all uppercase tracking-wider bg-white/10 text-white hover:bg-white/15 hover:border-white/30"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        className="flex-1 py-4 px-8 border-none rounded-lg text-base font-semibold cursor-pointer transition-all uppercase tracking-wider gradient-primary text-white shadow-[0_4px_15px_rgba(102,126,234,0.4)] hover:-translate-y-0.5 hover:shadow-[0_6px_20px_rgba(102,126,234,0.6)] btn-ripple relative overflow-hidden"
+                    >
+                        <span className="relative z-10">Save</span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
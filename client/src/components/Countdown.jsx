@@ -0,0 +1,27 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Format a countdown as m:ss
+ * @param {number} ms - Milliseconds left
+ * @returns {string} - Formatted time
+ */
+function formatTimeLeft(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Live m:ss countdown to a timestamp
+ */
+export default function Countdown({ until }) {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    return <span className="font-bold tabular-nums">{formatTimeLeft(until - now)}</span>;
+}
@@ -0,0 +1,94 @@
+import { useAppContext } from '../context/AppContext';
+import { useDjQueue } from '../hooks/useDjQueue';
+import Countdown from './Countdown';
+
+const MAX_SLOT_MINUTES = 120; // Matches dj-queue-join in shared/protocol.json
+
+// Who is broadcasting next, with sign-up and skip controls
+export default function DjQueue() {
+    const { djQueue, role, listenerId } = useAppContext();
+    const { joinQueue, leaveQueue, skipToNext } = useDjQueue();
+
+    if (!djQueue) {
+        return null;
+    }
+
+    const { queue, upNext, slotEndsAt, canSkip } = djQueue;
+    const isQueued = queue.some((entry) => entry.id === listenerId);
+    const isUpNext = upNext?.id === listenerId;
+
+    const handleJoin = () => {
+        const answer = prompt(`How many minutes do you want to play? (1-${MAX_SLOT_MINUTES}, leave empty for no limit)`);
+
+        // Cancelled
+        if (answer === null) return;
+
+        const slotMinutes = answer.trim() ? Math.round(Number(answer)) : null;
+        if (slotMinutes !== null && !(slotMinutes >= 1 && slotMinutes <= MAX_SLOT_MINUTES)) {
+            alert(`Please enter a number of minutes between 1 and ${MAX_SLOT_MINUTES}`);
+            return;
+        }
+
+        joinQueue(slotMinutes);
+    };
+
+    return (
+        <div className="mb-4 pb-4 border-b border-white/10">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-semibold text-white/80 uppercase tracking-wider">
+                    DJ Queue
+                </h3>
+                {slotEndsAt && (
+                    <span className="text-xs text-white/60" title="Time left in the current DJ's slot">
+                        ⏱️ <Countdown until={slotEndsAt} />
+                    </span>
+                )}
+            </div>
+
+            {upNext && (
+                <div className="text-xs text-white/70 mb-1">
+                    Up next: <span className="font-semibold text-white">{upNext.name}</span> (waiting to accept)
+                </div>
+            )}
+
+            {queue.length > 0 ? (
+                <ol className="space-y-1 mb-2 max-h-32 overflow-y-auto custom-scrollbar">
+                    {queue.map((entry, index) => (
+                        <li key={entry.id} className="flex items-center gap-2 text-sm text-white/80">
+                            <span className="text-white/40 tabular-nums">{index + 1}.</span>
+                            <span className="truncate">
+                                {entry.name}
+                                {entry.id === listenerId && <span className="ml-1 text-xs text-white/50">(you)</span>}
+                            </span>
+                            {entry.slotMinutes && (
+                                <span className="ml-auto text-xs text-white/40">{entry.slotMinutes} min</span>
+                            )}
+                        </li>
+                    ))}
+                </ol>
+            ) : (
+                !upNext && <p className="text-xs text-white/40 mb-2">Nobody is waiting to DJ</p>
+            )}
+
+            <div className="flex gap-2">
+                {role === 'listener' && !isUpNext && (
+                    <button
+                        onClick={isQueued ? leaveQueue : handleJoin}
+                        className="flex-1 px-2 py-1 border border-white/20 rounded-lg text-xs font-semibold cursor-pointer transition-all bg-white/10 text-white hover:bg-white/15 hover:border-white/30"
+                    >
+                        {isQueued ? 'Leave queue' : '🎧 Sign up to DJ'}
+                    </button>
+                )}
+                {canSkip && queue.length > 0 && (
+                    <button
+                        onClick={skipToNext}
+                        className="flex-1 px-2 py-1 border border-white/20 rounded-lg text-xs font-semibold cursor-pointer transition-all bg-white/10 text-white hover:bg-white/15 hover:border-white/30"
+                        title="Offer the decks to the next DJ in the queue"
+                    >
+                        ⏭️ Skip to next
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
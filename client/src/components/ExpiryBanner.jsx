@@ -0,0 +1,23 @@
+import { useAppContext } from '../context/AppContext';
+import Countdown from './Countdown';
+
+const REASON_TEXT = {
+    abandoned: "The broadcaster hasn't come back",
+    max_age: 'This room has reached its maximum age',
+    idle: 'This room has been inactive for a while',
+};
+
+export default function ExpiryBanner() {
+    const { roomExpiry } = useAppContext();
+
+    if (!roomExpiry) {
+        return null;
+    }
+
+    return (
+        <div className="mb-4 px-4 py-3 rounded-lg border border-yellow-500/30 bg-yellow-500/10 text-yellow-200 text-sm text-center animate-fade-in">
+            ⏳ {REASON_TEXT[roomExpiry.reason] || 'This room is about to close'} - it closes in{' '}
+            <Countdown until={roomExpiry.expiresAt} />
+        </div>
+    );
+}
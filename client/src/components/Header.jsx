@@ -1,7 +1,10 @@
+import { useState } from 'react';
 import { useAppContext } from '../context/AppContext';
+import SettingsModal from './SettingsModal';
 
 export default function Header() {
     const { userName, currentScreen } = useAppContext();
+    const [showSettings, setShowSettings] = useState(false);
 
     return (
         <header className="border-b border-white/10 bg-white/5 backdrop-blur-sm">
@@ -17,7 +20,20 @@ export default function Header() {
                         <span>{userName}</span>
                     </div>
                 )}
+
+                {/* Switching servers reloads the page, so only offer it outside a room */}
+                {currentScreen === 'home' && (
+                    <button
+                        onClick={() => setShowSettings(true)}
+                        title="Settings"
+                        className="text-xl text-white/70 hover:text-white transition-colors cursor-pointer bg-transparent border-none"
+                    >
+                        ⚙️
+                    </button>
+                )}
             </div>
+
+            {showSettings && <SettingsModal onClose={() => setShowSettings(false)} />}
         </header>
     );
 }
@@ -1,25 +1,42 @@
 import { useState, useEffect } from 'react';
 import { useAppContext } from '../context/AppContext';
 import { getBrowserCapabilities } from '../utils/browserDetection';
+import { getReclaimInfo, clearReclaimInfo } from '../utils/helpers';
+import LiveRooms from './LiveRooms';
+import TrackHistory from './TrackHistory';
 
-export default function HomeScreen({ onCreateRoom, onJoinRoom }) {
-    const { userName, openNameModal } = useAppContext();
+export default function HomeScreen({ onCreateRoom, onReclaimRoom, onJoinRoom }) {
+    const { userName, openNameModal, trackHistory, setTrackHistory, trackHistoryRoomCode } = useAppContext();
     const [roomCodeInput, setRoomCodeInput] = useState('');
     const [capabilities, setCapabilities] = useState(null);
+    const [reclaimInfo, setReclaimInfo] = useState(null);
+    const [roomPassword, setRoomPassword] = useState('');
+    const [inviteOnly, setInviteOnly] = useState(false);
 
-    // Detect browser capabilities on mount
+    // Detect browser capabilities and a room we can resume on mount
     useEffect(() => {
         const caps = getBrowserCapabilities();
         setCapabilities(caps);
+        setReclaimInfo(getReclaimInfo());
     }, []);
 
+    const handleDismissReclaim = () => {
+        clearReclaimInfo();
+        setReclaimInfo(null);
+    };
+
     const handleCreateClick = () => {
+        const options = {
+            password: inviteOnly ? '' : roomPassword,
+            inviteOnly,
+        };
+
         if (!userName) {
             openNameModal('create', () => {
-                onCreateRoom();
+                onCreateRoom(options);
             });
         } else {
-            onCreateRoom();
+            onCreateRoom(options);
         }
     };
 
@@ -36,12 +53,17 @@ export default function HomeScreen({ onCreateRoom, onJoinRoom }) {
         //     return;
         // }
 
+        joinWithName(roomCodeInput.trim());
+    };
+
+    // Ask for a name first if we don't have one yet
+    const joinWithName = (roomCode) => {
         if (!userName) {
             openNameModal('join', () => {
-                onJoinRoom(roomCodeInput.trim());
+                onJoinRoom(roomCode);
             });
         } else {
-            onJoinRoom(roomCodeInput.trim());
+            onJoinRoom(roomCode);
         }
     };
 
@@ -64,9 +86,69 @@ export default function HomeScreen({ onCreateRoom, onJoinRoom }) {
             </div>
 
             <div className="flex flex-col gap-4">
+                {/* Resume a room this browser was broadcasting before a reload */}
+                {capabilities?.canBroadcast && reclaimInfo && (
+                    <div className="bg-white/5 border border-white/10 rounded-lg p-4 mb-2 flex flex-col gap-3">
+                        <p className="text-sm text-white/70 text-center">
+                            You were broadcasting in room <span className="font-bold tracking-[0.2em] text-white">{reclaimInfo.roomCode}</span>
+                        </p>
+                        <button
+                            onClick={onReclaimRoom}
+                            className="w-full py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all uppercase tracking-wider gradient-primary text-white shadow-[0_4px_15px_rgba(102,126,234,0.4)] hover:-translate-y-0.5 hover:shadow-[0_6px_20px_rgba(102,126,234,0.6)] btn-ripple relative overflow-hidden"
+                        >
+                            <span className="relative z-10">🔁 Resume Broadcasting</span>
+                        </button>
+                        <button
+                            onClick={handleDismissReclaim}
+                            className="text-xs text-white/50 hover:text-white transition-colors"
+                        >
+                            Forget this room
+                        </button>
+                    </div>
+                )}
+
+                {/* Tracks from the room we just left, until we start or join another */}
+                {trackHistory.length > 0 && (
+                    <div className="bg-white/5 border border-white/10 rounded-lg p-4 mb-2">
+                        <p className="text-sm text-white/70 text-center">
+                            🎵 The playlist from room <span className="font-bold tracking-[0.2em] text-white">{trackHistoryRoomCode}</span>
+                        </p>
+                        <TrackHistory />
+                        <button
+                            onClick={() => setTrackHistory([])}
+                            className="w-full mt-2 text-xs text-white/50 hover:text-white transition-colors"
+                        >
+                            Dismiss
+                        </button>
+                    </div>
+                )}
+
                 {/* Create Room Button - Only show if browser supports it */}
                 {capabilities?.canBroadcast && (
                     <>
+                        {/* Room Access Options */}
+                        <div className="flex flex-col gap-2">
+                            <input
+                                type="password"
+                                value={roomPassword}
+                                onChange={(e) => setRoomPassword(e.target.value)}
+                                placeholder="Room password (optional)"
+                                maxLength={64}
+                                autoComplete="new-password"
+                                disabled={inviteOnly}
+                                className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white text-sm outline-none transition-all focus:border-purple-500/50 focus:bg-white/[0.08] placeholder:text-white/30 disabled:opacity-40"
+                            />
+                            <label className="flex items-center gap-2 text-sm text-white/70 cursor-pointer select-none">
+                                <input
+                                    type="checkbox"
+                                    checked={inviteOnly}
+                                    onChange={(e) => setInviteOnly(e.target.checked)}
+                                    className="accent-purple-500"
+                                />
+                                <span>Invite only (listeners need your share link)</span>
+                            </label>
+                        </div>
+
                         <button
                             onClick={handleCreateClick}
                             className="w-full py-4 px-8 border-none rounded-lg text-base font-semibold cursor-pointer transition-all uppercase tracking-wider gradient-primary text-white shadow-[0_4px_15px_rgba(102,126,234,0.4)] hover:-translate-y-0.5 hover:shadow-[0_6px_20px_rgba(102,126,234,0.6)] btn-ripple relative overflow-hidden"
@@ -116,6 +198,8 @@ export default function HomeScreen({ onCreateRoom, onJoinRoom }) {
                 >
                     <span className="relative z-10">🎧 Join Room</span>
                 </button>
+
+                <LiveRooms onJoin={joinWithName} />
             </div>
         </div>
     );
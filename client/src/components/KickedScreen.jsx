@@ -0,0 +1,48 @@
+import { useAppContext } from '../context/AppContext';
+
+export default function KickedScreen() {
+    const { kickInfo, setKickInfo, setCurrentScreen } = useAppContext();
+
+    const handleBackHome = () => {
+        setKickInfo(null);
+        setCurrentScreen('home');
+    };
+
+    const banned = kickInfo?.banned;
+
+    return (
+        <div className="glass-card rounded-2xl p-12 shadow-2xl animate-fade-in-up w-full max-w-lg text-center">
+            <div className="text-5xl mb-4">
+                {banned ? '🚫' : '👢'}
+            </div>
+
+            <h2 className="text-2xl font-semibold mb-3">
+                {banned ? 'You were banned from the room' : 'You were removed from the room'}
+            </h2>
+
+            <p className="text-white/70 mb-4">
+                {banned
+                    ? "The broadcaster banned you. You won't be able to rejoin this room."
+                    : 'The broadcaster removed you from the room. You can rejoin if you have the room code.'}
+            </p>
+
+            {kickInfo?.reason && (
+                <div className="bg-white/5 border border-white/10 rounded-lg p-4 mb-6">
+                    <p className="text-xs uppercase tracking-widest text-white/60 mb-1">
+                        Reason
+                    </p>
+                    <p className="text-white/90 break-words">
+                        {kickInfo.reason}
+                    </p>
+                </div>
+            )}
+
+            <button
+                onClick={handleBackHome}
+                className="w-full py-4 px-8 border border-white/20 rounded-lg text-base font-semibold cursor-pointer transition-all uppercase tracking-wider bg-white/10 text-white hover:bg-white/15 hover:border-white/30 btn-ripple relative overflow-hidden"
+            >
+                <span className="relative z-10">🏠 Back to Home</span>
+            </button>
+        </div>
+    );
+}
@@ -1,16 +1,48 @@
 import { useRef, useState, useEffect } from 'react';
 import { useAppContext } from '../context/AppContext';
 import { useAudioVisualizer } from '../hooks/useAudioVisualizer';
+import { usePresence } from '../hooks/usePresence';
 import StatusBadge from './StatusBadge';
 import AudioVisualizer from './AudioVisualizer';
+import ReactionOverlay from './ReactionOverlay';
+import ReactionBar from './ReactionBar';
+import NowPlaying from './NowPlaying';
+import SongRequests from './SongRequests';
 
 export default function ListenerScreen({ onLeave, audioRef }) {
     const { roomCode, connectionStatus } = useAppContext();
     const [stream, setStream] = useState(null);
     const [showEnableAudio, setShowEnableAudio] = useState(false);
+    const [isBuffering, setIsBuffering] = useState(false);
+    const [isHidden, setIsHidden] = useState(() => document.hidden);
+    const { reportState } = usePresence();
 
     const bars = useAudioVisualizer(stream);
 
+    // What the rest of the room sees next to our name
+    let presenceState = 'listening';
+    if (connectionStatus === 'disconnected' || connectionStatus === 'failed') {
+        presenceState = 'buffering'; // Audio dropped - reconnecting to the broadcaster
+    } else if (connectionStatus !== 'connected') {
+        presenceState = 'connecting';
+    } else if (isBuffering) {
+        presenceState = 'buffering';
+    } else if (showEnableAudio) {
+        presenceState = 'audio_blocked';
+    } else if (isHidden) {
+        presenceState = 'away';
+    }
+
+    useEffect(() => {
+        reportState(presenceState);
+    }, [presenceState, reportState]);
+
+    useEffect(() => {
+        const handleVisibilityChange = () => setIsHidden(document.hidden);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }, []);
+
     // Update stream when audio element gets it
     useEffect(() => {
         if (audioRef?.current?.srcObject) {
@@ -52,13 +84,19 @@ export default function ListenerScreen({ onLeave, audioRef }) {
 
             const handlePlay = () => setShowEnableAudio(false);
             const handlePause = () => setShowEnableAudio(true);
+            const handleWaiting = () => setIsBuffering(true);
+            const handlePlaying = () => setIsBuffering(false);
 
             audio.addEventListener('loadedmetadata', handleLoadedMetadata);
             audio.addEventListener('play', handlePlay);
+            audio.addEventListener('waiting', handleWaiting);
+            audio.addEventListener('playing', handlePlaying);
 
             return () => {
                 audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
                 audio.removeEventListener('play', handlePlay);
+                audio.removeEventListener('waiting', handleWaiting);
+                audio.removeEventListener('playing', handlePlaying);
             };
         }
     }, [audioRef]);
@@ -84,11 +122,19 @@ export default function ListenerScreen({ onLeave, audioRef }) {
                 <StatusBadge status={connectionStatus} />
             </div>
 
-            {/* Audio Visualizer */}
+            <NowPlaying />
+
+            {/* Audio Visualizer, with everyone's reactions floating over it */}
             <div className="mb-6">
-                <AudioVisualizer bars={bars} />
+                <div className="relative">
+                    <AudioVisualizer bars={bars} />
+                    <ReactionOverlay />
+                </div>
+                <ReactionBar />
             </div>
 
+            <SongRequests />
+
             {/* Controls */}
             <div className="flex flex-col gap-3 mt-auto">
                 <button
@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react';
+import { fetchPublicRooms } from '../utils/roomDirectory';
+
+const REFRESH_INTERVAL = 15000; // Keep listener counts and now-playing roughly current
+const SEARCH_DEBOUNCE = 300;
+
+/**
+ * One public room in the directory
+ */
+function RoomCard({ room, onJoin }) {
+    return (
+        <li>
+            <button
+                onClick={() => onJoin(room.roomCode)}
+                className="w-full text-left bg-white/5 border border-white/10 rounded-lg p-3 cursor-pointer transition-all hover:bg-white/10 hover:border-white/20"
+            >
+                <div className="flex items-center justify-between gap-2">
+                    <span className="font-semibold text-white truncate">
+                        {room.passwordProtected && <span title="Needs a password">🔒 </span>}
+                        {room.name}
+                    </span>
+                    <span className="text-xs text-white/60 tabular-nums whitespace-nowrap" title="Listeners">
+                        🎧 {room.listenerCount}
+                    </span>
+                </div>
+                {room.nowPlaying && (
+                    <div className="text-xs text-white/70 truncate">
+                        🎵 {room.nowPlaying.artist ? `${room.nowPlaying.artist} - ` : ''}{room.nowPlaying.title}
+                    </div>
+                )}
+                {room.description && (
+                    <div className="text-xs text-white/50 truncate">{room.description}</div>
+                )}
+                <div className="flex flex-wrap items-center gap-1 mt-1 text-[10px] text-white/40">
+                    {room.broadcasterName && <span>🎙️ {room.broadcasterName}</span>}
+                    {room.language && <span>· {room.language}</span>}
+                    {room.tags.map((tag) => (
+                        <span key={tag} className="px-1.5 py-0.5 rounded bg-white/10 text-white/60">#{tag}</span>
+                    ))}
+                </div>
+            </button>
+        </li>
+    );
+}
+
+// Browsable list of live public rooms for the home screen
+export default function LiveRooms({ onJoin }) {
+    const [query, setQuery] = useState('');
+    const [selectedTags, setSelectedTags] = useState([]);
+    const [directory, setDirectory] = useState(null); // {rooms, tags} from the last successful fetch
+    const [error, setError] = useState(false);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        let refreshTimer = null;
+
+        const load = async () => {
+            try {
+                setDirectory(await fetchPublicRooms({ query: query.trim(), tags: selectedTags }, controller.signal));
+                setError(false);
+            } catch (err) {
+                if (err.name !== 'AbortError') {
+                    console.warn('[LiveRooms] Could not load public rooms:', err.message);
+                    setError(true);
+                }
+            }
+            if (!controller.signal.aborted) {
+                refreshTimer = setTimeout(load, REFRESH_INTERVAL);
+            }
+        };
+
+        // Wait for the user to stop typing before searching
+        const searchTimer = setTimeout(load, SEARCH_DEBOUNCE);
+
+        return () => {
+            controller.abort();
+            clearTimeout(searchTimer);
+            clearTimeout(refreshTimer);
+        };
+    }, [query, selectedTags]);
+
+    const toggleTag = (tag) => {
+        setSelectedTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+    };
+
+    // Keep selected tags visible even when no listed room uses them any more
+    const tagOptions = [...new Set([...selectedTags, ...(directory?.tags || []).map(({ tag }) => tag)])];
+
+    return (
+        <div className="mt-8">
+            <label className="block text-sm font-medium mb-2 text-white/70 uppercase tracking-wide">
+                🔴 Live Now
+            </label>
+            <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search rooms, genres or tracks"
+                maxLength={100}
+                className="w-full px-4 py-3 mb-2 bg-white/5 border border-white/10 rounded-lg text-white text-sm outline-none transition-all focus:border-purple-500/50 focus:bg-white/[0.08] placeholder:text-white/30"
+            />
+
+            {tagOptions.length > 0 && (
+                <div className="flex flex-wrap gap-1 mb-3">
+                    {tagOptions.map((tag) => (
+                        <button
+                            key={tag}
+                            onClick={() => toggleTag(tag)}
+                            className={`px-2 py-0.5 rounded-full text-xs cursor-pointer transition-all ${selectedTags.includes(tag) ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/60 hover:bg-white/15'}`}
+                        >
+                            #{tag}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {error && !directory && (
+                <p className="text-xs text-white/40 text-center">Couldn't load public rooms</p>
+            )}
+            {directory && directory.rooms.length === 0 && (
+                <p className="text-xs text-white/40 text-center">
+                    {query || selectedTags.length ? 'No live rooms match' : 'Nobody is broadcasting publicly right now'}
+                </p>
+            )}
+            {directory && directory.rooms.length > 0 && (
+                <ul className="flex flex-col gap-2 max-h-72 overflow-y-auto custom-scrollbar">
+                    {directory.rooms.map((room) => (
+                        <RoomCard key={room.roomCode} room={room} onJoin={onJoin} />
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,43 @@
+import { useAppContext } from '../context/AppContext';
+import TrackHistory from './TrackHistory';
+
+// What the broadcaster says is playing, for listeners
+export default function NowPlaying() {
+    const { nowPlaying, trackHistory } = useAppContext();
+
+    if (!nowPlaying && trackHistory.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white/5 border border-white/10 rounded-xl p-4 mb-6">
+            <p className="text-xs uppercase tracking-widest text-white/60 mb-2">
+                Now Playing
+            </p>
+            {nowPlaying ? (
+                <div className="flex items-center gap-3">
+                    {nowPlaying.artworkUrl && (
+                        <img
+                            src={nowPlaying.artworkUrl}
+                            alt=""
+                            referrerPolicy="no-referrer"
+                            className="w-14 h-14 rounded-lg object-cover flex-shrink-0"
+                        />
+                    )}
+                    <div className="min-w-0">
+                        <div className="font-semibold text-white truncate">{nowPlaying.title}</div>
+                        {nowPlaying.artist && (
+                            <div className="text-sm text-white/70 truncate">{nowPlaying.artist}</div>
+                        )}
+                        {nowPlaying.djName && (
+                            <div className="text-xs text-white/40 truncate">🎙️ {nowPlaying.djName}</div>
+                        )}
+                    </div>
+                </div>
+            ) : (
+                <div className="text-sm text-white/40">The current DJ hasn't named this track</div>
+            )}
+            <TrackHistory />
+        </div>
+    );
+}
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { useNowPlaying } from '../hooks/useNowPlaying';
+import { parseTrackLabel } from '../utils/helpers';
+import TrackHistory from './TrackHistory';
+
+const inputClassName = 'w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-white text-xs outline-none focus:border-white/30';
+
+// Broadcaster form for telling listeners what's playing
+// Remount with key={captureLabel} to pick up a new tab's title
+export default function NowPlayingEditor() {
+    const { nowPlaying, captureLabel } = useAppContext();
+    const { announceTrack } = useNowPlaying();
+    const [suggestion] = useState(() => parseTrackLabel(captureLabel));
+    const [title, setTitle] = useState(suggestion?.title || '');
+    const [artist, setArtist] = useState(suggestion?.artist || '');
+    const [artworkUrl, setArtworkUrl] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        if (!title.trim()) {
+            alert('Please enter the track title');
+            return;
+        }
+        if (artworkUrl.trim() && !artworkUrl.trim().startsWith('https://')) {
+            alert('Artwork must be an https:// image link');
+            return;
+        }
+
+        announceTrack({ title: title.trim(), artist: artist.trim(), artworkUrl: artworkUrl.trim() });
+    };
+
+    return (
+        <div className="bg-white/5 border border-white/10 rounded-xl p-3 mb-4">
+            <div className="flex items-center justify-between mb-2">
+                <p className="text-xs uppercase tracking-widest text-white/60">
+                    Now Playing
+                </p>
+                {nowPlaying && (
+                    <span className="text-xs text-white/70 truncate ml-2">
+                        🎵 {nowPlaying.artist ? `${nowPlaying.artist} - ` : ''}{nowPlaying.title}
+                    </span>
+                )}
+            </div>
+            <form onSubmit={handleSubmit} className="grid grid-cols-2 gap-2">
+                <input
+                    type="text"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    placeholder="Title"
+                    maxLength={200}
+                    className={inputClassName}
+                />
+                <input
+                    type="text"
+                    value={artist}
+                    onChange={(e) => setArtist(e.target.value)}
+                    placeholder="Artist (optional)"
+                    maxLength={200}
+                    className={inputClassName}
+                />
+                <input
+                    type="url"
+                    value={artworkUrl}
+                    onChange={(e) => setArtworkUrl(e.target.value)}
+                    placeholder="Artwork URL (optional)"
+                    maxLength={2000}
+                    className={inputClassName}
+                />
+                <button
+                    type="submit"
+                    className="px-3 py-2 border border-white/20 rounded-lg text-xs font-semibold cursor-pointer transition-all bg-white/10 text-white hover:bg-white/15 hover:border-white/30"
+                    title="Show this track to listeners and start a new reaction tally"
+                >
+                    📣 Announce
+                </button>
+            </form>
+            {suggestion && (
+                <p className="text-[10px] text-white/40 mt-1">Filled in from the shared tab's title - check it before announcing</p>
+            )}
+            <TrackHistory />
+        </div>
+    );
+}
@@ -0,0 +1,65 @@
+import { useState } from 'react';
+
+export default function PasswordModal({ roomCode, error, onSubmit, onCancel }) {
+    const [password, setPassword] = useState('');
+
+    const handleSubmit = () => {
+        if (!password) {
+            alert("Please enter the room password");
+            return;
+        }
+        onSubmit(password);
+    };
+
+    const handleKeyPress = (e) => {
+        if (e.key === 'Enter') {
+            handleSubmit();
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-lg flex items-center justify-center z-50 animate-fade-in">
+            <div className="glass-card rounded-2xl p-12 max-w-md w-[90%] animate-slide-up">
+                <h2 className="mb-2 text-center text-2xl font-semibold">
+                    🔒 Room Password
+                </h2>
+                <p className="mb-6 text-center text-sm text-white/60">
+                    Room <span className="font-bold tracking-[0.2em] text-white">{roomCode}</span> is password-protected
+                </p>
+
+                {error && (
+                    <p className="mb-4 text-center text-sm text-red-400">
+                        {error}
+                    </p>
+                )}
+
+                <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    onKeyPress={handleKeyPress}
+                    placeholder="Password"
+                    maxLength={64}
+                    autoComplete="off"
+                    autoFocus
+                    className="w-full px-6 py-4 bg-white/5 border border-white/10 rounded-lg text-white text-base mb-6 outline-none transition-all focus:border-purple-500/50 focus:bg-white/[0.08] focus:shadow-[0_0_0_3px_rgba(102,126,234,0.1)] placeholder:text-white/30"
+                />
+
+                <div className="flex gap-4">
+                    <button
+                        onClick={onCancel}
+                        className="flex-1 py-4 px-8 border border-white/20 rounded-lg text-base font-semibold cursor-pointer transition-all uppercase tracking-wider bg-white/10 text-white hover:bg-white/15 hover:border-white/30"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSubmit}
+                        className="flex-1 py-4 px-8 border-none rounded-lg text-base font-semibold cursor-pointer transition-all uppercase tracking-wider gradient-primary text-white shadow-[0_4px_15px_rgba(102,126,234,0.4)] hover:-translate-y-0.5 hover:shadow-[0_6px_20px_rgba(102,126,234,0.6)] btn-ripple relative overflow-hidden"
+                    >
+                        <span className="relative z-10">Join</span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,21 @@
+import { useReactions } from '../hooks/useReactions';
+import { REACTION_EMOJIS } from '../utils/protocol';
+
+export default function ReactionBar() {
+    const { sendReaction } = useReactions();
+
+    return (
+        <div className="flex justify-center gap-2 mt-3">
+            {REACTION_EMOJIS.map((emoji) => (
+                <button
+                    key={emoji}
+                    onClick={() => sendReaction(emoji)}
+                    className="w-10 h-10 rounded-full bg-white/5 border border-white/10 text-xl cursor-pointer transition-all hover:bg-white/15 hover:scale-110 active:scale-95"
+                    aria-label={`React with ${emoji}`}
+                >
+                    {emoji}
+                </button>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,20 @@
+import { useAppContext } from '../context/AppContext';
+
+// Floating emojis drifting up over whatever it is placed in (needs a `relative` parent)
+export default function ReactionOverlay() {
+    const { floatingReactions } = useAppContext();
+
+    return (
+        <div className="absolute inset-0 pointer-events-none overflow-visible" aria-hidden="true">
+            {floatingReactions.map((reaction) => (
+                <span
+                    key={reaction.id}
+                    className="absolute bottom-2 text-2xl opacity-0 animate-float-up"
+                    style={{ left: `${reaction.left}%`, animationDelay: `${reaction.delay}ms` }}
+                >
+                    {reaction.emoji}
+                </span>
+            ))}
+        </div>
+    );
+}
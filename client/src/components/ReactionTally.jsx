@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { useReactions } from '../hooks/useReactions';
+
+/**
+ * Format a timestamp as HH:MM
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} - Formatted time
+ */
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+}
+
+/**
+ * Emoji counts, most popular first
+ */
+function Counts({ counts }) {
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+
+    if (entries.length === 0) {
+        return <span className="text-xs text-white/40">No reactions yet</span>;
+    }
+
+    return (
+        <span className="flex flex-wrap gap-2">
+            {entries.map(([emoji, count]) => (
+                <span key={emoji} className="text-sm tabular-nums">
+                    {emoji} {count}
+                </span>
+            ))}
+        </span>
+    );
+}
+
+// Reaction counts for the broadcaster, per track
+export default function ReactionTally() {
+    const { reactionTally } = useAppContext();
+    const { startNewTrack } = useReactions();
+    const [showHistory, setShowHistory] = useState(false);
+
+    if (!reactionTally) {
+        return null;
+    }
+
+    const { current, tracks } = reactionTally;
+
+    return (
+        <div className="bg-white/5 border border-white/10 rounded-xl p-3 mb-4">
+            <div className="flex items-center justify-between mb-2">
+                <p className="text-xs uppercase tracking-widest text-white/60">
+                    Reactions this track
+                    {current.title && <span className="normal-case tracking-normal text-white/80"> · {current.title}</span>}
+                </p>
+                <button
+                    onClick={startNewTrack}
+                    className="px-2 py-1 border border-white/20 rounded-lg text-[10px] font-semibold uppercase tracking-wider cursor-pointer transition-all bg-white/10 text-white hover:bg-white/15 hover:border-white/30"
+                    title="Close this track's tally and start counting the next one"
+                >
+                    🎵 New track
+                </button>
+            </div>
+            <Counts counts={current.counts} />
+
+            {tracks.length > 0 && (
+                <div className="mt-2">
+                    <button
+                        onClick={() => setShowHistory(!showHistory)}
+                        className="text-xs text-white/50 hover:text-white transition-colors"
+                    >
+                        {showHistory ? '▾' : '▸'} Earlier tracks ({tracks.length})
+                    </button>
+                    {showHistory && (
+                        <ul className="mt-2 space-y-1 max-h-32 overflow-y-auto custom-scrollbar">
+                            {[...tracks].reverse().map((track) => (
+                                <li key={track.startedAt} className="flex items-center gap-3">
+                                    <span className="text-xs text-white/40 tabular-nums whitespace-nowrap">
+                                        {formatTime(track.startedAt)}-{formatTime(track.endedAt)}
+                                    </span>
+                                    {track.title && (
+                                        <span className="text-xs text-white/60 truncate max-w-[8rem]">{track.title}</span>
+                                    )}
+                                    <Counts counts={track.counts} />
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
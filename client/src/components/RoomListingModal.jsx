@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { useModeration } from '../hooks/useModeration';
+
+const MAX_TAGS = 5; // Matches ROOM_TAGS_LIMIT on the server
+
+export default function RoomListingModal({ onClose }) {
+    const { roomAccess } = useAppContext();
+    const { updateRoomListing } = useModeration();
+    const listing = roomAccess?.listing;
+    const [name, setName] = useState(listing?.name || '');
+    const [description, setDescription] = useState(listing?.description || '');
+    const [tags, setTags] = useState((listing?.tags || []).join(', '));
+    const [language, setLanguage] = useState(listing?.language || '');
+
+    const handleSave = () => {
+        const tagList = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+
+        if (!name.trim()) {
+            alert('Please give your room a name');
+            return;
+        }
+        if (tagList.length > MAX_TAGS) {
+            alert(`Please use at most ${MAX_TAGS} tags`);
+            return;
+        }
+
+        // The server confirms with room-listing-updated
+        updateRoomListing({
+            name: name.trim(),
+            description: description.trim() || undefined,
+            tags: tagList,
+            language: language.trim() || undefined,
+        });
+        onClose();
+    };
+
+    const handleUnlist = () => {
+        updateRoomListing(null);
+        onClose();
+    };
+
+    const inputClassName = "w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white text-base outline-none transition-all focus:border-purple-500/50 focus:bg-white/[0.08] placeholder:text-white/30";
+
+    return (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-lg flex items-center justify-center z-50 animate-fade-in">
+            <div className="glass-card rounded-2xl p-8 max-w-md w-[90%] animate-slide-up text-white">
+                <h2 className="mb-2 text-center text-2xl font-semibold">
+                    🌐 List Publicly
+                </h2>
+                <p className="mb-6 text-center text-sm text-white/60">
+                    Anyone can find this room under "Live now" on the home page while you're broadcasting.
+                    {roomAccess?.passwordProtected && ' They still need the password to get in.'}
+                </p>
+
+                <label className="block mb-2 text-sm text-white/70">
+                    Room name
+                </label>
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="e.g. Sunday Deep House"
+                    maxLength={60}
+                    className={`${inputClassName} mb-4`}
+                />
+
+                <label className="block mb-2 text-sm text-white/70">
+                    Description
+                </label>
+                <textarea
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    placeholder="What are you playing? (optional)"
+                    maxLength={300}
+                    rows={2}
+                    className={`${inputClassName} mb-4 resize-none`}
+                />
+
+                <label className="block mb-2 text-sm text-white/70">
+                    Genre tags
+                </label>
+                <input
+                    type="text"
+                    value={tags}
+                    onChange={(e) => setTags(e.target.value)}
+                    placeholder={`Comma-separated, up to ${MAX_TAGS}, e.g. house, chill`}
+                    autoComplete="off"
+                    className={`${inputClassName} mb-4`}
+                />
+
+                <label className="block mb-2 text-sm text-white/70">
+                    Language
+                </label>
+                <input
+                    type="text"
+                    value={language}
+                    onChange={(e) => setLanguage(e.target.value)}
+                    placeholder="e.g. English (optional)"
+                    maxLength={30}
+                    className={`${inputClassName} mb-6`}
+                />
+
+                <div className="flex gap-4">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-4 px-8 border border-white/20 rounded-lg text-base font-semibold cursor-pointer transition-all uppercase tracking-wider bg-white/10 text-white hover:bg-white/15 hover:border-white/30"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        className="flex-1 py-4 px-8 border-none rounded-lg text-base font-semibold cursor-pointer transition-all uppercase tracking-wider gradient-primary text-white shadow-[0_4px_15px_rgba(102,126,234,0.4)] hover:-translate-y-0.5 hover:shadow-[0_6px_20px_rgba(102,126,234,0.6)] btn-ripple relative overflow-hidden"
+                    >
+                        <span className="relative z-10">{listing ? 'Save' : 'List'}</span>
+                    </button>
+                </div>
+
+                {listing && (
+                    <button
+                        onClick={handleUnlist}
+                        className="w-full mt-4 text-xs text-white/50 hover:text-white transition-colors"
+                    >
+                        Take this room out of the directory
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,7 +1,10 @@
 import { useState, useEffect } from 'react';
+import { getWsServerUrl } from '../config';
+import SettingsModal from './SettingsModal';
 
 export default function ServerStatus({ status, onRetry }) {
     const [elapsedTime, setElapsedTime] = useState(0);
+    const [showSettings, setShowSettings] = useState(false);
 
     // Timer for elapsed time
     useEffect(() => {
@@ -78,9 +81,12 @@ export default function ServerStatus({ status, onRetry }) {
                     <h2 className="text-2xl font-bold text-gray-800 mb-3">
                         Unable to Contact Server
                     </h2>
-                    <p className="text-gray-600 mb-6">
+                    <p className="text-gray-600 mb-2">
                         Sorry, we couldn't connect to the server. This could be due to:
                     </p>
+                    <p className="text-xs text-gray-500 font-mono break-all mb-6">
+                        {getWsServerUrl()}
+                    </p>
 
                     {/* Possible reasons */}
                     <ul className="text-left text-sm text-gray-600 mb-6 space-y-2">
@@ -106,10 +112,19 @@ export default function ServerStatus({ status, onRetry }) {
                         🔄 Retry Connection
                     </button>
 
+                    <button
+                        onClick={() => setShowSettings(true)}
+                        className="w-full mt-3 bg-white border border-gray-300 text-gray-700 font-semibold py-3 px-6 rounded-xl hover:bg-gray-50 transition-all duration-200"
+                    >
+                        ⚙️ Change Server
+                    </button>
+
                     <p className="text-sm text-gray-500 mt-4">
                         Please check your connection and try again
                     </p>
                 </div>
+
+                {showSettings && <SettingsModal onClose={() => setShowSettings(false)} />}
             </div>
         );
     }
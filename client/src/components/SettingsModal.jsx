@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { getWsServerUrl, getSavedServerUrl, saveServerUrl, clearSavedServerUrl, isValidServerUrl } from '../config';
+
+export default function SettingsModal({ onClose }) {
+    const [serverUrl, setServerUrl] = useState(getSavedServerUrl() || getWsServerUrl());
+
+    // Reload so the health check, ICE config and WebSocket all use the new server.
+    // Drop ?server= first, otherwise the link would keep overriding the saved choice.
+    const reloadWithoutServerParam = () => {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('server');
+        window.location.replace(url.toString());
+    };
+
+    const handleSave = () => {
+        if (!isValidServerUrl(serverUrl)) {
+            alert("Server URL must start with ws:// or wss://");
+            return;
+        }
+        saveServerUrl(serverUrl);
+        reloadWithoutServerParam();
+    };
+
+    const handleReset = () => {
+        clearSavedServerUrl();
+        reloadWithoutServerParam();
+    };
+
+    const handleKeyPress = (e) => {
+        if (e.key === 'Enter') {
+            handleSave();
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-lg flex items-center justify-center z-50 animate-fade-in">
+            <div className="glass-card rounded-2xl p-12 max-w-md w-[90%] animate-slide-up text-white">
+                <h2 className="mb-2 text-center text-2xl font-semibold">
+                    ⚙️ Settings
+                </h2>
+                <p className="mb-6 text-center text-sm text-white/60">
+                    Connected to <span className="font-mono text-white break-all">{getWsServerUrl()}</span>
+                </p>
+
+                <label className="block mb-2 text-sm text-white/70">
+                    Server URL
+                </label>
+                <input
+                    type="text"
+                    value={serverUrl}
+                    onChange={(e) => setServerUrl(e.target.value)}
+                    onKeyPress={handleKeyPress}
+                    placeholder="ws://192.168.1.10:3000"
+                    autoComplete="off"
+                    autoFocus
+                    className="w-full px-6 py-4 bg-white/5 border border-white/10 rounded-lg text-white text-base mb-2 outline-none transition-all focus:border-purple-500/50 focus:bg-white/[0.08] focus:shadow-[0_0_0_3px_rgba(102,126,234,0.1)] placeholder:text-white/30"
+                />
+
+                {getSavedServerUrl() ? (
+                    <button
+                        onClick={handleReset}
+                        className="mb-6 text-sm text-purple-300 hover:text-purple-200 underline cursor-pointer bg-transparent border-none"
+                    >
+                        Reset to default server
+                    </button>
+                ) : (
+                    <p className="mb-6 text-xs text-white/40">
+                        Saved in this browser. Overrides the default server; a ?server= link still wins for that visit.
+                    </p>
+                )}
+
+                <div className="flex gap-4">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-4 px-8 border border-white/20 rounded-lg text-base font-semibold cursor-pointer transition-all uppercase tracking-wider bg-white/10 text-white hover:bg-white/15 hover:border-white/30"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        className="flex-1 py-4 px-8 border-none rounded-lg text-base font-semibold cursor-pointer transition-all uppercase tracking-wider gradient-primary text-white shadow-[0_4px_15px_rgba(102,126,234,0.4)] hover:-translate-y-0.5 hover:shadow-[0_6px_20px_rgba(102,126,234,0.6)] btn-ripple relative overflow-hidden"
+                    >
+                        <span className="relative z-10">Save</span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
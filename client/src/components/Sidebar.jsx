@@ -1,7 +1,22 @@
+import { useState } from 'react';
 import { useAppContext } from '../context/AppContext';
+import { useModeration } from '../hooks/useModeration';
+import DjQueue from './DjQueue';
+
+// How each listener presence state is shown (reported by their client, or set by the server)
+const PRESENCE = {
+    connecting: { icon: '🔄', label: 'Connecting' },
+    listening: { icon: '🎧', label: 'Listening' },
+    audio_blocked: { icon: '🔕', label: 'Audio blocked' },
+    buffering: { icon: '⏳', label: 'Buffering' },
+    away: { icon: '💤', label: 'Away' },
+    reconnecting: { icon: '📡', label: 'Reconnecting' },
+};
 
 export default function Sidebar() {
-    const { listeners, listenerCount, role, userName, openNameModal } = useAppContext();
+    const { listeners, listenerCount, role, userName, openNameModal, listenerId, isChatMuted, openThread } = useAppContext();
+    const { kickListener, banListener, setChatMuted, transferBroadcaster } = useModeration();
+    const [openMenuId, setOpenMenuId] = useState(null);
 
     const handleEditName = () => {
         openNameModal('edit', () => {
@@ -9,6 +24,37 @@ export default function Sidebar() {
         });
     };
 
+    const handleToggleMenu = (listenerId) => {
+        setOpenMenuId(prev => (prev === listenerId ? null : listenerId));
+    };
+
+    const handleToggleMute = (listener) => {
+        setChatMuted(listener.id, !listener.chatMuted);
+        setOpenMenuId(null);
+    };
+
+    const handleTransfer = (listener) => {
+        setOpenMenuId(null);
+
+        if (confirm(`Hand the broadcast to ${listener.name}? Once they share their audio, you'll stay in the room as a listener.`)) {
+            transferBroadcaster(listener.id);
+        }
+    };
+
+    const handleRemove = (listener, ban) => {
+        const reason = prompt(`${ban ? 'Ban' : 'Kick'} ${listener.name}? Reason (optional):`);
+        setOpenMenuId(null);
+
+        // Cancelled
+        if (reason === null) return;
+
+        if (ban) {
+            banListener(listener.id, reason.trim());
+        } else {
+            kickListener(listener.id, reason.trim());
+        }
+    };
+
     return (
         <div className="glass-card rounded-2xl p-6 h-full flex flex-col">
             {/* App Logo & Name */}
@@ -67,6 +113,8 @@ export default function Sidebar() {
                 </ul>
             </div>
 
+            <DjQueue />
+
             {/* Room Members */}
             <div className="flex-1 flex flex-col min-h-0">
                 <div className="flex items-center justify-between mb-4">
@@ -85,9 +133,13 @@ export default function Sidebar() {
                         <div className="flex items-center gap-3 px-3 py-2 bg-gradient-primary rounded-lg">
                             <span className="text-lg">🎙️</span>
                             <div className="flex-1 min-w-0">
-                                <div className="text-sm font-semibold text-white">
+                                <button
+                                    onClick={() => openThread('broadcaster', 'Broadcaster')}
+                                    className="text-sm font-semibold text-white hover:underline"
+                                    title="Send a private message"
+                                >
                                     Broadcaster
-                                </div>
+                                </button>
                                 <div className="text-xs text-white/70">
                                     Host
                                 </div>
@@ -112,25 +164,91 @@ export default function Sidebar() {
 
                     {/* Show listeners */}
                     {listeners && listeners.length > 0 ? (
-                        listeners.map((listener) => (
-                            <div
-                                key={listener.id}
-                                className="flex items-center gap-3 px-3 py-2 bg-white/5 rounded-lg hover:bg-white/10 transition-colors"
-                            >
-                                <span className="text-lg">🎧</span>
-                                <div className="flex-1 min-w-0">
-                                    <div className="text-sm font-medium text-white truncate">
-                                        {listener.name}
-                                    </div>
-                                    <div className="text-xs text-white/50">
-                                        {new Date(listener.joinedAt).toLocaleTimeString([], {
-                                            hour: '2-digit',
-                                            minute: '2-digit'
-                                        })}
+                        listeners.map((listener) => {
+                            const presence = PRESENCE[listener.presence] || PRESENCE.connecting;
+                            // Muted listeners can only message the broadcaster
+                            const canMessage = listener.id !== listenerId && !isChatMuted;
+                            return (
+                                <div
+                                    key={listener.id}
+                                    className="relative flex items-center gap-3 px-3 py-2 bg-white/5 rounded-lg hover:bg-white/10 transition-colors"
+                                >
+                                    <span className="text-lg" title={presence.label}>{presence.icon}</span>
+                                    <div className="flex-1 min-w-0">
+                                        <div className="text-sm font-medium text-white truncate">
+                                            {canMessage ? (
+                                                <button
+                                                    onClick={() => openThread(listener.id, listener.name)}
+                                                    className="hover:underline"
+                                                    title="Send a private message"
+                                                >
+                                                    {listener.name}
+                                                </button>
+                                            ) : listener.name}
+                                            {listener.id === listenerId && (
+                                                <span className="ml-1 text-xs text-white/50">(you)</span>
+                                            )}
+                                            {listener.chatMuted && (
+                                                <span className="ml-1 text-xs" title="Muted in chat">🔇</span>
+                                            )}
+                                        </div>
+                                        <div className="text-xs text-white/50">
+                                            <span className={listener.presence === 'listening' ? 'text-green-300/80' : ''}>
+                                                {presence.label}
+                                            </span>
+                                            {' · '}
+                                            {new Date(listener.joinedAt).toLocaleTimeString([], {
+                                                hour: '2-digit',
+                                                minute: '2-digit'
+                                            })}
+                                        </div>
                                     </div>
+
+                                    {/* Moderation menu - Broadcaster only */}
+                                    {role === 'broadcaster' && (
+                                        <button
+                                            onClick={() => handleToggleMenu(listener.id)}
+                                            className="text-white/60 hover:text-white px-2 transition-colors"
+                                            aria-label={`Moderate ${listener.name}`}
+                                            title="Moderate"
+                                        >
+                                            ⋯
+                                        </button>
+                                    )}
+
+                                    {role === 'broadcaster' && openMenuId === listener.id && (
+                                        <div className="absolute right-2 top-full mt-1 z-20 w-40 glass-card rounded-lg py-1 shadow-2xl">
+                                            <button
+                                                onClick={() => handleToggleMute(listener)}
+                                                className="w-full text-left px-3 py-2 text-sm text-white/80 hover:bg-white/10 transition-colors"
+                                            >
+                                                {listener.chatMuted ? '🔈 Unmute chat' : '🔇 Mute chat'}
+                                            </button>
+                                            {listener.presence !== 'reconnecting' && (
+                                                <button
+                                                    onClick={() => handleTransfer(listener)}
+                                                    className="w-full text-left px-3 py-2 text-sm text-white/80 hover:bg-white/10 transition-colors"
+                                                >
+                                                    🎙️ Hand over broadcast
+                                                </button>
+                                            )}
+                                            <button
+                                                onClick={() => handleRemove(listener, false)}
+                                                className="w-full text-left px-3 py-2 text-sm text-amber-300 hover:bg-white/10 transition-colors"
+                                            >
+                                                👢 Kick
+                                            </button>
+                                            <button
+                                                onClick={() => handleRemove(listener, true)}
+                                                className="w-full text-left px-3 py-2 text-sm text-red-400 hover:bg-white/10 transition-colors"
+                                            >
+                                                🚫 Ban
+                                            </button>
+                                        </div>
+                                    )}
                                 </div>
-                            </div>
-                        ))
+                            );
+                        })
                     ) : (
                         role === 'broadcaster' && (
                             <div className="text-sm text-white/40 text-center py-4">
@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { useSongRequests } from '../hooks/useSongRequests';
+
+const inputClassName = 'w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-white text-xs outline-none focus:border-white/30';
+const actionClassName = 'px-2 py-1 border border-white/20 rounded-lg text-[10px] font-semibold uppercase tracking-wider cursor-pointer transition-all bg-white/10 text-white hover:bg-white/15 hover:border-white/30 disabled:opacity-40 disabled:cursor-not-allowed';
+
+/**
+ * Listener form for requesting a song
+ */
+function RequestForm({ onDone }) {
+    const { requestSong } = useSongRequests();
+    const [title, setTitle] = useState('');
+    const [artist, setArtist] = useState('');
+    const [note, setNote] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        if (!title.trim()) {
+            alert('Please enter the song title');
+            return;
+        }
+
+        requestSong({ title: title.trim(), artist: artist.trim(), note: note.trim() });
+        onDone();
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="grid grid-cols-2 gap-2 mb-2">
+            <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder="Song title"
+                maxLength={200}
+                className={inputClassName}
+                autoFocus
+            />
+            <input
+                type="text"
+                value={artist}
+                onChange={(e) => setArtist(e.target.value)}
+                placeholder="Artist (optional)"
+                maxLength={200}
+                className={inputClassName}
+            />
+            <input
+                type="text"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Note for the DJ (optional)"
+                maxLength={300}
+                className={`${inputClassName} col-span-2`}
+            />
+            <button type="button" onClick={onDone} className={actionClassName}>
+                Cancel
+            </button>
+            <button type="submit" className={actionClassName}>
+                🎵 Send request
+            </button>
+        </form>
+    );
+}
+
+// Ranked song request queue - listeners request and upvote, the broadcaster works through it
+export default function SongRequests() {
+    const { songRequests, role, listenerId, isChatMuted } = useAppContext();
+    const { voteForSong, cancelRequest, updateRequest } = useSongRequests();
+    const [showForm, setShowForm] = useState(false);
+
+    const isBroadcaster = role === 'broadcaster';
+
+    // The broadcaster only needs the panel once there is something to work through
+    if (isBroadcaster && songRequests.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white/5 border border-white/10 rounded-xl p-3 mb-4">
+            <div className="flex items-center justify-between mb-2">
+                <p className="text-xs uppercase tracking-widest text-white/60">
+                    Song Requests{songRequests.length > 0 && ` (${songRequests.length})`}
+                </p>
+                {!isBroadcaster && !showForm && (
+                    <button
+                        onClick={() => setShowForm(true)}
+                        disabled={isChatMuted}
+                        className={actionClassName}
+                        title={isChatMuted ? "You've been muted in this room" : 'Ask the DJ to play something'}
+                    >
+                        ➕ Request
+                    </button>
+                )}
+            </div>
+
+            {showForm && <RequestForm onDone={() => setShowForm(false)} />}
+
+            {songRequests.length === 0 ? (
+                <p className="text-xs text-white/40">No requests yet - be the first</p>
+            ) : (
+                <ol className="space-y-2 max-h-48 overflow-y-auto custom-scrollbar">
+                    {songRequests.map((request) => {
+                        const isOwn = request.requesterId === listenerId;
+                        const hasVoted = request.voterIds.includes(listenerId);
+
+                        return (
+                            <li key={request.id} className="flex items-start gap-2">
+                                {isBroadcaster ? (
+                                    <span className="min-w-8 text-center text-xs text-white/60 tabular-nums" title="Upvotes">
+                                        ▲ {request.voterIds.length}
+                                    </span>
+                                ) : (
+                                    <button
+                                        onClick={() => voteForSong(request.id, !hasVoted)}
+                                        disabled={isOwn}
+                                        className={`min-w-8 px-1 py-0.5 rounded-lg text-xs tabular-nums transition-all ${hasVoted ? 'bg-white/20 text-white' : 'text-white/60 hover:bg-white/10'} disabled:opacity-40 disabled:cursor-not-allowed`}
+                                        title={isOwn ? 'Your request' : hasVoted ? 'Take your vote back' : 'Upvote'}
+                                    >
+                                        ▲ {request.voterIds.length}
+                                    </button>
+                                )}
+                                <div className="flex-1 min-w-0">
+                                    <div className="text-sm text-white truncate">
+                                        {request.status === 'accepted' && <span title="The DJ will play this">✅ </span>}
+                                        {request.artist ? `${request.artist} - ` : ''}{request.title}
+                                    </div>
+                                    <div className="text-[10px] text-white/40 truncate">
+                                        {isOwn ? 'Requested by you' : `Requested by ${request.requesterName}`}
+                                        {request.note && ` · "${request.note}"`}
+                                    </div>
+                                </div>
+                                {isBroadcaster && (
+                                    <div className="flex gap-1">
+                                        {request.status !== 'accepted' && (
+                                            <button onClick={() => updateRequest(request.id, 'accepted')} className={actionClassName} title="Let everyone know you'll play it">
+                                                Accept
+                                            </button>
+                                        )}
+                                        <button onClick={() => updateRequest(request.id, 'played')} className={actionClassName} title="Mark played and remove it from the queue">
+                                            Played
+                                        </button>
+                                        <button onClick={() => updateRequest(request.id, 'rejected')} className={actionClassName} title="Remove it from the queue">
+                                            ✕
+                                        </button>
+                                    </div>
+                                )}
+                                {!isBroadcaster && isOwn && (
+                                    <button onClick={() => cancelRequest(request.id)} className={actionClassName} title="Withdraw your request">
+                                        ✕
+                                    </button>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ol>
+            )}
+        </div>
+    );
+}
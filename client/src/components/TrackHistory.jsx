@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { downloadPlaylist } from '../utils/helpers';
+
+/**
+ * Format a timestamp as HH:MM
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} - Formatted time
+ */
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+}
+
+// Collapsible list of every track played in the room, with a playlist export
+export default function TrackHistory() {
+    const { trackHistory, trackHistoryRoomCode } = useAppContext();
+    const [isOpen, setIsOpen] = useState(false);
+
+    if (trackHistory.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="mt-2">
+            <div className="flex items-center justify-between">
+                <button
+                    onClick={() => setIsOpen(!isOpen)}
+                    className="text-xs text-white/50 hover:text-white transition-colors"
+                >
+                    {isOpen ? '▾' : '▸'} Played so far ({trackHistory.length})
+                </button>
+                <button
+                    onClick={() => downloadPlaylist(trackHistoryRoomCode, trackHistory)}
+                    className="text-xs text-white/50 hover:text-white transition-colors"
+                    title="Download the track list as a text file"
+                >
+                    ⬇️ Export playlist
+                </button>
+            </div>
+            {isOpen && (
+                <ol className="mt-2 space-y-1 max-h-32 overflow-y-auto custom-scrollbar">
+                    {[...trackHistory].reverse().map((track) => (
+                        <li key={track.startedAt} className="flex items-baseline gap-3 text-xs">
+                            <span className="text-white/40 tabular-nums">{formatTime(track.startedAt)}</span>
+                            <span className="truncate text-white/80">
+                                {track.artist ? `${track.artist} - ` : ''}{track.title}
+                            </span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
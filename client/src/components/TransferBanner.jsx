@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { useModeration } from '../hooks/useModeration';
+import { useWebRTC } from '../hooks/useWebRTC';
+
+// A pending broadcaster hand-off: the offer we made, or the one made to us
+export default function TransferBanner() {
+    const { broadcasterTransfer, role } = useAppContext();
+    const { cancelBroadcasterTransfer } = useModeration();
+    const { acceptBroadcasterTransfer, declineBroadcasterTransfer } = useWebRTC();
+    const [isAccepting, setIsAccepting] = useState(false);
+
+    if (!broadcasterTransfer) {
+        return null;
+    }
+
+    if (role === 'broadcaster') {
+        return (
+            <div className="mb-4 px-4 py-3 rounded-lg border border-white/20 bg-white/5 text-white/80 text-sm flex items-center justify-between gap-3 animate-fade-in">
+                <span>🎙️ Waiting for {broadcasterTransfer.userName} to take over the broadcast...</span>
+                <button
+                    onClick={cancelBroadcasterTransfer}
+                    className="px-3 py-1 border border-white/20 rounded-lg text-xs font-semibold cursor-pointer transition-all bg-white/10 hover:bg-white/15"
+                >
+                    Cancel
+                </button>
+            </div>
+        );
+    }
+
+    const handleAccept = async () => {
+        setIsAccepting(true);
+        try {
+            await acceptBroadcasterTransfer();
+        } finally {
+            setIsAccepting(false);
+        }
+    };
+
+    return (
+        <div className="mb-4 px-4 py-3 rounded-lg border border-purple-400/40 bg-purple-500/10 text-white text-sm animate-fade-in">
+            <p className="mb-3">
+                {broadcasterTransfer.fromDjQueue
+                    ? "🎧 You're up next in the DJ queue!"
+                    : `🎙️ ${broadcasterTransfer.fromName} wants to hand the broadcast to you.`}
+                {' '}Share a tab with audio to take over - everyone stays in the room.
+            </p>
+            <div className="flex gap-2">
+                <button
+                    onClick={handleAccept}
+                    disabled={isAccepting}
+                    className="gradient-primary px-4 py-2 rounded-lg text-white text-sm font-semibold hover:shadow-glow transition-all disabled:opacity-50"
+                >
+                    {isAccepting ? 'Waiting for audio...' : 'Take over'}
+                </button>
+                <button
+                    onClick={declineBroadcasterTransfer}
+                    disabled={isAccepting}
+                    className="px-4 py-2 border border-white/20 rounded-lg text-sm cursor-pointer transition-all bg-white/10 hover:bg-white/15 disabled:opacity-50"
+                >
+                    No thanks
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -1,18 +1,101 @@
-// WebSocket Server Configuration
-// Change this URL to match your WebSocket server location
+// Signaling Server Configuration
+// The server URL is resolved once at startup. Each source overrides the ones before it:
+//   1. VITE_WS_SERVER_URL at build time (e.g. in client/.env.local)
+//   2. "wsServerUrl" in /config.json, served next to the bundle (change it without rebuilding)
+//   3. The URL saved in the settings panel (localStorage)
+//   4. ?server=ws://10.1.71.45:3000 in the page URL (a link can point one visit elsewhere)
 
-// For local development (localhost)
-// export const WS_SERVER_URL = 'ws://localhost:3000';
+const DEFAULT_WS_SERVER_URL = import.meta.env.VITE_WS_SERVER_URL || 'wss://music-sharer.onrender.com';
+const SERVER_URL_STORAGE_KEY = 'musicSharerServerUrl';
 
-// For network access (replace with your local IP)
-// export const WS_SERVER_URL = 'ws://10.1.71.45:3000';
+let wsServerUrl = DEFAULT_WS_SERVER_URL;
 
-// For dev tunnel (default)
-// 'wss://music-sharer.onrender.com'
-export const WS_SERVER_URL = 'wss://music-sharer.onrender.com';
-// 'wss://j6wt9thk-3000.inc1.devtunnels.ms/'
-// Auto-detect based on environment (alternative approach)
-// export const WS_SERVER_URL = import.meta.env.VITE_WS_SERVER_URL || 'ws://localhost:3000';
+/**
+ * Check that a URL is a WebSocket URL
+ * @param {string} url - URL to check
+ * @returns {boolean} - True if it starts with ws:// or wss:// and has a host
+ */
+export function isValidServerUrl(url) {
+  return typeof url === 'string' && /^wss?:\/\/[^\s/]+/.test(url.trim());
+}
 
-// HTTP Server URL for health checks (derived from WebSocket URL)
-export const HTTP_SERVER_URL = WS_SERVER_URL.replace('wss://', 'https://').replace('ws://', 'http://');
+/**
+ * Read the server URL from the runtime config.json, if the deployment has one
+ * @returns {Promise<string|null>} - Server URL or null
+ */
+async function fetchRuntimeServerUrl() {
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}config.json`, { cache: 'no-store' });
+    if (!response.ok) {
+      return null;
+    }
+
+    const { wsServerUrl: url } = await response.json();
+    return isValidServerUrl(url) ? url.trim() : null;
+  } catch {
+    return null; // No config.json (or the dev server answered with index.html)
+  }
+}
+
+/**
+ * Get the server URL from the ?server= query parameter
+ * @returns {string|null} - Server URL or null
+ */
+function getServerUrlFromQuery() {
+  const url = new URLSearchParams(window.location.search).get('server');
+  return isValidServerUrl(url) ? url.trim() : null;
+}
+
+/**
+ * Get the server URL saved in the settings panel
+ * @returns {string|null} - Server URL or null
+ */
+export function getSavedServerUrl() {
+  const url = localStorage.getItem(SERVER_URL_STORAGE_KEY);
+  return isValidServerUrl(url) ? url : null;
+}
+
+/**
+ * Save a server URL from the settings panel (takes effect on the next resolveServerUrl)
+ * @param {string} url - WebSocket URL
+ */
+export function saveServerUrl(url) {
+  localStorage.setItem(SERVER_URL_STORAGE_KEY, url.trim());
+}
+
+/**
+ * Forget the server URL saved in the settings panel
+ */
+export function clearSavedServerUrl() {
+  localStorage.removeItem(SERVER_URL_STORAGE_KEY);
+}
+
+/**
+ * Work out which server to use from all configuration sources
+ * @returns {Promise<string>} - Resolved WebSocket URL
+ */
+export async function resolveServerUrl() {
+  wsServerUrl =
+    getServerUrlFromQuery() ||
+    getSavedServerUrl() ||
+    (await fetchRuntimeServerUrl()) ||
+    DEFAULT_WS_SERVER_URL;
+
+  return wsServerUrl;
+}
+
+/**
+ * Get the resolved WebSocket server URL
+ * @returns {string} - WebSocket URL
+ */
+export function getWsServerUrl() {
+  return wsServerUrl;
+}
+
+/**
+ * Get the HTTP URL of the same server (for health checks and /ice-config)
+ * @returns {string} - HTTP URL
+ */
+export function getHttpServerUrl() {
+  return wsServerUrl.replace('wss://', 'https://').replace('ws://', 'http://').replace(/\/+$/, '');
+}
@@ -1,14 +1,26 @@
 import { createContext, useContext, useState, useRef, useCallback } from 'react';
 
+const FLOATING_REACTIONS_PER_BURST = 12; // Busy rooms send big bursts - only animate a sample
+const FLOATING_REACTION_DURATION = 2500; // Matches .animate-float-up
+const REACTION_BURST_SPREAD = 1000; // Spread a burst's reactions over the server's burst interval
+const TYPING_EXPIRY = 6000; // Forget a typing indicator the sender stopped refreshing
+const TRACK_HISTORY_LIMIT = 200; // Matches TRACK_HISTORY_LIMIT on the server
+
 const AppContext = createContext(null);
 
 export function AppProvider({ children }) {
     // Screen state
-    const [currentScreen, setCurrentScreen] = useState('home'); // 'home', 'broadcaster', 'listener'
+    const [currentScreen, setCurrentScreen] = useState('home'); // 'home', 'broadcaster', 'listener', 'kicked'
+    const [kickInfo, setKickInfo] = useState(null); // {banned, reason} after the broadcaster removed us
 
     // Room state
     const [roomCode, setRoomCode] = useState(null);
     const [role, setRole] = useState(null); // 'broadcaster' or 'listener'
+    const [roomAccess, setRoomAccess] = useState(null); // {passwordProtected, inviteOnly, inviteToken, listing} for the broadcaster
+    const [listenerId, setListenerId] = useState(null); // Our own listener ID, assigned by the server on join
+    const [roomExpiry, setRoomExpiry] = useState(null); // {reason, expiresAt} once the server warns the room is closing
+    const [broadcasterTransfer, setBroadcasterTransfer] = useState(null); // Pending hand-off: {listenerId, userName, expiresAt} as broadcaster, {fromName, expiresAt, fromDjQueue} when offered to us
+    const [djQueue, setDjQueue] = useState(null); // {queue: [{id, name, slotMinutes}], upNext, slotEndsAt, canSkip}
 
     // User state
     const [userName, setUserName] = useState(() => {
@@ -18,13 +30,37 @@ export function AppProvider({ children }) {
     // Broadcast state
     const [isPaused, setIsPaused] = useState(false);
     const [listenerCount, setListenerCount] = useState(0);
-    const [listeners, setListeners] = useState([]); // Array of {id, name, joinedAt}
+    const [listeners, setListeners] = useState([]); // Array of {id, name, joinedAt, chatMuted, presence}
     const [connectionStatus, setConnectionStatus] = useState('disconnected');
 
     // Chat state
-    const [messages, setMessages] = useState([]);
+    const [messages, setMessages] = useState([]); // Sorted by server-assigned message ID
+    const [hasMoreHistory, setHasMoreHistory] = useState(false); // Older messages can be paged in from the server
     const [unreadCount, setUnreadCount] = useState(0);
     const [isChatOpen, setIsChatOpen] = useState(false);
+    const [isChatMuted, setIsChatMuted] = useState(false); // Muted by the broadcaster
+    const [chatPolicy, setChatPolicy] = useState(null); // {maxLength, slowModeSeconds, blockedWords, blockedWordAction, blockLinks}
+    const [chatError, setChatError] = useState(null); // {code, message, retryAfter} for our last rejected message
+    const [typingUsers, setTypingUsers] = useState({}); // {[id]: name} for everyone else who is typing
+    const typingTimersRef = useRef(new Map());
+
+    // Direct message state - peer IDs are listener IDs or 'broadcaster'
+    const [directThreads, setDirectThreads] = useState({}); // {[peerId]: {name, messages, unread}}
+    const [activeThread, setActiveThread] = useState(null); // null for the room chat, or the peer ID of a DM thread
+    const activeThreadRef = useRef(null);
+    const directMessageIdRef = useRef(0);
+
+    // Reaction state
+    const [floatingReactions, setFloatingReactions] = useState([]); // Array of {id, emoji, left, delay} being animated
+    const [reactionTally, setReactionTally] = useState(null); // {current: {startedAt, counts}, tracks} for the broadcaster
+    const floatingReactionIdRef = useRef(0);
+
+    // Now-playing state
+    const [nowPlaying, setNowPlaying] = useState(null); // {title, artist, artworkUrl, djName, startedAt}
+    const [trackHistory, setTrackHistory] = useState([]); // Every now-playing track in the room, oldest first - kept after leaving for the playlist export
+    const [trackHistoryRoomCode, setTrackHistoryRoomCode] = useState(null); // Room the track history belongs to
+    const [captureLabel, setCaptureLabel] = useState(null); // Label of the captured tab, when the browser exposes one
+    const [songRequests, setSongRequests] = useState([]); // Ranked: [{id, title, artist, note, requesterId, requesterName, status, voterIds}]
 
     // Modal state
     const [showNameModal, setShowNameModal] = useState(false);
@@ -63,18 +99,137 @@ export function AppProvider({ children }) {
 
     // Add chat message
     const addMessage = useCallback((message) => {
-        setMessages(prev => [...prev, message]);
+        setMessages(prev => {
+            if (prev.some(existing => existing.id === message.id)) {
+                return prev;
+            }
+            return [...prev, message];
+        });
         if (!isChatOpen) {
             setUnreadCount(prev => prev + 1);
         }
     }, [isChatOpen]);
 
-    // Clear messages
+    // Merge chat history from the server (on join, reconnect or paging) without duplicates
+    const mergeMessages = useCallback((history) => {
+        setMessages(prev => {
+            const byId = new Map(prev.map(message => [message.id, message]));
+            history.forEach(message => byId.set(message.id, message));
+            return Array.from(byId.values()).sort((a, b) => a.id - b.id);
+        });
+    }, []);
+
+    // Clear the local copy of the chat (the server keeps the room's history)
     const clearMessages = useCallback(() => {
         setMessages([]);
+        setHasMoreHistory(false);
         setUnreadCount(0);
     }, []);
 
+    // Switch the chat box to a DM thread (creating it if needed), or back to the room with null
+    const openThread = useCallback((peerId, name) => {
+        activeThreadRef.current = peerId;
+        setActiveThread(peerId);
+
+        if (peerId) {
+            setDirectThreads(prev => ({
+                ...prev,
+                [peerId]: {
+                    name: name || prev[peerId]?.name,
+                    messages: prev[peerId]?.messages || [],
+                    unread: 0,
+                },
+            }));
+            setIsChatOpen(true);
+        }
+    }, []);
+
+    // Add a direct message to its thread ({senderName, message, timestamp, isOwn})
+    const addDirectMessage = useCallback((peerId, peerName, message) => {
+        directMessageIdRef.current++;
+        const entry = { ...message, id: directMessageIdRef.current };
+        const isActive = activeThreadRef.current === peerId;
+
+        setDirectThreads(prev => {
+            const thread = prev[peerId] || { name: peerName, messages: [], unread: 0 };
+            return {
+                ...prev,
+                [peerId]: {
+                    name: peerName || thread.name,
+                    messages: [...thread.messages, entry],
+                    unread: isActive || message.isOwn ? thread.unread : thread.unread + 1,
+                },
+            };
+        });
+    }, []);
+
+    // Apply a presence update from the server: {id, name, state, typing}
+    const applyPresence = useCallback((update) => {
+        if (update.state !== undefined) {
+            setListeners(prev => prev.map(listener => (
+                listener.id === update.id ? { ...listener, presence: update.state } : listener
+            )));
+        }
+
+        if (update.typing !== undefined) {
+            clearTimeout(typingTimersRef.current.get(update.id));
+            typingTimersRef.current.delete(update.id);
+
+            const stopTyping = () => setTypingUsers(prev => {
+                const { [update.id]: _removed, ...rest } = prev;
+                return rest;
+            });
+
+            if (update.typing) {
+                setTypingUsers(prev => ({ ...prev, [update.id]: update.name }));
+                typingTimersRef.current.set(update.id, setTimeout(stopTyping, TYPING_EXPIRY));
+            } else {
+                stopTyping();
+            }
+        }
+    }, []);
+
+    // Animate a burst of reactions from the server ({emoji: count})
+    const addReactionBurst = useCallback((counts) => {
+        const remaining = { ...counts };
+        const added = [];
+
+        // Take emojis round-robin so a burst's mix survives the cap
+        while (added.length < FLOATING_REACTIONS_PER_BURST && Object.values(remaining).some(count => count > 0)) {
+            Object.keys(remaining).forEach(emoji => {
+                if (remaining[emoji] > 0 && added.length < FLOATING_REACTIONS_PER_BURST) {
+                    remaining[emoji]--;
+                    floatingReactionIdRef.current++;
+                    added.push({
+                        id: floatingReactionIdRef.current,
+                        emoji,
+                        left: 5 + Math.random() * 90,
+                        delay: Math.random() * REACTION_BURST_SPREAD,
+                    });
+                }
+            });
+        }
+
+        setFloatingReactions(prev => [...prev, ...added]);
+
+        const addedIds = new Set(added.map(reaction => reaction.id));
+        setTimeout(() => {
+            setFloatingReactions(prev => prev.filter(reaction => !addedIds.has(reaction.id)));
+        }, FLOATING_REACTION_DURATION + REACTION_BURST_SPREAD);
+    }, []);
+
+    // Add a track announced by the broadcaster and make it the current one
+    const addTrack = useCallback((track) => {
+        setNowPlaying(track);
+        setTrackHistory(prev => [...prev, track].slice(-TRACK_HISTORY_LIMIT));
+    }, []);
+
+    // Start over with a room's track history (the server's copy, or empty for a new room)
+    const loadTrackHistory = useCallback((code, tracks) => {
+        setTrackHistoryRoomCode(code);
+        setTrackHistory(tracks);
+    }, []);
+
     // Toggle chat
     const toggleChat = useCallback(() => {
         setIsChatOpen(prev => !prev);
@@ -87,6 +242,11 @@ export function AppProvider({ children }) {
     const resetState = useCallback(() => {
         setRole(null);
         setRoomCode(null);
+        setRoomAccess(null);
+        setListenerId(null);
+        setRoomExpiry(null);
+        setBroadcasterTransfer(null);
+        setDjQueue(null);
         setIsPaused(false);
         setListenerCount(0);
         setListeners([]);
@@ -94,18 +254,44 @@ export function AppProvider({ children }) {
         setCurrentScreen('home');
         clearMessages();
         setIsChatOpen(false);
+        setIsChatMuted(false);
+        setChatPolicy(null);
+        setChatError(null);
+        typingTimersRef.current.forEach(timer => clearTimeout(timer));
+        typingTimersRef.current.clear();
+        setTypingUsers({});
+        activeThreadRef.current = null;
+        setActiveThread(null);
+        setDirectThreads({});
+        setFloatingReactions([]);
+        setReactionTally(null);
+        setNowPlaying(null);
+        setCaptureLabel(null);
+        setSongRequests([]);
     }, [clearMessages]);
 
     const value = {
         // Screen
         currentScreen,
         setCurrentScreen,
+        kickInfo,
+        setKickInfo,
 
         // Room
         roomCode,
         setRoomCode,
         role,
         setRole,
+        roomAccess,
+        setRoomAccess,
+        listenerId,
+        setListenerId,
+        roomExpiry,
+        setRoomExpiry,
+        broadcasterTransfer,
+        setBroadcasterTransfer,
+        djQueue,
+        setDjQueue,
 
         // User
         userName,
@@ -124,11 +310,45 @@ export function AppProvider({ children }) {
         // Chat
         messages,
         addMessage,
+        mergeMessages,
         clearMessages,
+        hasMoreHistory,
+        setHasMoreHistory,
         unreadCount,
         setUnreadCount,
         isChatOpen,
         toggleChat,
+        isChatMuted,
+        setIsChatMuted,
+        chatPolicy,
+        setChatPolicy,
+        chatError,
+        setChatError,
+        typingUsers,
+        applyPresence,
+        directThreads,
+        activeThread,
+        openThread,
+        addDirectMessage,
+
+        // Reactions
+        floatingReactions,
+        addReactionBurst,
+        reactionTally,
+        setReactionTally,
+
+        // Now playing
+        nowPlaying,
+        setNowPlaying,
+        trackHistory,
+        setTrackHistory,
+        trackHistoryRoomCode,
+        addTrack,
+        loadTrackHistory,
+        captureLabel,
+        setCaptureLabel,
+        songRequests,
+        setSongRequests,
 
         // Modal
         showNameModal,
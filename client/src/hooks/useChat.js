@@ -1,8 +1,9 @@
 import { useCallback } from 'react';
 import { useAppContext } from '../context/AppContext';
+import { withRequestId } from '../utils/protocol';
 
 export function useChat() {
-    const { wsRef, roomCode, userName, addMessage } = useAppContext();
+    const { wsRef, roomCode, addMessage, setChatError } = useAppContext();
 
     const sendMessage = useCallback((messageText) => {
         if (!messageText || !messageText.trim()) {
@@ -22,14 +23,50 @@ export function useChat() {
         const message = {
             type: 'chat-message',
             roomCode: roomCode,
-            userName: userName,
             message: messageText.trim(),
         };
 
-        wsRef.current.send(JSON.stringify(message));
-    }, [wsRef, roomCode, userName]);
+        // The server names the sender and answers with an error if the room's chat policy rejects it
+        setChatError(null);
+        wsRef.current.send(JSON.stringify(withRequestId(message)));
+    }, [wsRef, roomCode, setChatError]);
+
+    // Send a private message to one participant (a listener ID or 'broadcaster')
+    const sendDirectMessage = useCallback((targetId, messageText) => {
+        if (!messageText || !messageText.trim()) {
+            return;
+        }
+
+        if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+            console.error('[useChat] WebSocket not connected');
+            return;
+        }
+
+        // Our own copy comes back from the server once it's delivered
+        setChatError(null);
+        wsRef.current.send(JSON.stringify(withRequestId({
+            type: 'direct-message',
+            targetId: targetId,
+            message: messageText.trim(),
+        })));
+    }, [wsRef, setChatError]);
+
+    // Ask the server for the page of history before our oldest message
+    const loadOlderMessages = useCallback((oldestMessageId) => {
+        if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+            console.error('[useChat] WebSocket not connected');
+            return;
+        }
+
+        wsRef.current.send(JSON.stringify(withRequestId({
+            type: 'chat-history',
+            before: oldestMessageId,
+        })));
+    }, [wsRef]);
 
     return {
         sendMessage,
+        sendDirectMessage,
+        loadOlderMessages,
     };
 }
@@ -0,0 +1,39 @@
+import { useCallback } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { withRequestId } from '../utils/protocol';
+
+export function useDjQueue() {
+    const { wsRef } = useAppContext();
+
+    const send = useCallback((data) => {
+        if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+            console.error('[useDjQueue] WebSocket not connected');
+            return;
+        }
+
+        wsRef.current.send(JSON.stringify(withRequestId(data)));
+    }, [wsRef]);
+
+    // Sign up to broadcast after the current DJ (slotMinutes: optional time limit)
+    const joinQueue = useCallback((slotMinutes) => {
+        send({
+            type: 'dj-queue-join',
+            slotMinutes: slotMinutes || undefined,
+        });
+    }, [send]);
+
+    const leaveQueue = useCallback(() => {
+        send({ type: 'dj-queue-leave' });
+    }, [send]);
+
+    // Offer the decks to the next DJ (current DJ or room owner only)
+    const skipToNext = useCallback(() => {
+        send({ type: 'dj-skip' });
+    }, [send]);
+
+    return {
+        joinQueue,
+        leaveQueue,
+        skipToNext,
+    };
+}
@@ -0,0 +1,84 @@
+import { useCallback } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { withRequestId } from '../utils/protocol';
+
+export function useModeration() {
+    const { wsRef, role } = useAppContext();
+
+    const send = useCallback((data) => {
+        if (role !== 'broadcaster') {
+            console.error('[useModeration] Only the broadcaster can moderate');
+            return;
+        }
+
+        if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+            console.error('[useModeration] WebSocket not connected');
+            return;
+        }
+
+        wsRef.current.send(JSON.stringify(withRequestId(data)));
+    }, [wsRef, role]);
+
+    const kickListener = useCallback((listenerId, reason) => {
+        send({
+            type: 'kick-listener',
+            listenerId: listenerId,
+            reason: reason || undefined,
+        });
+    }, [send]);
+
+    const banListener = useCallback((listenerId, reason) => {
+        send({
+            type: 'ban-listener',
+            listenerId: listenerId,
+            reason: reason || undefined,
+        });
+    }, [send]);
+
+    const setChatMuted = useCallback((listenerId, muted) => {
+        send({
+            type: 'chat-mute',
+            listenerId: listenerId,
+            muted: muted,
+        });
+    }, [send]);
+
+    // Only the fields in `changes` are updated (see set-chat-policy in shared/protocol.json)
+    const updateChatPolicy = useCallback((changes) => {
+        send({
+            type: 'set-chat-policy',
+            ...changes,
+        });
+    }, [send]);
+
+    // List the room in the public directory, or pass null to take it out
+    const updateRoomListing = useCallback((listing) => {
+        send({
+            type: 'set-room-listing',
+            public: !!listing,
+            ...listing,
+        });
+    }, [send]);
+
+    // Offer the broadcaster role to a listener - they take over once they accept and share audio
+    const transferBroadcaster = useCallback((listenerId) => {
+        send({
+            type: 'transfer-broadcaster',
+            listenerId: listenerId,
+        });
+    }, [send]);
+
+    const cancelBroadcasterTransfer = useCallback(() => {
+        send({ type: 'cancel-broadcaster-transfer' });
+    }, [send]);
+
+    return {
+        kickListener,
+        banListener,
+        setChatMuted,
+        updateChatPolicy,
+        updateRoomListing,
+        transferBroadcaster,
+        cancelBroadcasterTransfer,
+    };
+}
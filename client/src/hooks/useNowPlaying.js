@@ -0,0 +1,31 @@
+import { useCallback } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { withRequestId } from '../utils/protocol';
+
+export function useNowPlaying() {
+    const { wsRef, role } = useAppContext();
+
+    // Tell the room what's playing - also starts a new reaction tally (broadcaster only)
+    const announceTrack = useCallback(({ title, artist, artworkUrl }) => {
+        if (role !== 'broadcaster') {
+            console.error('[useNowPlaying] Only the broadcaster can set what is playing');
+            return;
+        }
+
+        if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+            console.error('[useNowPlaying] WebSocket not connected');
+            return;
+        }
+
+        wsRef.current.send(JSON.stringify(withRequestId({
+            type: 'now-playing',
+            title,
+            artist: artist || undefined,
+            artworkUrl: artworkUrl || undefined,
+        })));
+    }, [wsRef, role]);
+
+    return {
+        announceTrack,
+    };
+}
@@ -0,0 +1,57 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { withRequestId } from '../utils/protocol';
+
+const TYPING_REFRESH = 3000; // Re-send "typing" this often while the user keeps typing
+const TYPING_IDLE = 4000; // Stop "typing" after this long without a keystroke
+
+export function usePresence() {
+    const { wsRef } = useAppContext();
+    const typingSentAtRef = useRef(0);
+    const typingTimerRef = useRef(null);
+
+    const send = useCallback((data) => {
+        if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+            return; // Presence is best-effort - the server marks us reconnecting anyway
+        }
+
+        wsRef.current.send(JSON.stringify(withRequestId({ type: 'presence', ...data })));
+    }, [wsRef]);
+
+    // Tell the room whether we can actually hear the stream (listeners only)
+    const reportState = useCallback((state) => {
+        send({ state });
+    }, [send]);
+
+    const stopTyping = useCallback(() => {
+        clearTimeout(typingTimerRef.current);
+        typingTimerRef.current = null;
+
+        if (typingSentAtRef.current) {
+            typingSentAtRef.current = 0;
+            send({ typing: false });
+        }
+    }, [send]);
+
+    // Call on every keystroke - other clients expire "typing" unless it is refreshed
+    const notifyTyping = useCallback(() => {
+        const now = Date.now();
+        if (now - typingSentAtRef.current >= TYPING_REFRESH) {
+            typingSentAtRef.current = now;
+            send({ typing: true });
+        }
+
+        clearTimeout(typingTimerRef.current);
+        typingTimerRef.current = setTimeout(stopTyping, TYPING_IDLE);
+    }, [send, stopTyping]);
+
+    useEffect(() => {
+        return () => clearTimeout(typingTimerRef.current);
+    }, []);
+
+    return {
+        reportState,
+        notifyTyping,
+        stopTyping,
+    };
+}
@@ -0,0 +1,49 @@
+import { useCallback, useRef } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { withRequestId } from '../utils/protocol';
+
+const REACTION_COOLDOWN = 300; // Stays under the server's reaction rate limit
+
+export function useReactions() {
+    const { wsRef, role } = useAppContext();
+    const lastSentAtRef = useRef(0);
+
+    // Reactions come back to everyone (us included) in the server's next burst
+    const sendReaction = useCallback((emoji) => {
+        if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+            console.error('[useReactions] WebSocket not connected');
+            return;
+        }
+
+        const now = Date.now();
+        if (now - lastSentAtRef.current < REACTION_COOLDOWN) {
+            return;
+        }
+        lastSentAtRef.current = now;
+
+        wsRef.current.send(JSON.stringify(withRequestId({
+            type: 'reaction',
+            emoji: emoji,
+        })));
+    }, [wsRef]);
+
+    // Close the current track's tally and start counting the next one (broadcaster only)
+    const startNewTrack = useCallback(() => {
+        if (role !== 'broadcaster') {
+            console.error('[useReactions] Only the broadcaster can start a new track');
+            return;
+        }
+
+        if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+            console.error('[useReactions] WebSocket not connected');
+            return;
+        }
+
+        wsRef.current.send(JSON.stringify(withRequestId({ type: 'new-reaction-track' })));
+    }, [wsRef, role]);
+
+    return {
+        sendReaction,
+        startNewTrack,
+    };
+}
@@ -0,0 +1,48 @@
+import { useCallback } from 'react';
+import { useAppContext } from '../context/AppContext';
+import { withRequestId } from '../utils/protocol';
+
+export function useSongRequests() {
+    const { wsRef } = useAppContext();
+
+    const send = useCallback((data) => {
+        if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+            console.error('[useSongRequests] WebSocket not connected');
+            return;
+        }
+
+        wsRef.current.send(JSON.stringify(withRequestId(data)));
+    }, [wsRef]);
+
+    // Ask the broadcaster to play something (listeners only)
+    const requestSong = useCallback(({ title, artist, note }) => {
+        send({
+            type: 'song-request',
+            title,
+            artist: artist || undefined,
+            note: note || undefined,
+        });
+    }, [send]);
+
+    // Upvote someone else's request, or take the vote back
+    const voteForSong = useCallback((songRequestId, upvote) => {
+        send({ type: 'song-request-vote', songRequestId, upvote });
+    }, [send]);
+
+    // Withdraw one of our own requests
+    const cancelRequest = useCallback((songRequestId) => {
+        send({ type: 'song-request-cancel', songRequestId });
+    }, [send]);
+
+    // Accept, reject or mark a request played (broadcaster only)
+    const updateRequest = useCallback((songRequestId, status) => {
+        send({ type: 'song-request-update', songRequestId, status });
+    }, [send]);
+
+    return {
+        requestSong,
+        voteForSong,
+        cancelRequest,
+        updateRequest,
+    };
+}
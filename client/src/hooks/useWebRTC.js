@@ -1,6 +1,10 @@
 import { useCallback } from 'react';
 import { useAppContext } from '../context/AppContext';
-import { iceServers } from '../utils/config';
+import { getRtcConfiguration } from '../utils/iceConfig';
+import { clearReclaimInfo } from '../utils/helpers';
+import { withRequestId } from '../utils/protocol';
+
+const HANDOVER_OVERLAP = 5000; // Keep streaming this long after handing over, so listeners switch sources with only a short gap
 
 export function useWebRTC() {
   const {
@@ -18,18 +22,19 @@ export function useWebRTC() {
     isPaused,
     setIsPaused,
     userName,
+    setCaptureLabel,
     resetState,
   } = useAppContext();
   
   // Send WebSocket message
   const send = useCallback((data) => {
     if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-      wsRef.current.send(JSON.stringify(data));
+      wsRef.current.send(JSON.stringify(withRequestId(data)));
     }
   }, [wsRef]);
   
-  // Create room as broadcaster
-  const createRoom = useCallback(async () => {
+  // Capture tab audio for broadcasting (alerts and rethrows if the user cancels or shares no audio)
+  const captureTabAudio = useCallback(async () => {
     try {
       // Request screen/tab audio capture
       const stream = await navigator.mediaDevices.getDisplayMedia({
@@ -51,22 +56,17 @@ export function useWebRTC() {
         throw new Error('No audio track found. Please ensure "Share audio" is checked.');
       }
       
-      // Stop the video track since we only need audio
+      // Stop the video track since we only need audio (its label may name the tab for now-playing)
       const videoTrack = stream.getVideoTracks()[0];
+      setCaptureLabel((videoTrack || audioTracks[0]).label || null);
       if (videoTrack) {
         videoTrack.stop();
         stream.removeTrack(videoTrack);
       }
       
-      localStreamRef.current = stream;
-      setRole("broadcaster");
-      
-      // Send create room request
-      send({ type: "create-room" });
-      
       return stream;
     } catch (error) {
-      console.error('[WebRTC] createRoom failed:', error);
+      console.error('[WebRTC] Audio capture failed:', error);
       console.error('[WebRTC] Error name:', error.name);
       console.error('[WebRTC] Error message:', error.message);
       
@@ -83,10 +83,87 @@ export function useWebRTC() {
       }
       throw error;
     }
-  }, [setRole, send]);
+  }, [setCaptureLabel]);
+  
+  // Capture tab audio and send a room request as broadcaster
+  const startBroadcast = useCallback(async (request) => {
+    const stream = await captureTabAudio();
+    
+    localStreamRef.current = stream;
+    setRole("broadcaster");
+    
+    // Send create/reclaim room request
+    send(request);
+    
+    return stream;
+  }, [captureTabAudio, setRole, send]);
   
-  // Join room as listener
-  const joinRoom = useCallback((code) => {
+  // Take over as broadcaster after being offered the role (Listener side)
+  // Our role only changes once the server confirms with broadcaster-transferred
+  const acceptBroadcasterTransfer = useCallback(async () => {
+    let stream;
+    try {
+      stream = await captureTabAudio();
+    } catch {
+      // Capture was cancelled or had no audio (already reported) - let the broadcaster know
+      send({ type: "decline-broadcaster-transfer" });
+      return;
+    }
+    
+    localStreamRef.current = stream;
+    send({ type: "accept-broadcaster-transfer" });
+  }, [captureTabAudio, localStreamRef, send]);
+  
+  const declineBroadcasterTransfer = useCallback(() => {
+    send({ type: "decline-broadcaster-transfer" });
+  }, [send]);
+  
+  // Stop streaming after handing the room to someone else - we stay in it as a listener
+  const stepDownAsBroadcaster = useCallback(() => {
+    const localStream = localStreamRef.current;
+    localStreamRef.current = null;
+    
+    // Our own connection to the new broadcaster joins this map, so detach ours right away
+    const handedOver = Array.from(peerConnectionsRef.current.values());
+    peerConnectionsRef.current.clear();
+    
+    // Listeners drop these as soon as the new broadcaster's offer arrives
+    setTimeout(() => {
+      handedOver.forEach((pc) => pc.close());
+      if (localStream) {
+        localStream.getTracks().forEach((track) => track.stop());
+      }
+    }, HANDOVER_OVERLAP);
+    
+    // The reclaim token was rotated for the new broadcaster
+    clearReclaimInfo();
+    
+    setIsPaused(false);
+    setRole("listener");
+  }, [localStreamRef, peerConnectionsRef, setIsPaused, setRole]);
+  
+  // Create room as broadcaster
+  const createRoom = useCallback((options = {}) => {
+    return startBroadcast({
+      type: "create-room",
+      password: options.password || undefined,
+      inviteOnly: options.inviteOnly || undefined,
+      userName: userName || undefined,
+    });
+  }, [startBroadcast, userName]);
+  
+  // Reclaim a persisted room as its returning broadcaster
+  const reclaimRoom = useCallback((code, reclaimToken) => {
+    return startBroadcast({
+      type: "reclaim-room",
+      roomCode: code,
+      reclaimToken: reclaimToken,
+      userName: userName || undefined,
+    });
+  }, [startBroadcast, userName]);
+  
+  // Join room as listener (credentials: optional password and/or inviteToken)
+  const joinRoom = useCallback((code, credentials = {}) => {
     if (code.length !== 6) {
       alert("Please enter a valid 6-character room code");
       return;
@@ -99,14 +176,22 @@ export function useWebRTC() {
       type: "join-room",
       roomCode: code,
       userName: userName,
+      password: credentials.password || undefined,
+      inviteToken: credentials.inviteToken || undefined,
     });
   }, [setRole, setRoomCode, send, userName]);
   
   // Handle new listener (Broadcaster side)
   const handleNewListener = useCallback(async (listenerId) => {
     try {
+      // Close a stale connection if this listener is reconnecting
+      const existingPc = peerConnectionsRef.current.get(listenerId);
+      if (existingPc) {
+        existingPc.close();
+      }
+      
       // Create new peer connection for this listener
-      const pc = new RTCPeerConnection(iceServers);
+      const pc = new RTCPeerConnection(getRtcConfiguration());
       peerConnectionsRef.current.set(listenerId, pc);
       
       //Add ONLY audio tracks to peer connection
@@ -164,9 +249,41 @@ export function useWebRTC() {
     }
   }, [send, setListenerCount]);
   
+  // Rebuild peer connections with every listener (Broadcaster side, after reclaiming a room)
+  const renegotiateListeners = useCallback(async (listeners) => {
+    peerConnectionsRef.current.forEach((pc) => pc.close());
+    peerConnectionsRef.current.clear();
+    setListenerCount(0);
+    
+    for (const listener of listeners) {
+      await handleNewListener(listener.id);
+    }
+  }, [peerConnectionsRef, handleNewListener, setListenerCount]);
+  
+  // Close and forget a single peer connection ("broadcaster" on the listener side)
+  const closePeerConnection = useCallback((peerId) => {
+    const pc = peerConnectionsRef.current.get(peerId);
+    if (pc) {
+      pc.close();
+      peerConnectionsRef.current.delete(peerId);
+    }
+  }, [peerConnectionsRef]);
+  
+  // Drop the stale connection and wait for a fresh offer (Listener side)
+  const prepareForNewOffer = useCallback(() => {
+    closePeerConnection("broadcaster");
+    setConnectionStatus('connecting');
+  }, [closePeerConnection, setConnectionStatus]);
+  
   // Handle offer from broadcaster (Listener side)
   const handleOffer = useCallback(async (data, audioRef, onAudioReady) => {
-    const pc = new RTCPeerConnection(iceServers);
+    // Replace any connection left over from before the broadcaster returned
+    const existingPc = peerConnectionsRef.current.get("broadcaster");
+    if (existingPc) {
+      existingPc.close();
+    }
+    
+    const pc = new RTCPeerConnection(getRtcConfiguration());
     peerConnectionsRef.current.set("broadcaster", pc);
     
     // Handle incoming audio stream
@@ -353,6 +470,7 @@ export function useWebRTC() {
       
       // Stop the video track
       const videoTrack = stream.getVideoTracks()[0];
+      setCaptureLabel((videoTrack || stream.getAudioTracks()[0]).label || null);
       if (videoTrack) {
         videoTrack.stop();
         stream.removeTrack(videoTrack);
@@ -378,7 +496,7 @@ export function useWebRTC() {
       alert("Failed to change audio source: " + error.message);
       throw error;
     }
-  }, [setIsPaused]);
+  }, [setIsPaused, setCaptureLabel]);
   
   // Stop broadcast
   const stopBroadcast = useCallback(() => {
@@ -393,6 +511,9 @@ export function useWebRTC() {
     peerConnectionsRef.current.forEach((pc) => pc.close());
     peerConnectionsRef.current.clear();
     
+    // The room is deliberately ended - don't offer to reclaim it
+    clearReclaimInfo();
+    
     // Notify server
     send({
       type: "leave-room",
@@ -429,8 +550,15 @@ export function useWebRTC() {
   
   return {
     createRoom,
+    reclaimRoom,
     joinRoom,
+    acceptBroadcasterTransfer,
+    declineBroadcasterTransfer,
+    stepDownAsBroadcaster,
     handleNewListener,
+    renegotiateListeners,
+    closePeerConnection,
+    prepareForNewOffer,
     handleOffer,
     handleAnswer,
     handleIceCandidate,
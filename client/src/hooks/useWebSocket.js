@@ -1,6 +1,11 @@
 import { useEffect, useCallback, useRef } from 'react';
 import { useAppContext } from '../context/AppContext';
-import { WS_SERVER_URL } from '../config';
+import { getWsServerUrl } from '../config';
+import { validateServerMessage, withRequestId } from '../utils/protocol';
+
+// Keepalive settings - a stalled connection is noticed long before the browser fires onclose
+const KEEPALIVE_INTERVAL = 15000; // How often to ping the server
+const KEEPALIVE_TIMEOUT = 5000; // Give up if nothing arrives this long after a ping
 
 export function useWebSocket() {
   const { 
@@ -35,20 +40,80 @@ export function useWebSocket() {
     isConnectingRef.current = true;
     connectionAttemptRef.current++;
     
-    // Use configured WebSocket server URL (see src/config.js to change)
-    const wsUrl = WS_SERVER_URL;
+    // Use the resolved server URL (see src/config.js for where it comes from)
+    const wsUrl = getWsServerUrl();
     
     const ws = new WebSocket(wsUrl);
     wsRef.current = ws;
     
+    let lastMessageAt = Date.now();
+    let keepaliveTimer = null;
+    let stallTimer = null;
+    
+    const stopKeepalive = () => {
+      clearInterval(keepaliveTimer);
+      clearTimeout(stallTimer);
+    };
+    
+    const handleClose = (event) => {
+      stopKeepalive();
+      isConnectingRef.current = false;
+      console.error('[WebSocket] Connection closed');
+      console.error('[WebSocket] Close code:', event.code);
+      console.error('[WebSocket] Close reason:', event.reason || 'No reason provided');
+      
+      if (event.code === 1006) {
+        console.error('[WebSocket] Server unreachable - connection abnormally closed');
+      }
+      
+      setTimeout(connect, 3000);
+    };
+    
+    // Ping the server and reconnect right away if it doesn't answer
+    const sendKeepalive = () => {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      
+      const sentAt = Date.now();
+      ws.send(JSON.stringify({ type: 'ping' }));
+      
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => {
+        if (lastMessageAt >= sentAt) return;
+        
+        console.warn('[WebSocket] No reply to keepalive - reconnecting');
+        // A half-open socket may not fire onclose for minutes, so stop listening and reconnect now
+        ws.onclose = null;
+        ws.onmessage = null;
+        ws.onerror = null;
+        ws.close(4000, 'Keepalive timeout');
+        handleClose({ code: 4000, reason: 'Keepalive timeout' });
+      }, KEEPALIVE_TIMEOUT);
+    };
+    
     ws.onopen = () => {
       isConnectingRef.current = false;
+      keepaliveTimer = setInterval(sendKeepalive, KEEPALIVE_INTERVAL);
+
+      // Let the app restore its session on (re)connect
+      const handler = handlersRef.current.open;
+      if (handler) {
+        handler();
+      }
     };
     
     ws.onmessage = async (event) => {
+      lastMessageAt = Date.now();
+      
       try {
         const data = JSON.parse(event.data);
         
+        // Drop anything that doesn't match the shared protocol schema
+        const validation = validateServerMessage(data);
+        if (!validation.valid) {
+          console.warn('[WebSocket] Ignoring invalid message:', validation.error, data);
+          return;
+        }
+        
         // Call registered handler if exists
         const handler = handlersRef.current[data.type];
         if (handler) {
@@ -59,18 +124,7 @@ export function useWebSocket() {
       }
     };
     
-    ws.onclose = (event) => {
-      isConnectingRef.current = false;
-      console.error('[WebSocket] Connection closed');
-      console.error('[WebSocket] Close code:', event.code);
-      console.error('[WebSocket] Close reason:', event.reason || 'No reason provided');
-      
-      if (event.code === 1006) {
-        console.error('[WebSocket] Server unreachable - connection abnormally closed');
-      }
-      
-      setTimeout(connect, 3000);
-    };
+    ws.onclose = handleClose;
     
     ws.onerror = (error) => {
       isConnectingRef.current = false;
@@ -91,7 +145,7 @@ export function useWebSocket() {
     
     if (readyState === WebSocket.OPEN) {
       try {
-        const message = JSON.stringify(data);
+        const message = JSON.stringify(withRequestId(data));
         wsRef.current.send(message);
       } catch (error) {
         console.error('[WebSocket] Send failed:', error.message);
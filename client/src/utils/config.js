@@ -1,4 +1,5 @@
-// ICE Server Configuration for WebRTC
+// Default ICE Server Configuration for WebRTC
+// Used until the server's /ice-config (which can add TURN servers) has loaded
 export const iceServers = {
   iceServers: [
     { urls: "stun:stun.l.google.com:19302" },
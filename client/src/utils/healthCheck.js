@@ -1,4 +1,4 @@
-import { HTTP_SERVER_URL } from '../config';
+import { getHttpServerUrl } from '../config';
 
 const HEALTH_CHECK_TIMEOUT = 60000; // 60 seconds
 const RETRY_INTERVAL = 1000; // 1 second
@@ -12,7 +12,7 @@ async function checkServerHealth() {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
 
-    const response = await fetch(`${HTTP_SERVER_URL}/health`, {
+    const response = await fetch(`${getHttpServerUrl()}/health`, {
       method: 'GET',
       headers: { 'Content-Type': 'application/json' },
       signal: controller.signal,
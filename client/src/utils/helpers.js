@@ -1,11 +1,16 @@
 /**
  * Generate a shareable URL for a room
  * @param {string} roomCode - Room code
+ * @param {string} [inviteToken] - Invite token for password-protected or invite-only rooms
  * @returns {string} - Shareable URL
  */
-export function generateShareUrl(roomCode) {
+export function generateShareUrl(roomCode, inviteToken) {
   const baseUrl = window.location.origin + window.location.pathname;
-  return `${baseUrl}?room=${roomCode}`;
+  const params = new URLSearchParams({ room: roomCode });
+  if (inviteToken) {
+    params.set("invite", inviteToken);
+  }
+  return `${baseUrl}?${params.toString()}`;
 }
 
 /**
@@ -18,6 +23,15 @@ export function getRoomFromUrl() {
   return roomParam ? roomParam.toUpperCase() : null;
 }
 
+/**
+ * Check URL for an invite token
+ * @returns {string|null} - Invite token from URL or null
+ */
+export function getInviteFromUrl() {
+  const urlParams = new URLSearchParams(window.location.search);
+  return urlParams.get("invite");
+}
+
 /**
  * Copy text to clipboard
  * @param {string} text - Text to copy
@@ -31,3 +45,84 @@ export async function copyToClipboard(text) {
     return false;
   }
 }
+
+const RECLAIM_STORAGE_KEY = "musicSharerReclaim";
+
+/**
+ * Remember the room this browser is broadcasting to, so it can be reclaimed
+ * @param {string} roomCode - Room code
+ * @param {string} reclaimToken - Secret token issued by the server
+ */
+export function saveReclaimInfo(roomCode, reclaimToken) {
+  localStorage.setItem(
+    RECLAIM_STORAGE_KEY,
+    JSON.stringify({ roomCode, reclaimToken })
+  );
+}
+
+/**
+ * Get the saved reclaim info for a previously broadcast room
+ * @returns {{roomCode: string, reclaimToken: string}|null} - Reclaim info or null
+ */
+export function getReclaimInfo() {
+  try {
+    const info = JSON.parse(localStorage.getItem(RECLAIM_STORAGE_KEY));
+    return info?.roomCode && info?.reclaimToken ? info : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Forget the saved reclaim info
+ */
+export function clearReclaimInfo() {
+  localStorage.removeItem(RECLAIM_STORAGE_KEY);
+}
+
+// Site names browsers append to tab titles, e.g. "Artist - Song - YouTube"
+const TAB_TITLE_SUFFIX = /\s*[-|–•]\s*(YouTube( Music)?|Spotify|SoundCloud|Bandcamp|Deezer|TIDAL|Apple Music|Mixcloud)\s*$/i;
+
+/**
+ * Guess a track's title and artist from a captured tab's label
+ * @param {string|null} label - Label of the captured track
+ * @returns {{title: string, artist: string}|null} - Parsed track, or null if the label doesn't name one
+ */
+export function parseTrackLabel(label) {
+  // Some browsers label the capture with an internal ID or a generic name instead of the tab title
+  if (!label || /^[\w-]+:\/\/|^(screen|window|tab):|^(tab|system) audio$/i.test(label)) {
+    return null;
+  }
+
+  const text = label.replace(/^\(\d+\)\s*/, "").replace(TAB_TITLE_SUFFIX, "").trim(); // "(3) " is an unread count
+  if (!text) {
+    return null;
+  }
+
+  const separator = text.indexOf(" - ");
+  if (separator === -1) {
+    return { title: text, artist: "" };
+  }
+  return { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+}
+
+/**
+ * Download a room's track history as a plain-text playlist
+ * @param {string} roomCode - Room code, used in the file name
+ * @param {Array} tracks - Tracks in play order: {title, artist, startedAt}
+ */
+export function downloadPlaylist(roomCode, tracks) {
+  const lines = tracks.map((track) => {
+    const date = new Date(track.startedAt);
+    const time = `${date.getHours().toString().padStart(2, "0")}:${date.getMinutes().toString().padStart(2, "0")}`;
+    return `${time}  ${track.artist ? `${track.artist} - ` : ""}${track.title}`;
+  });
+
+  const blob = new Blob([lines.join("\n") + "\n"], { type: "text/plain" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `vibep2p-${roomCode}-playlist.txt`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0); // After the download has started
+}
@@ -0,0 +1,56 @@
+import { getHttpServerUrl } from '../config';
+import { iceServers as defaultIceConfig } from './config';
+
+const REFRESH_MARGIN = 5 * 60 * 1000; // Refresh TURN credentials 5 minutes before they expire
+const RETRY_DELAY = 30 * 1000; // Retry a failed load after 30 seconds
+
+let currentConfig = null;
+let expiresAt = null;
+let refreshTimer = null;
+
+/**
+ * Load the ICE server list (with TURN credentials) from the server, and keep it fresh
+ * @returns {Promise<void>}
+ */
+export async function loadIceConfig() {
+  clearTimeout(refreshTimer);
+
+  try {
+    const response = await fetch(`${getHttpServerUrl()}/ice-config`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    currentConfig = { iceServers: data.iceServers };
+
+    // ttl is only set when the server issued TURN credentials
+    if (data.ttl) {
+      expiresAt = Date.now() + data.ttl * 1000;
+      refreshTimer = setTimeout(loadIceConfig, Math.max(expiresAt - Date.now() - REFRESH_MARGIN, RETRY_DELAY));
+    } else {
+      expiresAt = null;
+    }
+  } catch (error) {
+    console.warn('[ICE] Could not load ICE config, using default STUN servers:', error.message);
+    refreshTimer = setTimeout(loadIceConfig, RETRY_DELAY);
+  }
+}
+
+/**
+ * Get the configuration for a new RTCPeerConnection
+ * Synchronous so peer connections are registered before their ICE candidates arrive.
+ * @returns {RTCConfiguration} Server-issued config, or the default STUN servers until it has loaded
+ */
+export function getRtcConfiguration() {
+  if (!currentConfig) {
+    return defaultIceConfig;
+  }
+
+  // Timers are throttled in background tabs - fetch new credentials if these ran out
+  if (expiresAt && Date.now() >= expiresAt) {
+    loadIceConfig();
+  }
+
+  return currentConfig;
+}
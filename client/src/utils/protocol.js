@@ -0,0 +1,160 @@
+import schema from '../../../shared/protocol.json';
+
+// Error codes after which the current room/session can't be used any more
+const ROOM_ERROR_CODES = [
+  'room_not_found',
+  'invalid_reclaim_token',
+  'session_expired',
+  'invite_required',
+  'invalid_invite',
+  'banned',
+];
+
+// Error codes that should prompt the listener for the room password
+const PASSWORD_ERROR_CODES = ['password_required', 'invalid_password'];
+
+// Chat and direct messages refused by the room's chat policy (or because we're muted)
+const CHAT_ERROR_CODES = ['chat_muted', 'chat_too_long', 'slow_mode', 'blocked_word', 'links_not_allowed', 'recipient_unavailable'];
+
+// Broadcaster hand-offs that couldn't go ahead
+const TRANSFER_ERROR_CODES = ['transfer_target_unavailable', 'transfer_not_pending'];
+
+// Song requests, votes and updates that were refused
+const SONG_REQUEST_ERROR_CODES = ['song_request_limit', 'song_request_queue_full', 'song_request_not_found'];
+
+// Emojis the server accepts in reaction messages
+export const REACTION_EMOJIS = schema.clientMessages.reaction.emoji.enum;
+
+let requestCounter = 0;
+
+/**
+ * Get the type name used by the schema for a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - "array", "object", "string", "number", ...
+ */
+function typeOf(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Validate a single field against its spec
+ * @param {string} name - Field name
+ * @param {*} value - Field value
+ * @param {Object} spec - Field spec from the schema
+ * @returns {string|null} - Error description, or null if the field is valid
+ */
+function validateField(name, value, spec) {
+  if (value === undefined || value === null) {
+    return spec.required ? `Missing required field "${name}"` : null;
+  }
+
+  if (typeOf(value) !== spec.type) {
+    return `Field "${name}" must be of type ${spec.type}`;
+  }
+
+  if (spec.minLength !== undefined && value.length < spec.minLength) {
+    return `Field "${name}" is too short`;
+  }
+
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    return `Field "${name}" is too long`;
+  }
+
+  if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+    return `Field "${name}" has an invalid format`;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `Field "${name}" must be one of ${spec.enum.join(', ')}`;
+  }
+
+  if (spec.minimum !== undefined && value < spec.minimum) {
+    return `Field "${name}" must be at least ${spec.minimum}`;
+  }
+
+  if (spec.maximum !== undefined && value > spec.maximum) {
+    return `Field "${name}" must be at most ${spec.maximum}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a message received from the server against the shared schema
+ * @param {*} data - Parsed message
+ * @returns {{valid: boolean, error?: string}} - Validation result
+ */
+export function validateServerMessage(data) {
+  if (typeOf(data) !== 'object' || typeof data.type !== 'string') {
+    return { valid: false, error: 'Message must be an object with a type' };
+  }
+
+  const fields = schema.serverMessages[data.type];
+  if (!fields) {
+    return { valid: false, error: `Unknown message type: ${data.type}` };
+  }
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const error = validateField(name, data[name], spec);
+    if (error) {
+      return { valid: false, error };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Attach a request ID so server error replies can be matched to the request
+ * @param {Object} data - Outgoing message
+ * @returns {Object} - Message with a requestId
+ */
+export function withRequestId(data) {
+  requestCounter++;
+  return { ...data, requestId: `${Date.now().toString(36)}-${requestCounter}` };
+}
+
+/**
+ * Check whether a server error means the current room/session is gone
+ * @param {Object} error - Error message from the server
+ * @returns {boolean} - True if the client should leave the room screen
+ */
+export function isRoomError(error) {
+  return ROOM_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Check whether a server error asks for the room password
+ * @param {Object} error - Error message from the server
+ * @returns {boolean} - True if the client should prompt for a password
+ */
+export function isPasswordError(error) {
+  return PASSWORD_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Check whether a server error explains why our chat or direct message wasn't sent
+ * @param {Object} error - Error message from the server
+ * @returns {boolean} - True if the chat box should show the reason
+ */
+export function isChatError(error) {
+  return CHAT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Check whether a server error means a broadcaster hand-off couldn't go ahead
+ * @param {Object} error - Error message from the server
+ * @returns {boolean} - True if the pending transfer should be dropped
+ */
+export function isTransferError(error) {
+  return TRANSFER_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Check whether a server error means a song request or vote was refused
+ * @param {Object} error - Error message from the server
+ * @returns {boolean} - True if the user should be told why
+ */
+export function isSongRequestError(error) {
+  return SONG_REQUEST_ERROR_CODES.includes(error.code);
+}
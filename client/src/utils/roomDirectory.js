@@ -0,0 +1,25 @@
+import { getHttpServerUrl } from '../config';
+
+/**
+ * Fetch the live public rooms from the server's directory
+ * @param {Object} [filters] - {query, tags} to narrow the list
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<{rooms: Array, tags: Array}>} - Matching rooms (busiest first) and popular tags
+ */
+export async function fetchPublicRooms({ query, tags } = {}, signal) {
+  const params = new URLSearchParams();
+  if (query) {
+    params.set('q', query);
+  }
+  if (tags?.length) {
+    params.set('tag', tags.join(','));
+  }
+
+  const response = await fetch(`${getHttpServerUrl()}/rooms?${params.toString()}`, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  return { rooms: data.rooms, tags: data.tags };
+}
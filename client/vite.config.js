@@ -8,6 +8,9 @@ export default defineConfig({
   server: {
     host: true, // Expose to network
     port: 5173,
+    fs: {
+      allow: ['..'], // Allow importing the protocol schema from ../shared
+    },
   },
   css: {
     postcss: {
@@ -0,0 +1,78 @@
+const cluster = require("cluster");
+const path = require("path");
+const config = require("./src/config");
+const { createPrimaryRelay } = require("./src/adapters/clusterAdapter");
+const { createLogger } = require("./src/logger");
+
+const log = createLogger("cluster");
+
+// Runs several server.js workers on one port, relaying room traffic between them.
+// Workers keep a fixed node ID across restarts so a file-backed room store can be reloaded.
+
+const workers = new Map(); // Node ID -> live worker
+const relay = createPrimaryRelay(workers);
+let shuttingDown = false;
+
+/**
+ * Give a worker its own copy of a file path (e.g. data/rooms.json -> data/rooms-worker-1.json)
+ * @param {string} filePath - Shared file path
+ * @param {string} nodeId - Worker's node ID
+ * @returns {string} Per-worker file path
+ */
+function workerFilePath(filePath, nodeId) {
+  const { dir, name, ext } = path.parse(filePath);
+  return path.join(dir, `${name}-${nodeId}${ext}`);
+}
+
+/**
+ * Start (or restart) the worker for a node ID
+ * @param {string} nodeId - Node ID for the worker
+ */
+function startWorker(nodeId) {
+  const env = { CLUSTER_ADAPTER: "cluster", NODE_ID: nodeId };
+  if (config.ROOM_STORE === "file") {
+    // Each worker persists only the rooms it owns
+    env.ROOM_STORE_PATH = workerFilePath(config.ROOM_STORE_PATH, nodeId);
+  }
+  if (config.LOG_FILE) {
+    // Workers can't safely rotate a shared file
+    env.LOG_FILE = workerFilePath(config.LOG_FILE, nodeId);
+  }
+
+  const worker = cluster.fork(env);
+  workers.set(nodeId, worker);
+  relay.attach(worker);
+
+  worker.on("exit", (code, signal) => {
+    workers.delete(nodeId);
+    relay.nodeDown(nodeId);
+
+    if (shuttingDown) return;
+    log.error("Worker exited, restarting", { worker: nodeId, exit: signal || code });
+    startWorker(nodeId);
+  });
+}
+
+/**
+ * Start all workers and stop them together on shutdown
+ */
+function startPrimary() {
+  log.info("Starting workers", { count: config.CLUSTER_WORKERS });
+  for (let i = 1; i <= config.CLUSTER_WORKERS; i++) {
+    startWorker(`worker-${i}`);
+  }
+
+  ["SIGINT", "SIGTERM"].forEach((signal) => {
+    process.on(signal, () => {
+      log.info("Stopping workers", { signal });
+      shuttingDown = true;
+      workers.forEach((worker) => worker.kill(signal));
+    });
+  });
+}
+
+if (cluster.isPrimary) {
+  startPrimary();
+} else {
+  require("./server");
+}
@@ -2,8 +2,33 @@ const express = require("express");
 const http = require("http");
 const WebSocket = require("ws");
 const cors = require("cors");
-const { setupMessageHandlers } = require("./src/signaling");
-const { cleanupOldRooms } = require("./src/roomManager");
+const {
+  setupMessageHandlers,
+  handleMessage,
+  handleDisconnect,
+  restoreRooms,
+  handleRoomExpiring,
+  handleRoomExpiryCancelled,
+  expireRoom,
+  expireDueRooms,
+  handleReactionBurst,
+} = require("./src/signaling");
+const { flushRooms } = require("./src/roomManager");
+const lifecycle = require("./src/lifecycle");
+const reactions = require("./src/reactions");
+const rateLimiter = require("./src/rateLimiter");
+const heartbeat = require("./src/heartbeat");
+const router = require("./src/router");
+const { createAdapter } = require("./src/adapters");
+const { createAdminRouter, describeRoom, runAdminAction } = require("./src/admin");
+const { createDirectoryRouter, getDirectoryEntry } = require("./src/directory");
+const metrics = require("./src/metrics");
+const { getIceConfig } = require("./src/iceConfig");
+const { createLogger } = require("./src/logger");
+
+const log = createLogger("server");
+const { getClientIp, generateConnectionId } = require("./src/utils");
+const { createError } = require("./src/protocol");
 const config = require("./src/config");
 
 const app = express();
@@ -12,7 +37,9 @@ const app = express();
 app.use(cors());
 
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// maxPayload is a hard cap - frames beyond it close the socket without being buffered.
+// Anything between MAX_MESSAGE_SIZE and the cap gets a proper error reply.
+const wss = new WebSocket.Server({ server, maxPayload: config.MAX_MESSAGE_SIZE * 4 });
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -23,34 +50,115 @@ app.get("/health", (req, res) => {
   });
 });
 
+// STUN/TURN servers for RTCPeerConnection (TURN credentials are short-lived)
+app.get("/ice-config", (req, res) => {
+  res.set("Cache-Control", "no-store").json(getIceConfig());
+});
+
+// Prometheus metrics for this process
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.renderMetrics());
+});
+
+// Public directory of live rooms
+app.use("/rooms", createDirectoryRouter());
+
+// Admin API (requires ADMIN_TOKEN)
+app.use("/admin", createAdminRouter());
+
 // WebSocket connection handler
 wss.on("connection", (ws, req) => {
-  const clientIp = req.socket.remoteAddress;
-  const userAgent = req.headers['user-agent'];
-  console.log(`\n[SERVER] New WebSocket connection from ${clientIp}`);
-  console.log(`[SERVER] User-Agent: ${userAgent}`);
+  const clientIp = getClientIp(req, config.TRUST_PROXY);
+  ws.clientIp = clientIp;
+  ws.connId = generateConnectionId();
+  log.info("WebSocket connected", { ws });
+  log.debug("WebSocket user agent", { ws, userAgent: req.headers['user-agent'] });
   
-  ws.on('close', () => {
-    console.log(`[SERVER] WebSocket closed for ${clientIp}`);
-  });
+  const admission = rateLimiter.acceptConnection(clientIp);
+  if (!admission.allowed) {
+    log.warn("Rejected connection", { ws, reason: admission.message });
+    ws.send(JSON.stringify(createError(admission.code, {
+      message: admission.message,
+      retryAfter: Math.ceil(admission.retryAfterMs / 1000),
+    })));
+    ws.close(1008, admission.message);
+    return;
+  }
   
-  ws.on('error', (error) => {
-    console.error(`[SERVER] WebSocket error for ${clientIp}:`, error.message);
+  metrics.websocketConnections.inc();
+  heartbeat.trackConnection(ws);
+  
+  ws.on('close', (code) => {
+    log.info("WebSocket closed", { ws, code });
+    rateLimiter.releaseConnection(clientIp);
+    metrics.websocketConnections.dec();
   });
   
   setupMessageHandlers(ws);
 });
 
-// Clean up abandoned rooms (runs periodically)
+// Warn rooms before they expire and close them on time
+lifecycle.start({
+  onExpiring: handleRoomExpiring,
+  onExpiryCancelled: handleRoomExpiryCancelled,
+  onExpire: expireRoom,
+});
+
+// Relay batched emoji reactions to their rooms
+reactions.start({ onBurst: handleReactionBurst });
+
+// Bring back rooms saved before the last restart
+const restoredCount = restoreRooms();
+if (restoredCount > 0) {
+  log.info("Restored rooms from the room store", { count: restoredCount });
+}
+
+// Share rooms with the other server nodes (a no-op when running a single process).
+// Each room's summary feeds the other nodes' directory and admin room list.
+router.start(createAdapter(config), {
+  handleMessage,
+  handleDisconnect,
+  summarizeRoom: (roomCode, room) => ({
+    description: describeRoom(roomCode, room),
+    directoryEntry: getDirectoryEntry(roomCode, room),
+  }),
+  // Admin API actions forwarded by the node that received the HTTP request
+  handleNodeRequest: runAdminAction,
+});
+
+// Terminate half-open connections so their disconnect flow runs promptly
+heartbeat.start(wss);
+
+// Backstop sweep for rooms past their deadline (per-room timers normally close them on time)
+if (config.CLEANUP_INTERVAL) {
+  setInterval(() => {
+    const cleanedCount = expireDueRooms();
+    metrics.cleanupRuns.inc({ trigger: "interval" });
+    metrics.cleanupRoomsRemoved.inc({ trigger: "interval" }, cleanedCount);
+    if (cleanedCount > 0) {
+      log.info("Cleaned up expired rooms", { count: cleanedCount });
+    }
+  }, config.CLEANUP_INTERVAL);
+}
+
+// Drop rate limiter state for clients that have gone away
 setInterval(() => {
-  const cleanedCount = cleanupOldRooms(config.ROOM_PERSISTENCE_TIMEOUT);
-  if (cleanedCount > 0) {
-    console.log(`[SERVER] Cleaned up ${cleanedCount} abandoned room(s)`);
-  }
-}, config.CLEANUP_INTERVAL);
+  rateLimiter.cleanupIdleClients(config.RATE_LIMIT_SWEEP_INTERVAL);
+}, config.RATE_LIMIT_SWEEP_INTERVAL);
 
 server.listen(config.PORT, config.HOST, () => {
-  console.log(`[SERVER] VibeP2P server running on http://${config.HOST}:${config.PORT}`);
-  console.log(`[SERVER] Room persistence timeout: ${config.ROOM_PERSISTENCE_TIMEOUT / 1000 / 60} minutes`);
+  log.info("VibeP2P server running", {
+    url: `http://${config.HOST}:${config.PORT}`,
+    roomPersistenceMinutes: config.ROOM_PERSISTENCE_TIMEOUT / 1000 / 60,
+  });
+});
+ 
+
+// Write pending room changes before exiting (e.g. on redeploy)
+["SIGINT", "SIGTERM"].forEach((signal) => {
+  process.on(signal, () => {
+    log.info("Shutting down, saving rooms", { signal });
+    flushRooms();
+    process.exit(0);
+  });
 });
- 
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * Cluster Adapter - Node bus over Node's `cluster` IPC channel
+ *
+ * Workers send bus messages to the primary, which relays them to the
+ * target worker (or to every other worker for a publish).
+ */
+
+// Marks our IPC messages so they can't be confused with anything else on the channel
+const CHANNEL = "vibep2p-bus";
+
+/**
+ * Create a node bus for a cluster worker
+ * @param {string} nodeId - This worker's node ID (assigned by the primary)
+ * @returns {Object} Node bus ({ nodeId, publish, send, subscribe })
+ */
+function createClusterAdapter(nodeId) {
+  if (!process.send) {
+    throw new Error('CLUSTER_ADAPTER "cluster" requires running under cluster.js');
+  }
+
+  return {
+    nodeId,
+
+    /**
+     * Send a message to every other node
+     * @param {Object} message - Bus message
+     */
+    publish(message) {
+      process.send({ channel: CHANNEL, from: nodeId, to: null, message });
+    },
+
+    /**
+     * Send a message to one node
+     * @param {string} targetNodeId - Receiving node's ID
+     * @param {Object} message - Bus message
+     */
+    send(targetNodeId, message) {
+      process.send({ channel: CHANNEL, from: nodeId, to: targetNodeId, message });
+    },
+
+    /**
+     * Register the handler for messages from other nodes
+     * @param {Function} handler - Called with (message, fromNodeId)
+     */
+    subscribe(handler) {
+      process.on("message", (envelope) => {
+        if (envelope && envelope.channel === CHANNEL) {
+          handler(envelope.message, envelope.from);
+        }
+      });
+    },
+  };
+}
+
+/**
+ * Relay bus messages between workers (runs in the cluster primary)
+ * @param {Map<string, Worker>} workers - Live workers keyed by node ID
+ * @returns {Object} Relay ({ attach, nodeDown })
+ */
+function createPrimaryRelay(workers) {
+  /**
+   * Deliver an envelope to its target, or to every worker except the sender
+   * @param {Object} envelope - Bus envelope
+   */
+  function relay(envelope) {
+    if (envelope.to) {
+      const target = workers.get(envelope.to);
+      if (target && target.isConnected()) {
+        target.send(envelope);
+      }
+      return;
+    }
+
+    workers.forEach((worker, nodeId) => {
+      if (nodeId !== envelope.from && worker.isConnected()) {
+        worker.send(envelope);
+      }
+    });
+  }
+
+  return {
+    /**
+     * Start relaying bus messages sent by a worker
+     * @param {Worker} worker - Cluster worker
+     */
+    attach(worker) {
+      worker.on("message", (envelope) => {
+        if (envelope && envelope.channel === CHANNEL) {
+          relay(envelope);
+        }
+      });
+    },
+
+    /**
+     * Tell the remaining workers a node has died so they can drop its state
+     * @param {string} nodeId - ID of the dead node
+     */
+    nodeDown(nodeId) {
+      relay({ channel: CHANNEL, from: nodeId, to: null, message: { type: "node-down", nodeId } });
+    },
+  };
+}
+
+module.exports = {
+  createClusterAdapter,
+  createPrimaryRelay,
+};
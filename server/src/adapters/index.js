@@ -0,0 +1,31 @@
+/**
+ * Adapters - Picks the node bus implementation from config
+ *
+ * A node bus lets server processes talk to each other. It implements:
+ * publish(message) to every other node, send(nodeId, message) to one node,
+ * and subscribe(handler) where handler receives (message, fromNodeId).
+ * Messages must be JSON-serializable.
+ */
+
+const { createLocalAdapter } = require("./localAdapter");
+const { createClusterAdapter } = require("./clusterAdapter");
+
+/**
+ * Create the node bus selected by config.CLUSTER_ADAPTER
+ * @param {Object} config - Server configuration
+ * @returns {Object} Node bus
+ */
+function createAdapter(config) {
+  switch (config.CLUSTER_ADAPTER) {
+    case "cluster":
+      return createClusterAdapter(config.NODE_ID);
+    case "local":
+      return createLocalAdapter(config.NODE_ID);
+    default:
+      throw new Error(`Unknown CLUSTER_ADAPTER "${config.CLUSTER_ADAPTER}" (expected "local" or "cluster")`);
+  }
+}
+
+module.exports = {
+  createAdapter,
+};
@@ -0,0 +1,37 @@
+/**
+ * Local Adapter - Node bus for a single server process (no peers to talk to)
+ */
+
+/**
+ * Create a node bus that never leaves the current process
+ * @param {string} nodeId - This node's ID
+ * @returns {Object} Node bus ({ nodeId, publish, send, subscribe })
+ */
+function createLocalAdapter(nodeId) {
+  return {
+    nodeId,
+
+    /**
+     * Send a message to every other node (there are none)
+     * @param {Object} message - Bus message
+     */
+    publish() {},
+
+    /**
+     * Send a message to one node (there are none)
+     * @param {string} targetNodeId - Receiving node's ID
+     * @param {Object} message - Bus message
+     */
+    send() {},
+
+    /**
+     * Register the handler for messages from other nodes
+     * @param {Function} handler - Called with (message, fromNodeId)
+     */
+    subscribe() {},
+  };
+}
+
+module.exports = {
+  createLocalAdapter,
+};
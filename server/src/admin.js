@@ -0,0 +1,274 @@
+/**
+ * Admin API - Authenticated REST endpoints for inspecting and controlling rooms
+ *
+ * The room list covers the whole cluster, using the summaries other nodes
+ * publish over the node bus. Actions on a single room are forwarded over the
+ * bus to the node that owns it, and cleanup runs on every node.
+ */
+
+const express = require("express");
+const WebSocket = require("ws");
+const roomManager = require("./roomManager");
+const { sendSystemMessage, closeRoom, expireDueRooms } = require("./signaling");
+const metrics = require("./metrics");
+const router = require("./router");
+const { tokensMatch } = require("./utils");
+const config = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("admin");
+
+const MAX_ANNOUNCEMENT_LENGTH = 500; // Same limit as a chat message
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Send a JSON error response
+ * @param {Response} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable description
+ */
+function sendError(res, status, code, message) {
+  res.status(status).json({ code, message });
+}
+
+/**
+ * Reject requests without a valid `Authorization: Bearer <ADMIN_TOKEN>` header
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdminToken(req, res, next) {
+  if (!config.ADMIN_TOKEN) {
+    sendError(res, 404, "admin_disabled", "Admin API is disabled (set ADMIN_TOKEN to enable it)");
+    return;
+  }
+
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token || !tokensMatch(config.ADMIN_TOKEN, token)) {
+    sendError(res, 401, "unauthorized", "Missing or invalid admin token");
+    return;
+  }
+
+  next();
+}
+
+/**
+ * Check whether a socket (local or remote) is currently connected
+ * @param {WebSocket|Object} socket - Socket to check
+ * @returns {boolean} True if open
+ */
+function isConnected(socket) {
+  return !!socket && socket.readyState === WebSocket.OPEN;
+}
+
+/**
+ * Describe a room for the admin API
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @param {boolean} [detailed] - Include listeners, bans and chat stats
+ * @returns {Object} Room description
+ */
+function describeRoom(roomCode, room, detailed = false) {
+  const description = {
+    roomCode,
+    status: room.abandonedAt ? "abandoned" : "active",
+    createdAt: room.createdAt,
+    lastActivityAt: room.lastActivityAt,
+    abandonedAt: room.abandonedAt,
+    passwordProtected: !!room.passwordHash,
+    inviteOnly: room.inviteOnly,
+    ownerIp: room.ownerIp,
+    broadcaster: room.broadcaster
+      ? { connected: isConnected(room.broadcaster), ip: room.broadcaster.clientIp || null }
+      : null,
+    listenerCount: room.listeners.size,
+  };
+
+  if (detailed) {
+    description.listeners = Array.from(room.listeners.entries()).map(([listenerWs, listenerData]) => ({
+      id: listenerData.id,
+      name: listenerData.name,
+      joinedAt: listenerData.joinedAt,
+      connected: !listenerData.disconnectedAt && isConnected(listenerWs),
+      disconnectedAt: listenerData.disconnectedAt,
+      chatMuted: listenerData.chatMuted,
+      ip: listenerWs.clientIp || null,
+    }));
+    description.bannedSessionCount = room.bannedSessions.size;
+    description.bannedIps = Array.from(room.bannedIps);
+    description.chatMessageCount = room.chatHistory.length;
+  }
+
+  return description;
+}
+
+/**
+ * Build the reply for a room this process doesn't hold
+ * @returns {Object} { status, body } HTTP reply
+ */
+function roomNotFound() {
+  return { status: 404, body: { code: "room_not_found", message: "Room not found" } };
+}
+
+/**
+ * Run an admin action against the rooms this process holds
+ * Actions are plain objects so another node can forward them over the node bus.
+ * @param {Object} action - { name: "show"|"close"|"announce"|"cleanup", roomCode, reason, message, ip }
+ * @returns {Object} { status, body } HTTP reply
+ */
+function runAdminAction(action) {
+  const { roomCode, ip } = action;
+
+  switch (action.name) {
+    case "show": {
+      const room = roomManager.getRoom(roomCode);
+      if (!room) return roomNotFound();
+      return { status: 200, body: describeRoom(roomCode, room, true) };
+    }
+
+    case "close": {
+      const result = closeRoom(roomCode, action.reason);
+      if (!result.success) return roomNotFound();
+
+      log.info("Room force-closed by admin", { roomCode, reason: action.reason, ip });
+      return { status: 200, body: { closed: roomCode } };
+    }
+
+    case "announce": {
+      const chatMessage = sendSystemMessage(roomCode, action.message);
+      if (!chatMessage) return roomNotFound();
+
+      log.info("Announcement posted by admin", { roomCode, ip });
+      return { status: 201, body: chatMessage };
+    }
+
+    case "cleanup": {
+      const cleanedCount = expireDueRooms();
+      metrics.cleanupRuns.inc({ trigger: "admin" });
+      metrics.cleanupRoomsRemoved.inc({ trigger: "admin" }, cleanedCount);
+
+      log.info("Manual cleanup by admin", { count: cleanedCount, ip });
+      return { status: 200, body: { cleaned: cleanedCount } };
+    }
+
+    default:
+      return { status: 400, body: { code: "invalid_request", message: `Unknown admin action "${action.name}"` } };
+  }
+}
+
+/**
+ * Run an admin action for one room on whichever node holds it, and send the reply
+ * @param {Response} res - Express response
+ * @param {Object} action - Admin action (see runAdminAction)
+ */
+function runRoomAction(res, action) {
+  const node = router.getRoomNode(action.roomCode);
+  if (!node) {
+    const reply = runAdminAction(action);
+    res.status(reply.status).json(reply.body);
+    return;
+  }
+
+  router.requestNode(node, action, (error, reply) => {
+    if (error) {
+      log.warn("Forwarded admin action failed", { roomCode: action.roomCode, homeNode: node, error: error.message });
+      sendError(res, 502, "node_unavailable", `The server holding room ${action.roomCode} did not answer`);
+      return;
+    }
+    res.status(reply.status).json(reply.body);
+  });
+}
+
+/**
+ * Create the /admin router
+ * @returns {express.Router} Admin API router
+ */
+function createAdminRouter() {
+  const adminRouter = express.Router();
+
+  adminRouter.use(requireAdminToken);
+  adminRouter.use(express.json());
+
+  // List all rooms in the cluster, optionally filtered by ?status=active|abandoned
+  adminRouter.get("/rooms", (req, res) => {
+    const { status } = req.query;
+    const rooms = roomManager
+      .getRoomCodes()
+      .map((roomCode) => ({ ...describeRoom(roomCode, roomManager.getRoom(roomCode)), node: config.NODE_ID }))
+      .concat(router.getRemoteRooms().map(({ node, description }) => ({ ...description, node })))
+      .filter((room) => !status || room.status === status);
+
+    res.json({ node: config.NODE_ID, rooms });
+  });
+
+  // Show a single room with its listeners
+  adminRouter.get("/rooms/:roomCode", (req, res) => {
+    runRoomAction(res, { name: "show", roomCode: req.params.roomCode.toUpperCase() });
+  });
+
+  // Force-close a room, telling its users why
+  adminRouter.delete("/rooms/:roomCode", (req, res) => {
+    const roomCode = req.params.roomCode.toUpperCase();
+    const reason = req.body?.reason;
+
+    if (reason !== undefined && (typeof reason !== "string" || reason.length > MAX_REASON_LENGTH)) {
+      sendError(res, 400, "invalid_request", `"reason" must be a string of at most ${MAX_REASON_LENGTH} characters`);
+      return;
+    }
+
+    runRoomAction(res, { name: "close", roomCode, reason, ip: req.ip });
+  });
+
+  // Post a system announcement into a room's chat
+  adminRouter.post("/rooms/:roomCode/announcements", (req, res) => {
+    const roomCode = req.params.roomCode.toUpperCase();
+    const message = req.body?.message;
+
+    if (typeof message !== "string" || !message.trim() || message.length > MAX_ANNOUNCEMENT_LENGTH) {
+      sendError(res, 400, "invalid_request", `"message" must be a non-empty string of at most ${MAX_ANNOUNCEMENT_LENGTH} characters`);
+      return;
+    }
+
+    runRoomAction(res, { name: "announce", roomCode, message: message.trim(), ip: req.ip });
+  });
+
+  // Close any room past its deadline now, on every node, instead of waiting for the next sweep
+  adminRouter.post("/cleanup", (req, res) => {
+    const action = { name: "cleanup", ip: req.ip };
+    let cleaned = runAdminAction(action).body.cleaned;
+
+    // Nodes holding no rooms have nothing to clean up
+    const nodes = Array.from(new Set(router.getRemoteRooms().map((room) => room.node)));
+    const unreachableNodes = [];
+    let waiting = nodes.length;
+
+    const finish = () => {
+      res.json(unreachableNodes.length ? { cleaned, unreachableNodes } : { cleaned });
+    };
+
+    if (waiting === 0) {
+      finish();
+      return;
+    }
+
+    nodes.forEach((node) => {
+      router.requestNode(node, action, (error, reply) => {
+        if (error) {
+          unreachableNodes.push(node);
+        } else {
+          cleaned += reply.body.cleaned;
+        }
+        if (--waiting === 0) finish();
+      });
+    });
+  });
+
+  return adminRouter;
+}
+
+module.exports = {
+  createAdminRouter,
+  describeRoom,
+  runAdminAction,
+};
@@ -0,0 +1,130 @@
+/**
+ * Chat Policy - Per-room chat rules set by the broadcaster
+ *
+ * A policy limits message length, throttles listeners with slow mode,
+ * masks or rejects blocked words and can refuse links. The broadcaster
+ * is exempt from slow mode and link blocking; the other rules apply to everyone.
+ */
+
+const config = require("./config");
+
+const MAX_BLOCKED_WORD_LENGTH = 32;
+
+// URLs, "www." hosts and bare domains on common TLDs (example.com, foo.gg, ...)
+const LINK_PATTERN = /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|me|gg|tv|ly|app|dev|xyz|info|link)\b/i;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a regular expression matching any of the blocked words as whole words
+ * @param {string[]} blockedWords - Lowercase blocked words
+ * @returns {RegExp|null} Global, case-insensitive pattern, or null if nothing is blocked
+ */
+function getBlockedWordPattern(blockedWords) {
+  if (blockedWords.length === 0) return null;
+
+  const alternatives = blockedWords.map(escapeRegExp).join("|");
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`, "giu");
+}
+
+/**
+ * Create the policy a new room starts with
+ * @returns {Object} Chat policy
+ */
+function createDefaultPolicy() {
+  return { ...config.DEFAULT_CHAT_POLICY, blockedWords: [...config.DEFAULT_CHAT_POLICY.blockedWords] };
+}
+
+/**
+ * Apply a broadcaster's changes to a room's policy
+ * Types and ranges are already checked against the protocol schema.
+ * @param {Object} policy - Current chat policy
+ * @param {Object} changes - Fields to change (set-chat-policy message)
+ * @returns {Object} { success, policy } or { success: false, code, error, field }
+ */
+function updatePolicy(policy, changes) {
+  const updated = { ...policy };
+
+  if (changes.maxLength !== undefined) updated.maxLength = Math.floor(changes.maxLength);
+  if (changes.slowModeSeconds !== undefined) updated.slowModeSeconds = Math.floor(changes.slowModeSeconds);
+  if (changes.blockedWordAction !== undefined) updated.blockedWordAction = changes.blockedWordAction;
+  if (changes.blockLinks !== undefined) updated.blockLinks = changes.blockLinks;
+
+  if (changes.blockedWords !== undefined) {
+    const words = new Set();
+    for (const word of changes.blockedWords) {
+      if (typeof word !== "string" || word.trim().length === 0 || word.trim().length > MAX_BLOCKED_WORD_LENGTH) {
+        return {
+          success: false,
+          code: "invalid_message",
+          error: `Blocked words must be 1-${MAX_BLOCKED_WORD_LENGTH} characters`,
+          field: "blockedWords",
+        };
+      }
+      words.add(word.trim().toLowerCase());
+    }
+
+    if (words.size > config.CHAT_BLOCKED_WORDS_LIMIT) {
+      return {
+        success: false,
+        code: "invalid_message",
+        error: `At most ${config.CHAT_BLOCKED_WORDS_LIMIT} blocked words are allowed`,
+        field: "blockedWords",
+      };
+    }
+    updated.blockedWords = Array.from(words);
+  }
+
+  return { success: true, policy: updated };
+}
+
+/**
+ * Check a chat message against a room's policy
+ * @param {Object} policy - Room's chat policy
+ * @param {string} message - Message text
+ * @param {Object} sender - { isBroadcaster, lastChatAt } for the sender
+ * @param {number} now - Current time
+ * @returns {Object} { allowed: true, message } with blocked words masked,
+ *   or { allowed: false, code, error, retryAfter } (error and retryAfter are optional)
+ */
+function checkMessage(policy, message, sender, now) {
+  if (message.length > policy.maxLength) {
+    return { allowed: false, code: "chat_too_long", error: `Messages are limited to ${policy.maxLength} characters in this room` };
+  }
+
+  if (!sender.isBroadcaster && policy.slowModeSeconds > 0 && sender.lastChatAt) {
+    const waitMs = sender.lastChatAt + policy.slowModeSeconds * 1000 - now;
+    if (waitMs > 0) {
+      return { allowed: false, code: "slow_mode", retryAfter: Math.ceil(waitMs / 1000) };
+    }
+  }
+
+  if (!sender.isBroadcaster && policy.blockLinks && LINK_PATTERN.test(message)) {
+    return { allowed: false, code: "links_not_allowed" };
+  }
+
+  const blockedWordPattern = getBlockedWordPattern(policy.blockedWords);
+  if (blockedWordPattern && blockedWordPattern.test(message)) {
+    if (policy.blockedWordAction === "reject") {
+      return { allowed: false, code: "blocked_word" };
+    }
+
+    blockedWordPattern.lastIndex = 0;
+    return { allowed: true, message: message.replace(blockedWordPattern, (word) => "*".repeat(word.length)) };
+  }
+
+  return { allowed: true, message };
+}
+
+module.exports = {
+  createDefaultPolicy,
+  updatePolicy,
+  checkMessage,
+};
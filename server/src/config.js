@@ -3,15 +3,155 @@
  * Centralized configuration for the VibeP2P server
  */
 
+const crypto = require("crypto");
+const path = require("path");
+const os = require("os");
+
+/**
+ * Read a number from an environment variable, allowing an explicit 0
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value when the variable is unset or not a number
+ * @returns {number} Configured value
+ */
+function numberFromEnv(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === "") {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    // The logger reads its settings from this file, so it isn't available yet
+    console.warn(`Ignoring invalid ${name}="${value}" - using the default (${defaultValue})`);
+    return defaultValue;
+  }
+  return number;
+}
+
 module.exports = {
-  // Room persistence settings
-  ROOM_PERSISTENCE_TIMEOUT: 60 * 60 * 1000, // 1 hour in milliseconds (editable)
+  // Room lifecycle settings (milliseconds; 0 disables a limit)
+  ROOM_PERSISTENCE_TIMEOUT: numberFromEnv("ROOM_PERSISTENCE_TIMEOUT", 60 * 60 * 1000), // 1 hour - how long a room outlives everyone leaving
+  ROOM_MAX_AGE: numberFromEnv("ROOM_MAX_AGE", 24 * 60 * 60 * 1000), // 24 hours - rooms are closed this long after creation, even in use
+  ROOM_IDLE_TIMEOUT: numberFromEnv("ROOM_IDLE_TIMEOUT", 0), // Off - close rooms with no joins, leaves or chat for this long
+  ROOM_EXPIRY_WARNING: numberFromEnv("ROOM_EXPIRY_WARNING", 5 * 60 * 1000), // 5 minutes - warn users this long before a room closes
+  CLEANUP_INTERVAL: numberFromEnv("CLEANUP_INTERVAL", 60 * 60 * 1000), // 1 hour - backstop sweep for rooms past their deadline (0 turns it off)
+  
+  // Listener session settings
+  SESSION_GRACE_PERIOD: numberFromEnv("SESSION_GRACE_PERIOD", 60 * 1000), // 1 minute - how long a disconnected listener's slot is kept for resume
+  BROADCASTER_TRANSFER_TIMEOUT: 60 * 1000, // 1 minute - how long a listener has to accept the broadcaster role
+  DJ_QUEUE_LIMIT: 20, // Listeners who can sign up to broadcast next in one room
+  
+  // Room access settings
+  // Set INVITE_SECRET in production so invite links survive a restart
+  INVITE_SECRET: process.env.INVITE_SECRET || crypto.randomBytes(32).toString("hex"),
+  INVITE_TOKEN_TTL: 24 * 60 * 60 * 1000, // 24 hours - how long an invite link stays valid
+  
+  // Abuse protection settings
+  MAX_MESSAGE_SIZE: 64 * 1024, // 64 KB - largest signaling message accepted (SDP offers are a few KB)
+  MAX_CONNECTIONS_PER_IP: 20, // Concurrent WebSocket connections per client IP, per server process
+  MAX_ROOMS_PER_IP: 10, // Rooms (active or persisted) one client IP may own at a time, across the whole cluster
+  RATE_LIMITS: {
+    // Token buckets: `capacity` is the burst size, `refillPerSecond` the sustained rate.
+    // Limiter state lives in each server process, so behind cluster.js one IP gets these per worker.
+    connectionsPerIp: { capacity: 20, refillPerSecond: 1 },
+    messagesPerConnection: { capacity: 300, refillPerSecond: 50 }, // Renegotiation sends bursts of ICE candidates
+    perConnection: {
+      "create-room": { capacity: 3, refillPerSecond: 0.1 },
+      "join-room": { capacity: 5, refillPerSecond: 0.5 }, // Also slows down password guessing
+      "chat-message": { capacity: 5, refillPerSecond: 1 },
+      "chat-history": { capacity: 5, refillPerSecond: 1 },
+      "direct-message": { capacity: 5, refillPerSecond: 1 },
+      "set-chat-policy": { capacity: 5, refillPerSecond: 0.5 },
+      "reaction": { capacity: 10, refillPerSecond: 4 }, // The client sends at most one every 300 ms
+      "presence": { capacity: 10, refillPerSecond: 2 }, // State changes and typing start/stop
+      "transfer-broadcaster": { capacity: 3, refillPerSecond: 0.1 },
+      "dj-queue-join": { capacity: 3, refillPerSecond: 0.1 },
+      "dj-skip": { capacity: 3, refillPerSecond: 0.1 },
+      "now-playing": { capacity: 5, refillPerSecond: 0.2 },
+      "song-request": { capacity: 3, refillPerSecond: 0.05 },
+      "song-request-vote": { capacity: 10, refillPerSecond: 1 },
+      "song-request-update": { capacity: 10, refillPerSecond: 1 },
+      "set-room-listing": { capacity: 5, refillPerSecond: 0.5 },
+    },
+    perIp: {
+      "create-room": { capacity: 10, refillPerSecond: 1 / 30 },
+      "join-room": { capacity: 30, refillPerSecond: 1 },
+      "chat-message": { capacity: 20, refillPerSecond: 4 },
+      "direct-message": { capacity: 20, refillPerSecond: 4 },
+      "reaction": { capacity: 100, refillPerSecond: 20 },
+    },
+  },
+  MAX_VIOLATIONS: 10, // Rejected messages tolerated (refilling 1 per VIOLATION_DECAY) before disconnecting
+  VIOLATION_DECAY: 10 * 1000, // 10 seconds
+  RATE_LIMIT_SWEEP_INTERVAL: 5 * 60 * 1000, // 5 minutes - how often idle per-IP limiter state is dropped
+  
+  // ICE server settings (served to clients at /ice-config)
+  // Comma-separated lists, e.g. TURN_URLS="turn:turn.example.com:3478,turns:turn.example.com:5349"
+  STUN_URLS: (process.env.STUN_URLS || "stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302").split(",").filter(Boolean),
+  TURN_URLS: (process.env.TURN_URLS || "").split(",").filter(Boolean),
+  TURN_SECRET: process.env.TURN_SECRET || null, // coturn's static-auth-secret; TURN is only offered when set
+  TURN_CREDENTIAL_TTL: 60 * 60 * 1000, // 1 hour - how long issued TURN credentials stay valid
+  
+  // Connection health settings
+  HEARTBEAT_INTERVAL: numberFromEnv("HEARTBEAT_INTERVAL", 30 * 1000), // 30 seconds - how often every connection is pinged (0 turns pings off)
+  HEARTBEAT_TIMEOUT: numberFromEnv("HEARTBEAT_TIMEOUT", 10 * 1000), // 10 seconds - connections silent this long after a ping are terminated
+  
+  // Admin API settings
+  // The /admin API is disabled unless ADMIN_TOKEN is set
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || null,
+  
+  // Room storage settings
+  // "memory" loses rooms on restart; "file" keeps them in ROOM_STORE_PATH (use a persistent disk)
+  ROOM_STORE: process.env.ROOM_STORE || "memory",
+  ROOM_STORE_PATH: process.env.ROOM_STORE_PATH || path.join(__dirname, "..", "data", "rooms.json"),
+  ROOM_STORE_FLUSH_DELAY: 1000, // 1 second - changes are batched into one write per delay
+  CHAT_HISTORY_LIMIT: 100, // Chat messages kept per room
+  CHAT_HISTORY_PAGE_SIZE: 50, // Chat messages sent on join, and per chat-history request by default
+  
+  // Chat policy settings
+  // Every new room starts with this policy; its broadcaster can change it with set-chat-policy
+  DEFAULT_CHAT_POLICY: {
+    maxLength: 500, // Characters per message (the protocol never allows more than 500)
+    slowModeSeconds: 0, // Off - minimum wait between one listener's messages
+    blockedWords: [], // Matched as whole words, ignoring case
+    blockedWordAction: "mask", // "mask" replaces blocked words with asterisks, "reject" refuses the message
+    blockLinks: false, // Refuse listener messages that contain URLs or domain names
+  },
+  CHAT_BLOCKED_WORDS_LIMIT: 50, // Blocked words per room
+  
+  // Reaction settings
+  REACTION_BURST_INTERVAL: 1000, // 1 second - reactions are counted per room and sent out as one burst per interval
+  REACTION_TRACK_HISTORY: 20, // Finished tracks whose reaction tallies are kept per room
+  
+  // Now-playing settings
+  TRACK_HISTORY_LIMIT: 200, // Now-playing tracks kept per room for the playlist export
+  
+  // Song request settings
+  SONG_REQUESTS_PER_LISTENER: 3, // Open requests one listener may have in the queue at a time
+  SONG_REQUEST_QUEUE_LIMIT: 50, // Open requests per room
+  
+  // Room directory settings
+  ROOM_DIRECTORY_LIMIT: 50, // Most rooms one GET /rooms response lists
+  ROOM_TAGS_LIMIT: 5, // Genre tags per public room
+  
+  // Multi-process settings
+  // "local" runs a single process; "cluster" is set by cluster.js for its workers
+  CLUSTER_ADAPTER: process.env.CLUSTER_ADAPTER || "local",
+  NODE_ID: process.env.NODE_ID || `${os.hostname()}-${process.pid}`, // Must be unique per server process
+  NODE_REQUEST_TIMEOUT: 5 * 1000, // 5 seconds - how long to wait for another node to answer a request (e.g. a forwarded admin action)
+  ROOM_SYNC_INTERVAL: numberFromEnv("ROOM_SYNC_INTERVAL", 5 * 1000), // 5 seconds - how often each node republishes its rooms' status, listener counts and listings (0 only publishes on create/delete)
+  CLUSTER_WORKERS: Number(process.env.CLUSTER_WORKERS) || os.cpus().length, // Worker processes started by cluster.js
   
-  // Room cleanup settings
-  ROOM_MAX_AGE: 24 * 60 * 60 * 1000, // 24 hours - clean up very old rooms
-  CLEANUP_INTERVAL: 60 * 60 * 1000, // 1 hour - how often to run cleanup
+  // Logging settings
+  LOG_LEVEL: process.env.LOG_LEVEL || "info", // "debug", "info", "warn" or "error"
+  LOG_REDACT_IPS: process.env.LOG_REDACT_IPS === "true", // Replace client IPs with a per-process hash
+  LOG_REDACT_NAMES: process.env.LOG_REDACT_NAMES === "true", // Hide listener display names
+  LOG_FILE: process.env.LOG_FILE || null, // Also append JSON lines to this file (rotated)
+  LOG_FILE_MAX_SIZE: 10 * 1024 * 1024, // 10 MB - rotate the log file beyond this size
+  LOG_FILE_MAX_FILES: 5, // Rotated files kept (app.log.1 ... app.log.4)
   
   // Server settings
   PORT: process.env.PORT || 3000,
   HOST: "0.0.0.0",
+  TRUST_PROXY: process.env.TRUST_PROXY === "true", // Read client IPs from X-Forwarded-For (e.g. behind Render's proxy)
 };
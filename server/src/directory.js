@@ -0,0 +1,211 @@
+/**
+ * Room Directory - Public listings of live rooms, served at GET /rooms
+ *
+ * A broadcaster opts in with set-room-listing (name, description, genre tags
+ * and language). Only rooms with a connected broadcaster are listed, and
+ * invite-only rooms never are. Rooms on other server nodes are listed from
+ * the summaries those nodes publish over the node bus (see router.js).
+ */
+
+const express = require("express");
+const WebSocket = require("ws");
+const roomManager = require("./roomManager");
+const router = require("./router");
+const config = require("./config");
+
+const MAX_TAG_LENGTH = 24;
+const MAX_QUERY_LENGTH = 100;
+const POPULAR_TAGS_LIMIT = 20; // Tags suggested alongside the listing
+
+/**
+ * Check and normalise a broadcaster's listing
+ * Types and lengths are already checked against the protocol schema.
+ * @param {Object} data - set-room-listing message
+ * @returns {Object} { success, listing } (listing is null when the room goes private)
+ *   or { success: false, code, error, field }
+ */
+function createListing(data) {
+  if (!data.public) {
+    return { success: true, listing: null };
+  }
+
+  const name = (data.name || "").trim();
+  if (!name) {
+    return { success: false, code: "invalid_message", error: "Public rooms need a name", field: "name" };
+  }
+
+  const tags = new Set();
+  for (const tag of data.tags || []) {
+    const normalized = typeof tag === "string" ? tag.trim().toLowerCase().replace(/^#/, "") : "";
+    if (!normalized || normalized.length > MAX_TAG_LENGTH) {
+      return {
+        success: false,
+        code: "invalid_message",
+        error: `Tags must be 1-${MAX_TAG_LENGTH} characters`,
+        field: "tags",
+      };
+    }
+    tags.add(normalized);
+  }
+
+  if (tags.size > config.ROOM_TAGS_LIMIT) {
+    return {
+      success: false,
+      code: "invalid_message",
+      error: `At most ${config.ROOM_TAGS_LIMIT} tags are allowed`,
+      field: "tags",
+    };
+  }
+
+  return {
+    success: true,
+    listing: {
+      name,
+      description: (data.description || "").trim() || null,
+      tags: Array.from(tags),
+      language: (data.language || "").trim() || null,
+    },
+  };
+}
+
+/**
+ * Check whether a room belongs in the directory right now
+ * @param {Object} room - Room object
+ * @returns {boolean} True if it is public, not invite-only and someone is broadcasting
+ */
+function isListed(room) {
+  return !!room.listing && !room.inviteOnly && !!room.broadcaster && room.broadcaster.readyState === WebSocket.OPEN;
+}
+
+/**
+ * Describe a listed room for the directory
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @returns {Object} Directory entry
+ */
+function describeRoom(roomCode, room) {
+  return {
+    roomCode,
+    ...room.listing,
+    broadcasterName: room.broadcasterName,
+    passwordProtected: !!room.passwordHash,
+    listenerCount: room.listeners.size,
+    nowPlaying: room.nowPlaying
+      ? { title: room.nowPlaying.title, artist: room.nowPlaying.artist, artworkUrl: room.nowPlaying.artworkUrl }
+      : null,
+    createdAt: room.createdAt,
+  };
+}
+
+/**
+ * Describe a room for the directory if it is listed right now
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @returns {Object|null} Directory entry, or null if the room isn't listed
+ */
+function getDirectoryEntry(roomCode, room) {
+  return isListed(room) ? describeRoom(roomCode, room) : null;
+}
+
+/**
+ * Check whether a directory entry matches a search
+ * @param {Object} entry - Directory entry
+ * @param {Object} filters - { query, tags, language } (all lowercase, any may be empty)
+ * @returns {boolean} True if the entry matches every filter
+ */
+function matchesFilters(entry, { query, tags, language }) {
+  if (language && (entry.language || "").toLowerCase() !== language) {
+    return false;
+  }
+  if (tags.some((tag) => !entry.tags.includes(tag))) {
+    return false;
+  }
+  if (!query) {
+    return true;
+  }
+
+  const searchable = [
+    entry.name,
+    entry.description,
+    entry.broadcasterName,
+    entry.nowPlaying && entry.nowPlaying.title,
+    entry.nowPlaying && entry.nowPlaying.artist,
+    ...entry.tags,
+  ];
+  return searchable.some((text) => text && text.toLowerCase().includes(query));
+}
+
+/**
+ * Read a query parameter that may be given once, several times or comma-separated
+ * @param {string|string[]|undefined} value - Raw query value
+ * @returns {string[]} Lowercase values
+ */
+function parseList(value) {
+  return []
+    .concat(value || [])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim().toLowerCase().replace(/^#/, ""))
+    .filter(Boolean);
+}
+
+/**
+ * List the live public rooms across the cluster, busiest first
+ * @param {Object} [filters] - { query, tags, language }
+ * @returns {Object} { rooms, tags } - matching rooms and the most used tags across all listed rooms
+ */
+function findPublicRooms(filters = {}) {
+  const listed = roomManager
+    .getRoomCodes()
+    .map((roomCode) => getDirectoryEntry(roomCode, roomManager.getRoom(roomCode)))
+    .concat(router.getRemoteRooms().map((summary) => summary.directoryEntry))
+    .filter(Boolean);
+
+  const tagCounts = new Map();
+  listed.forEach((entry) => entry.tags.forEach((tag) => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+
+  const normalizedFilters = {
+    query: (filters.query || "").trim().toLowerCase(),
+    tags: filters.tags || [],
+    language: (filters.language || "").trim().toLowerCase(),
+  };
+
+  const rooms = listed
+    .filter((entry) => matchesFilters(entry, normalizedFilters))
+    .sort((a, b) => b.listenerCount - a.listenerCount || b.createdAt - a.createdAt)
+    .slice(0, config.ROOM_DIRECTORY_LIMIT);
+
+  const tags = Array.from(tagCounts, ([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, POPULAR_TAGS_LIMIT);
+
+  return { rooms, tags };
+}
+
+/**
+ * Create the /rooms router
+ * @returns {express.Router} Room directory router
+ */
+function createDirectoryRouter() {
+  const directoryRouter = express.Router();
+
+  // List live public rooms: ?q= searches names, descriptions, tags and what's playing,
+  // ?tag= (repeatable or comma-separated) requires every tag, ?language= matches exactly
+  directoryRouter.get("/", (req, res) => {
+    const query = typeof req.query.q === "string" ? req.query.q.slice(0, MAX_QUERY_LENGTH) : "";
+    const language = typeof req.query.language === "string" ? req.query.language : "";
+
+    res.set("Cache-Control", "no-store").json({
+      node: config.NODE_ID,
+      ...findPublicRooms({ query, tags: parseList(req.query.tag), language }),
+    });
+  });
+
+  return directoryRouter;
+}
+
+module.exports = {
+  createListing,
+  getDirectoryEntry,
+  findPublicRooms,
+  createDirectoryRouter,
+};
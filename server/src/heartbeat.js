@@ -0,0 +1,72 @@
+/**
+ * Heartbeat - Pings every connection and terminates the ones that stop answering
+ *
+ * A phone that drops off Wi-Fi can leave its socket half-open for minutes.
+ * Terminating it fires the normal close handler, so the usual disconnect
+ * flow (held listener slot, broadcaster-disconnected, ...) runs right away.
+ */
+
+const WebSocket = require("ws");
+const metrics = require("./metrics");
+const config = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("heartbeat");
+
+/**
+ * Record that a connection just proved it is alive
+ * @param {WebSocket} ws - WebSocket connection
+ */
+function markAlive(ws) {
+  ws.lastSeenAt = Date.now();
+}
+
+/**
+ * Start tracking a new connection (any pong or message counts as a sign of life)
+ * @param {WebSocket} ws - WebSocket connection
+ */
+function trackConnection(ws) {
+  markAlive(ws);
+
+  ws.on("pong", () => markAlive(ws));
+  ws.on("message", () => markAlive(ws));
+  ws.on("close", () => clearTimeout(ws.heartbeatTimer));
+}
+
+/**
+ * Ping a connection and terminate it if nothing arrives within HEARTBEAT_TIMEOUT
+ * @param {WebSocket} ws - WebSocket connection
+ */
+function pingConnection(ws) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  const sentAt = Date.now();
+  clearTimeout(ws.heartbeatTimer);
+  ws.heartbeatTimer = setTimeout(() => {
+    if (ws.lastSeenAt >= sentAt || ws.readyState !== WebSocket.OPEN) return;
+
+    log.warn("Terminating unresponsive connection", { ws, lastSeenAt: ws.lastSeenAt });
+    metrics.heartbeatTimeouts.inc();
+    ws.terminate();
+  }, config.HEARTBEAT_TIMEOUT);
+
+  ws.ping();
+}
+
+/**
+ * Ping all connections of a WebSocket server every HEARTBEAT_INTERVAL
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @returns {NodeJS.Timeout|null} Interval handle, or null if heartbeats are turned off
+ */
+function start(wss) {
+  if (!config.HEARTBEAT_INTERVAL) return null;
+
+  return setInterval(() => {
+    wss.clients.forEach(pingConnection);
+  }, config.HEARTBEAT_INTERVAL);
+}
+
+module.exports = {
+  trackConnection,
+  start,
+};
@@ -0,0 +1,51 @@
+/**
+ * ICE Config - STUN/TURN servers handed to clients for their RTCPeerConnections
+ *
+ * TURN credentials use the shared-secret scheme coturn understands
+ * (`use-auth-secret` + `static-auth-secret`): the username is the expiry
+ * time and the password is an HMAC of it, so no per-user state is needed.
+ */
+
+const crypto = require("crypto");
+const config = require("./config");
+
+/**
+ * Create time-limited TURN credentials
+ * @param {string} secret - Secret shared with the TURN server
+ * @param {number} ttlSeconds - How long the credentials stay valid
+ * @returns {Object} Credentials ({ username, credential })
+ */
+function createTurnCredentials(secret, ttlSeconds) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const username = `${expiresAt}:vibep2p`;
+  const credential = crypto.createHmac("sha1", secret).update(username).digest("base64");
+
+  return { username, credential };
+}
+
+/**
+ * Build the ICE configuration for a client
+ * @returns {Object} { iceServers, ttl } - ttl (seconds) is null when there are no credentials to refresh
+ */
+function getIceConfig() {
+  const iceServers = [];
+
+  if (config.STUN_URLS.length > 0) {
+    iceServers.push({ urls: config.STUN_URLS });
+  }
+
+  if (config.TURN_URLS.length > 0 && config.TURN_SECRET) {
+    const ttl = Math.floor(config.TURN_CREDENTIAL_TTL / 1000);
+    iceServers.push({
+      urls: config.TURN_URLS,
+      ...createTurnCredentials(config.TURN_SECRET, ttl),
+    });
+    return { iceServers, ttl };
+  }
+
+  return { iceServers, ttl: null };
+}
+
+module.exports = {
+  getIceConfig,
+};
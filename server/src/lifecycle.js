@@ -0,0 +1,139 @@
+/**
+ * Room Lifecycle - Per-room timers that warn about and then enforce room expiry
+ *
+ * A room expires at the earliest of:
+ * - abandoned: ROOM_PERSISTENCE_TIMEOUT after everyone left
+ * - max_age: ROOM_MAX_AGE after it was created
+ * - idle: ROOM_IDLE_TIMEOUT after its last activity (joins, leaves, chat, ...)
+ *
+ * Each room has a single timer for its next event: the warning
+ * ROOM_EXPIRY_WARNING before the deadline, then the deadline itself.
+ * roomManager reschedules a room whenever it changes.
+ */
+
+const config = require("./config");
+
+// setTimeout fires immediately for delays beyond ~24.8 days, so longer waits are split up
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const timers = new Map(); // roomCode -> timeout
+const warnings = new Map(); // roomCode -> deadline the room's users were warned about
+
+let handlers = {
+  onExpiring() {},
+  onExpiryCancelled() {},
+  onExpire() {},
+};
+
+/**
+ * Work out when (and why) a room will expire
+ * @param {Object} room - Room object
+ * @returns {Object|null} { reason, expiresAt } for the earliest deadline, or null if none applies
+ */
+function getDeadline(room) {
+  const deadlines = [];
+
+  if (room.abandonedAt && config.ROOM_PERSISTENCE_TIMEOUT > 0) {
+    deadlines.push({ reason: "abandoned", expiresAt: room.abandonedAt + config.ROOM_PERSISTENCE_TIMEOUT });
+  }
+  if (config.ROOM_MAX_AGE > 0) {
+    deadlines.push({ reason: "max_age", expiresAt: room.createdAt + config.ROOM_MAX_AGE });
+  }
+  if (config.ROOM_IDLE_TIMEOUT > 0) {
+    deadlines.push({ reason: "idle", expiresAt: room.lastActivityAt + config.ROOM_IDLE_TIMEOUT });
+  }
+
+  if (deadlines.length === 0) return null;
+  return deadlines.reduce((earliest, deadline) => (deadline.expiresAt < earliest.expiresAt ? deadline : earliest));
+}
+
+/**
+ * Run a room's next lifecycle event if it is due, then schedule the one after
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ */
+function handleTimer(roomCode, room) {
+  timers.delete(roomCode);
+
+  const deadline = getDeadline(room);
+  if (!deadline) return;
+
+  const now = Date.now();
+  if (now >= deadline.expiresAt) {
+    warnings.delete(roomCode);
+    handlers.onExpire(roomCode, deadline);
+    return;
+  }
+
+  if (!warnings.has(roomCode) && now >= deadline.expiresAt - config.ROOM_EXPIRY_WARNING) {
+    warnings.set(roomCode, deadline);
+    handlers.onExpiring(roomCode, deadline);
+  }
+
+  scheduleRoom(roomCode, room);
+}
+
+/**
+ * (Re)schedule a room's next lifecycle event after the room changed
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ */
+function scheduleRoom(roomCode, room) {
+  clearTimeout(timers.get(roomCode));
+  timers.delete(roomCode);
+
+  const deadline = getDeadline(room);
+
+  // The deadline users were warned about moved (e.g. the broadcaster came back)
+  const warning = warnings.get(roomCode);
+  if (warning && (!deadline || deadline.expiresAt !== warning.expiresAt)) {
+    warnings.delete(roomCode);
+    if (!deadline || deadline.expiresAt > warning.expiresAt) {
+      handlers.onExpiryCancelled(roomCode);
+    }
+  }
+
+  if (!deadline) return;
+
+  const warnAt = deadline.expiresAt - config.ROOM_EXPIRY_WARNING;
+  const nextEventAt = warnings.has(roomCode) || config.ROOM_EXPIRY_WARNING <= 0 ? deadline.expiresAt : warnAt;
+  const delay = Math.min(Math.max(nextEventAt - Date.now(), 0), MAX_TIMER_DELAY);
+
+  // Always fire asynchronously - rooms are rescheduled in the middle of roomManager updates
+  timers.set(roomCode, setTimeout(() => handleTimer(roomCode, room), delay));
+}
+
+/**
+ * Stop tracking a room that has been deleted
+ * @param {string} roomCode - Room code
+ */
+function unscheduleRoom(roomCode) {
+  clearTimeout(timers.get(roomCode));
+  timers.delete(roomCode);
+  warnings.delete(roomCode);
+}
+
+/**
+ * Get the expiry users of a room have been warned about
+ * @param {string} roomCode - Room code
+ * @returns {Object|null} { reason, expiresAt }, or null if no warning is active
+ */
+function getWarning(roomCode) {
+  return warnings.get(roomCode) || null;
+}
+
+/**
+ * Register what happens when rooms are about to expire and when they do
+ * @param {Object} lifecycleHandlers - { onExpiring(roomCode, deadline), onExpiryCancelled(roomCode), onExpire(roomCode, deadline) }
+ */
+function start(lifecycleHandlers) {
+  handlers = { ...handlers, ...lifecycleHandlers };
+}
+
+module.exports = {
+  getDeadline,
+  scheduleRoom,
+  unscheduleRoom,
+  getWarning,
+  start,
+};
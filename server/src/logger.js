@@ -0,0 +1,157 @@
+/**
+ * Logger - Leveled JSON-lines logging with per-connection and per-room context
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("./config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Hashing IPs with a per-process salt keeps one client's lines correlatable without storing the IP
+const redactionSalt = crypto.randomBytes(16);
+
+let fileDescriptor = null;
+let fileSize = 0;
+
+/**
+ * Redact an IP address if LOG_REDACT_IPS is on
+ * @param {string} ip - IP address
+ * @returns {string} IP address or a short stable hash of it
+ */
+function formatIp(ip) {
+  if (!ip || !config.LOG_REDACT_IPS) return ip;
+  return `ip-${crypto.createHmac("sha256", redactionSalt).update(ip).digest("hex").slice(0, 12)}`;
+}
+
+/**
+ * Redact a display name if LOG_REDACT_NAMES is on
+ * @param {string} name - Display name
+ * @returns {string} Name or a placeholder
+ */
+function formatName(name) {
+  if (!name || !config.LOG_REDACT_NAMES) return name;
+  return "[redacted]";
+}
+
+/**
+ * Shift log files (app.log -> app.log.1 -> ...) and start a fresh one
+ */
+function rotateFile() {
+  fs.closeSync(fileDescriptor);
+
+  for (let i = config.LOG_FILE_MAX_FILES - 1; i >= 1; i--) {
+    const from = i === 1 ? config.LOG_FILE : `${config.LOG_FILE}.${i - 1}`;
+    if (fs.existsSync(from)) {
+      fs.renameSync(from, `${config.LOG_FILE}.${i}`);
+    }
+  }
+
+  openFile();
+}
+
+/**
+ * Open (or create) LOG_FILE for appending
+ */
+function openFile() {
+  fs.mkdirSync(path.dirname(config.LOG_FILE), { recursive: true });
+  fileDescriptor = fs.openSync(config.LOG_FILE, "a");
+  fileSize = fs.fstatSync(fileDescriptor).size;
+}
+
+/**
+ * Write a line to the log file, rotating once it exceeds LOG_FILE_MAX_SIZE
+ * @param {string} line - JSON line including the newline
+ */
+function writeToFile(line) {
+  try {
+    if (fileDescriptor === null) {
+      openFile();
+    }
+
+    fs.writeSync(fileDescriptor, line);
+    fileSize += Buffer.byteLength(line);
+
+    if (fileSize >= config.LOG_FILE_MAX_SIZE) {
+      rotateFile();
+    }
+  } catch (error) {
+    // Never let a full disk or bad path take the server down - stderr still has the entry
+    process.stderr.write(`Log file error: ${error.message}\n`);
+    fileDescriptor = null;
+  }
+}
+
+/**
+ * Turn log fields into a plain, redacted object
+ * @param {Object} fields - Fields, where `ws` expands into connection and room context
+ * @returns {Object} Serializable fields
+ */
+function formatFields(fields) {
+  const { ws, error, ...rest } = fields;
+  const entry = {};
+
+  if (ws) {
+    entry.connId = ws.connId;
+    entry.roomCode = ws.roomCode || undefined;
+    entry.role = ws.role || undefined;
+    entry.ip = ws.clientIp;
+  }
+
+  Object.assign(entry, rest);
+
+  if (entry.ip) entry.ip = formatIp(entry.ip);
+  if (entry.name) entry.name = formatName(entry.name);
+  if (error) entry.error = error.message || String(error);
+
+  return entry;
+}
+
+/**
+ * Write one log entry if its level is enabled
+ * @param {string} level - "debug", "info", "warn" or "error"
+ * @param {string} component - Module writing the entry
+ * @param {string} message - What happened
+ * @param {Object} [fields] - Extra context (ws, roomCode, type, error, ...)
+ */
+function write(level, component, message, fields = {}) {
+  if (LEVELS[level] < (LEVELS[config.LOG_LEVEL] || LEVELS.info)) return;
+
+  const line = `${JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    node: config.NODE_ID,
+    component,
+    msg: message,
+    ...formatFields(fields),
+  })}\n`;
+
+  if (level === "warn" || level === "error") {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+
+  if (config.LOG_FILE) {
+    writeToFile(line);
+  }
+}
+
+/**
+ * Create a logger for one module
+ * @param {string} component - Module name included in every entry (e.g. "signaling")
+ * @returns {Object} Logger with debug/info/warn/error(message, fields) methods
+ */
+function createLogger(component) {
+  return {
+    debug: (message, fields) => write("debug", component, message, fields),
+    info: (message, fields) => write("info", component, message, fields),
+    warn: (message, fields) => write("warn", component, message, fields),
+    error: (message, fields) => write("error", component, message, fields),
+  };
+}
+
+module.exports = {
+  createLogger,
+};
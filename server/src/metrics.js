@@ -0,0 +1,229 @@
+/**
+ * Metrics - Prometheus counters, gauges and histograms for the /metrics endpoint
+ */
+
+const roomManager = require("./roomManager");
+const config = require("./config");
+
+// Every metric, in registration order
+const registry = [];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * Format a label set, always including this node's ID
+ * @param {Object} labels - Label names and values
+ * @returns {string} Label block, e.g. {node="a",type="offer"}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries({ node: config.NODE_ID, ...labels })
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return `{${pairs.join(",")}}`;
+}
+
+/**
+ * Create a metric holding one value per label set
+ * @param {string} type - "counter" or "gauge"
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Function} [collect] - Returns [{ labels, value }] at scrape time instead of stored values
+ * @returns {Object} Metric with inc/dec helpers
+ */
+function createMetric(type, name, help, collect) {
+  const values = new Map(); // Label key -> { labels, value }
+
+  const metric = {
+    type,
+    name,
+    help,
+
+    inc(labels = {}, amount = 1) {
+      const key = JSON.stringify(labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+
+    dec(labels = {}, amount = 1) {
+      metric.inc(labels, -amount);
+    },
+
+    render() {
+      let samples = collect ? collect() : Array.from(values.values());
+      if (samples.length === 0) {
+        samples = [{ labels: {}, value: 0 }]; // Report 0 rather than a missing series
+      }
+      return samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    },
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Create a histogram computed at scrape time from a set of observations
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<number>} buckets - Upper bounds, ascending
+ * @param {Function} collect - Returns the observed values
+ * @returns {Object} Histogram metric
+ */
+function createSnapshotHistogram(name, help, buckets, collect) {
+  const metric = {
+    type: "histogram",
+    name,
+    help,
+
+    render() {
+      const observations = collect();
+      const lines = buckets.map((bound) => {
+        const count = observations.filter((value) => value <= bound).length;
+        return `${name}_bucket${formatLabels({ le: bound })} ${count}`;
+      });
+      const sum = observations.reduce((total, value) => total + value, 0);
+
+      lines.push(`${name}_bucket${formatLabels({ le: "+Inf" })} ${observations.length}`);
+      lines.push(`${name}_sum${formatLabels({})} ${sum}`);
+      lines.push(`${name}_count${formatLabels({})} ${observations.length}`);
+      return lines;
+    },
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * List every room held by this process
+ * Rooms on other nodes are left to their own /metrics, so summing across processes stays correct.
+ * @returns {Array<Object>} Room objects
+ */
+function getAllRooms() {
+  return roomManager.getRoomCodes().map((roomCode) => roomManager.getRoom(roomCode));
+}
+
+const websocketConnections = createMetric(
+  "gauge",
+  "vibep2p_websocket_connections",
+  "Open WebSocket connections"
+);
+
+createMetric("gauge", "vibep2p_rooms", "Rooms held by this process by status", () => {
+  const rooms = getAllRooms();
+  const abandoned = rooms.filter((room) => room.abandonedAt).length;
+  return [
+    { labels: { status: "active" }, value: rooms.length - abandoned },
+    { labels: { status: "abandoned" }, value: abandoned },
+  ];
+});
+
+createSnapshotHistogram(
+  "vibep2p_room_listeners",
+  "Listeners per room (including listeners whose slot is held for a reconnect)",
+  [0, 1, 2, 5, 10, 20, 50, 100],
+  () => getAllRooms().map((room) => room.listeners.size)
+);
+
+const messagesReceived = createMetric(
+  "counter",
+  "vibep2p_messages_received_total",
+  "Valid client messages received, by type"
+);
+
+const signalingForwardFailures = createMetric(
+  "counter",
+  "vibep2p_signaling_forward_failures_total",
+  "Offers, answers and ICE candidates whose target peer was missing or not connected"
+);
+
+const chatMessages = createMetric(
+  "counter",
+  "vibep2p_chat_messages_total",
+  "Chat messages delivered to rooms (including system announcements)"
+);
+
+const directMessages = createMetric(
+  "counter",
+  "vibep2p_direct_messages_total",
+  "Direct messages delivered between room participants"
+);
+
+const broadcasterTransfers = createMetric(
+  "counter",
+  "vibep2p_broadcaster_transfers_total",
+  "Rooms handed from one broadcaster to another"
+);
+
+const reactions = createMetric(
+  "counter",
+  "vibep2p_reactions_total",
+  "Emoji reactions sent by room members, by emoji"
+);
+
+const joinRejections = createMetric(
+  "counter",
+  "vibep2p_join_rejections_total",
+  "Rejected join-room requests, by error code"
+);
+
+const heartbeatTimeouts = createMetric(
+  "counter",
+  "vibep2p_heartbeat_timeouts_total",
+  "Connections terminated for not answering a heartbeat ping"
+);
+
+const roomsExpired = createMetric(
+  "counter",
+  "vibep2p_rooms_expired_total",
+  "Rooms closed by the lifecycle engine, by reason (abandoned, max_age, idle)"
+);
+
+const cleanupRuns = createMetric(
+  "counter",
+  "vibep2p_cleanup_runs_total",
+  "Cleanup sweeps for rooms past their deadline"
+);
+
+const cleanupRoomsRemoved = createMetric(
+  "counter",
+  "vibep2p_cleanup_rooms_removed_total",
+  "Rooms closed by cleanup sweeps (normally 0 - per-room timers close rooms on time)"
+);
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {string} Metrics text
+ */
+function renderMetrics() {
+  const lines = [];
+  registry.forEach((metric) => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  websocketConnections,
+  messagesReceived,
+  signalingForwardFailures,
+  chatMessages,
+  directMessages,
+  broadcasterTransfers,
+  reactions,
+  joinRejections,
+  heartbeatTimeouts,
+  roomsExpired,
+  cleanupRuns,
+  cleanupRoomsRemoved,
+  renderMetrics,
+};
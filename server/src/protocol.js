@@ -0,0 +1,137 @@
+/**
+ * Protocol - Validates signaling messages against the shared schema
+ */
+
+const schema = require("../../shared/protocol.json");
+
+/**
+ * Get the type name used by the schema for a value
+ * @param {*} value - Value to inspect
+ * @returns {string} "array", "object", "string", "number", ...
+ */
+function typeOf(value) {
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+/**
+ * Build a failed validation result
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable description
+ * @param {string} [field] - Offending field, if any
+ * @returns {Object} Validation result
+ */
+function invalid(code, message, field) {
+  return { valid: false, code, message, field };
+}
+
+/**
+ * Validate a single field against its spec
+ * @param {string} name - Field name
+ * @param {*} value - Field value
+ * @param {Object} spec - Field spec from the schema
+ * @returns {Object|null} Failed validation result, or null if the field is valid
+ */
+function validateField(name, value, spec) {
+  if (value === undefined || value === null) {
+    return spec.required ? invalid("invalid_message", `Missing required field "${name}"`, name) : null;
+  }
+
+  if (typeOf(value) !== spec.type) {
+    return invalid("invalid_message", `Field "${name}" must be of type ${spec.type}`, name);
+  }
+
+  if (spec.minLength !== undefined && value.length < spec.minLength) {
+    return invalid("invalid_message", `Field "${name}" is too short`, name);
+  }
+
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    return invalid("invalid_message", `Field "${name}" is too long`, name);
+  }
+
+  if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+    return invalid("invalid_message", `Field "${name}" has an invalid format`, name);
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return invalid("invalid_message", `Field "${name}" must be one of ${spec.enum.join(", ")}`, name);
+  }
+
+  if (spec.minimum !== undefined && value < spec.minimum) {
+    return invalid("invalid_message", `Field "${name}" must be at least ${spec.minimum}`, name);
+  }
+
+  if (spec.maximum !== undefined && value > spec.maximum) {
+    return invalid("invalid_message", `Field "${name}" must be at most ${spec.maximum}`, name);
+  }
+
+  return null;
+}
+
+/**
+ * Validate a message against a set of message specs
+ * @param {Object} messages - Message specs keyed by type
+ * @param {*} data - Parsed message
+ * @returns {Object} Validation result ({ valid: true } or { valid: false, code, message, field })
+ */
+function validateMessage(messages, data) {
+  if (typeOf(data) !== "object") {
+    return invalid("invalid_message", "Message must be a JSON object");
+  }
+
+  if (typeof data.type !== "string") {
+    return invalid("invalid_message", 'Missing required field "type"', "type");
+  }
+
+  const fields = messages[data.type];
+  if (!fields) {
+    return invalid("unknown_type", `Unknown message type: ${data.type}`, "type");
+  }
+
+  const specs = { ...schema.common, ...fields };
+  for (const [name, spec] of Object.entries(specs)) {
+    const error = validateField(name, data[name], spec);
+    if (error) return error;
+  }
+
+  // Fields the schema doesn't declare are rejected rather than passed on to handlers
+  const unknownField = Object.keys(data).find((name) => name !== "type" && !Object.keys(specs).includes(name));
+  if (unknownField) {
+    return invalid("invalid_message", `Unknown field "${unknownField}"`, unknownField);
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate a message received from a client
+ * @param {*} data - Parsed message
+ * @returns {Object} Validation result
+ */
+function validateClientMessage(data) {
+  return validateMessage(schema.clientMessages, data);
+}
+
+/**
+ * Create a structured error reply
+ * @param {string} code - Machine-readable error code (see shared/protocol.json)
+ * @param {Object} [options] - Optional request ID, message override, offending field and retry delay
+ * @returns {Object} Error message ready to be sent
+ */
+function createError(code, { requestId, message, field, retryAfter } = {}) {
+  const error = {
+    type: "error",
+    code: code,
+    message: message || schema.errors[code] || schema.errors.internal_error,
+  };
+
+  if (requestId !== undefined) error.requestId = requestId;
+  if (field !== undefined) error.field = field;
+  if (retryAfter !== undefined) error.retryAfter = retryAfter;
+
+  return error;
+}
+
+module.exports = {
+  validateClientMessage,
+  createError,
+};
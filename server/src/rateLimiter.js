@@ -0,0 +1,223 @@
+/**
+ * Rate Limiter - Token-bucket limits per connection and per client IP
+ */
+
+const config = require("./config");
+
+// Per-IP state: open connection count and token buckets
+const clients = new Map();
+
+/**
+ * Create a full token bucket
+ * @param {Object} limit - Bucket settings ({ capacity, refillPerSecond })
+ * @returns {Object} Token bucket
+ */
+function createBucket(limit) {
+  return {
+    tokens: limit.capacity,
+    capacity: limit.capacity,
+    refillPerSecond: limit.refillPerSecond,
+    updatedAt: Date.now(),
+  };
+}
+
+/**
+ * Refill a bucket for the time elapsed and check it for a token, without taking one
+ * @param {Object} bucket - Token bucket
+ * @returns {number} 0 if a token is available, otherwise milliseconds until one is
+ */
+function peekToken(bucket) {
+  const now = Date.now();
+  const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsedSeconds * bucket.refillPerSecond);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= 1) {
+    return 0;
+  }
+
+  return Math.ceil(((1 - bucket.tokens) / bucket.refillPerSecond) * 1000);
+}
+
+/**
+ * Take one token from a bucket, refilling it for the time elapsed
+ * @param {Object} bucket - Token bucket
+ * @returns {number} 0 if a token was taken, otherwise milliseconds until one is available
+ */
+function takeToken(bucket) {
+  const retryAfterMs = peekToken(bucket);
+  if (!retryAfterMs) {
+    bucket.tokens -= 1;
+  }
+  return retryAfterMs;
+}
+
+/**
+ * Get a bucket from a bucket map, creating it on first use
+ * @param {Object} buckets - Buckets keyed by name
+ * @param {string} key - Bucket name
+ * @param {Object} limit - Bucket settings used on creation
+ * @returns {Object} Token bucket
+ */
+function getBucket(buckets, key, limit) {
+  if (!buckets[key]) {
+    buckets[key] = createBucket(limit);
+  }
+  return buckets[key];
+}
+
+/**
+ * Get (or create) the limiter state for a client IP
+ * @param {string} ip - Client IP address
+ * @returns {Object} Client state
+ */
+function getClient(ip) {
+  let client = clients.get(ip);
+  if (!client) {
+    client = { connections: 0, buckets: {}, idleSince: Date.now() };
+    clients.set(ip, client);
+  }
+  return client;
+}
+
+/**
+ * Build a rejected result
+ * @param {string} code - Error code
+ * @param {string} message - Human-readable description
+ * @param {number} [retryAfterMs] - Milliseconds until the client may retry
+ * @returns {Object} Limit check result
+ */
+function reject(code, message, retryAfterMs) {
+  return { allowed: false, code, message, retryAfterMs };
+}
+
+/**
+ * Register a new WebSocket connection from a client IP
+ * @param {string} ip - Client IP address
+ * @returns {Object} { allowed: true } or a rejected result
+ */
+function acceptConnection(ip) {
+  const client = getClient(ip);
+
+  if (client.connections >= config.MAX_CONNECTIONS_PER_IP) {
+    return reject("rate_limited", "Too many open connections from your network", config.VIOLATION_DECAY);
+  }
+
+  const retryAfterMs = takeToken(getBucket(client.buckets, "connections", config.RATE_LIMITS.connectionsPerIp));
+  if (retryAfterMs) {
+    return reject("rate_limited", "Too many connection attempts", retryAfterMs);
+  }
+
+  client.connections++;
+  client.idleSince = null;
+  return { allowed: true };
+}
+
+/**
+ * Release a connection slot when a WebSocket closes
+ * @param {string} ip - Client IP address
+ */
+function releaseConnection(ip) {
+  const client = clients.get(ip);
+  if (!client) return;
+
+  client.connections = Math.max(0, client.connections - 1);
+  if (client.connections === 0) {
+    client.idleSince = Date.now();
+  }
+}
+
+/**
+ * Check a raw incoming message against the size limit (before parsing it)
+ * @param {number} size - Message size in bytes
+ * @returns {Object} { allowed: true } or a rejected result
+ */
+function checkMessageSize(size) {
+  if (size > config.MAX_MESSAGE_SIZE) {
+    return reject("message_too_large", `Messages are limited to ${config.MAX_MESSAGE_SIZE} bytes`);
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check an incoming message against the per-connection and per-IP rate limits
+ * @param {WebSocket} ws - Sender's WebSocket connection
+ * @param {string} type - Message type
+ * @returns {Object} { allowed: true } or a rejected result
+ */
+function checkMessageRate(ws, type) {
+  if (!ws._rateLimitBuckets) {
+    ws._rateLimitBuckets = {};
+  }
+
+  const checks = [
+    [ws._rateLimitBuckets, "messages", config.RATE_LIMITS.messagesPerConnection],
+  ];
+
+  const perConnectionLimit = config.RATE_LIMITS.perConnection[type];
+  if (perConnectionLimit) {
+    checks.push([ws._rateLimitBuckets, type, perConnectionLimit]);
+  }
+
+  const perIpLimit = config.RATE_LIMITS.perIp[type];
+  if (perIpLimit && ws.clientIp) {
+    checks.push([getClient(ws.clientIp).buckets, type, perIpLimit]);
+  }
+
+  // Check every bucket before spending any tokens, so a message rejected by
+  // one limit doesn't use up the allowance of the others
+  const buckets = checks.map(([bucketMap, key, limit]) => getBucket(bucketMap, key, limit));
+  const retryAfterMs = Math.max(...buckets.map(peekToken));
+  if (retryAfterMs) {
+    return reject("rate_limited", "You're sending messages too quickly", retryAfterMs);
+  }
+
+  buckets.forEach((bucket) => {
+    bucket.tokens -= 1;
+  });
+  return { allowed: true };
+}
+
+/**
+ * Record a rejected message for a connection
+ * @param {WebSocket} ws - Offending WebSocket connection
+ * @returns {boolean} True if the connection has exceeded MAX_VIOLATIONS and should be dropped
+ */
+function recordViolation(ws) {
+  if (!ws._violations) {
+    ws._violations = createBucket({
+      capacity: config.MAX_VIOLATIONS,
+      refillPerSecond: 1000 / config.VIOLATION_DECAY,
+    });
+  }
+
+  return takeToken(ws._violations) > 0;
+}
+
+/**
+ * Drop limiter state for IPs that have had no open connections for a while
+ * @param {number} idleTimeout - How long an IP must have been idle (from config)
+ * @returns {number} Number of IP entries removed
+ */
+function cleanupIdleClients(idleTimeout) {
+  const now = Date.now();
+  let removedCount = 0;
+
+  clients.forEach((client, ip) => {
+    if (client.idleSince && now - client.idleSince > idleTimeout) {
+      clients.delete(ip);
+      removedCount++;
+    }
+  });
+
+  return removedCount;
+}
+
+module.exports = {
+  acceptConnection,
+  releaseConnection,
+  checkMessageSize,
+  checkMessageRate,
+  recordViolation,
+  cleanupIdleClients,
+};
@@ -0,0 +1,61 @@
+/**
+ * Reactions - Batches emoji reactions into periodic per-room bursts
+ *
+ * Relaying every reaction to every member would send N² messages in a busy
+ * room. Instead reactions are counted per room, and REACTION_BURST_INTERVAL
+ * after the first one the counts go out as a single burst.
+ */
+
+const config = require("./config");
+
+const pending = new Map(); // roomCode -> { counts: { emoji: count }, timer }
+
+let handlers = {
+  onBurst() {},
+};
+
+/**
+ * Count a reaction towards the room's next burst
+ * @param {string} roomCode - Room code
+ * @param {string} emoji - Reaction emoji (validated against the protocol schema)
+ */
+function addReaction(roomCode, emoji) {
+  let burst = pending.get(roomCode);
+
+  if (!burst) {
+    burst = {
+      counts: {},
+      timer: setTimeout(() => flushRoom(roomCode), config.REACTION_BURST_INTERVAL),
+    };
+    pending.set(roomCode, burst);
+  }
+
+  burst.counts[emoji] = (burst.counts[emoji] || 0) + 1;
+}
+
+/**
+ * Send out a room's pending reactions as one burst
+ * @param {string} roomCode - Room code
+ */
+function flushRoom(roomCode) {
+  const burst = pending.get(roomCode);
+  if (!burst) return;
+
+  clearTimeout(burst.timer);
+  pending.delete(roomCode);
+  handlers.onBurst(roomCode, burst.counts);
+}
+
+/**
+ * Register what happens with each burst
+ * @param {Object} reactionHandlers - { onBurst(roomCode, counts) }
+ */
+function start(reactionHandlers) {
+  handlers = { ...handlers, ...reactionHandlers };
+}
+
+module.exports = {
+  addReaction,
+  flushRoom,
+  start,
+};
@@ -2,18 +2,99 @@
  * Room Manager - Handles room state and operations
  */
 
-const { generateRoomCode } = require("./utils");
+const {
+  generateRoomCode,
+  generateToken,
+  tokensMatch,
+  hashPassword,
+  verifyPassword,
+  createInviteToken,
+  verifyInviteToken,
+} = require("./utils");
+const WebSocket = require("ws");
+const config = require("./config");
+const { createRoomStore } = require("./storage");
+const lifecycle = require("./lifecycle");
+const chatPolicy = require("./chatPolicy");
 
-// Store rooms and their connections
+// Store rooms and their connections (live state, including sockets)
 const rooms = new Map();
 
+// Durable copy of each room's serializable state (see storage/index.js)
+const store = createRoomStore(config);
+
+/**
+ * Write a room's serializable state to the room store (called after every change)
+ * @param {string} roomCode - Room code
+ */
+function persistRoom(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  // Abandonment, activity and the like move the room's expiry deadline
+  lifecycle.scheduleRoom(roomCode, room);
+
+  store.save(roomCode, {
+    roomCode,
+    createdAt: room.createdAt,
+    lastActivityAt: room.lastActivityAt,
+    abandonedAt: room.abandonedAt,
+    reclaimToken: room.reclaimToken,
+    passwordHash: room.passwordHash,
+    inviteOnly: room.inviteOnly,
+    listing: room.listing,
+    ownerIp: room.ownerIp,
+    ownerId: room.ownerId,
+    broadcasterId: room.broadcasterId,
+    broadcasterName: room.broadcasterName,
+    djQueue: room.djQueue,
+    nowPlaying: room.nowPlaying,
+    trackHistory: room.trackHistory,
+    chatPolicy: room.chatPolicy,
+    reactionTally: room.reactionTally,
+    bannedSessions: Array.from(room.bannedSessions),
+    bannedIps: Array.from(room.bannedIps),
+    chatHistory: room.chatHistory,
+    nextChatId: room.nextChatId,
+    songRequests: room.songRequests,
+    nextSongRequestId: room.nextSongRequestId,
+    listeners: Array.from(room.listeners.values()).map((listenerData) => ({
+      id: listenerData.id,
+      name: listenerData.name,
+      joinedAt: listenerData.joinedAt,
+      sessionId: listenerData.sessionId,
+      chatMuted: listenerData.chatMuted,
+    })),
+  });
+}
+
+/**
+ * Create an empty reaction tally, starting the first track now
+ * @returns {Object} { current: { startedAt, counts, title }, tracks }
+ */
+function createReactionTally() {
+  return {
+    current: { startedAt: Date.now(), counts: {}, title: null },
+    tracks: [], // Finished tracks, oldest first: { startedAt, endedAt, counts, title }
+  };
+}
+
 /**
  * Create a new room
  * @param {WebSocket} ws - Broadcaster's WebSocket connection
+ * @param {Object} [options] - Room options
+ * @param {string} [options.password] - Password listeners must supply to join
+ * @param {boolean} [options.inviteOnly] - Only admit listeners holding an invite token
+ * @param {string} [options.userName] - Broadcaster's display name in chat
+ * @param {Function} [options.isCodeTaken] - Also reject codes this returns true for (e.g. rooms on other nodes)
  * @returns {string} Generated room code
  */
-function createRoom(ws) {
-  const roomCode = generateRoomCode();
+function createRoom(ws, options = {}) {
+  let roomCode;
+  do {
+    roomCode = generateRoomCode();
+  } while (rooms.has(roomCode) || (options.isCodeTaken && options.isCodeTaken(roomCode)));
+  const { getClientId } = require("./utils");
 
   // Initialize room with listeners as Map
   rooms.set(roomCode, {
@@ -22,40 +103,141 @@ function createRoom(ws) {
     createdAt: Date.now(),
     lastActivityAt: Date.now(),
     abandonedAt: null, // null means room is actively in use
+    reclaimToken: generateToken(), // Secret that lets the broadcaster re-attach later
+    passwordHash: options.password ? hashPassword(options.password) : null,
+    inviteOnly: !!options.inviteOnly,
+    listing: null, // { name, description, tags, language } while the room is listed in the public directory
+    ownerIp: ws.clientIp, // Counted against MAX_ROOMS_PER_IP
+    ownerId: getClientId(ws), // Client ID of whoever created the room - they can skip DJs even after handing over
+    broadcasterId: getClientId(ws), // Client ID of the current broadcaster, kept across reclaims
+    broadcasterName: options.userName || null, // Shown as the sender of the broadcaster's chat messages
+    djQueue: [], // Listeners signed up to broadcast next: { listenerId, name, slotMinutes }
+    djSlot: null, // { endsAt, timer } while a DJ from the queue has a time limit (not persisted)
+    nowPlaying: null, // { title, artist, artworkUrl, djName, startedAt } set by the broadcaster
+    trackHistory: [], // Every now-playing track, oldest first (the last TRACK_HISTORY_LIMIT)
+    chatPolicy: chatPolicy.createDefaultPolicy(), // Changed by the broadcaster with set-chat-policy
+    reactionTally: createReactionTally(), // Reaction counts for the current track and recent ones
+    bannedSessions: new Set(), // Session IDs banned for the room's lifetime
+    bannedIps: new Set(), // Client IPs banned for the room's lifetime
+    chatHistory: [], // Most recent CHAT_HISTORY_LIMIT chat messages
+    nextChatId: 1, // Chat message IDs increase within a room, so history can be paged by ID
+    songRequests: [], // Open song requests, oldest first: { id, title, artist, note, requesterId, requesterName, status, voterIds, createdAt }
+    nextSongRequestId: 1,
+    pendingTransfer: null, // { listenerId, expiresAt, timer } while a listener is offered the broadcaster role (not persisted)
   });
 
   ws.roomCode = roomCode;
   ws.role = "broadcaster";
 
+  persistRoom(roomCode);
+
   return roomCode;
 }
 
+/**
+ * Check whether a room requires a password or invite to join
+ * @param {Object} room - Room object
+ * @returns {boolean} True if the room is password-protected or invite-only
+ */
+function isProtected(room) {
+  return !!room.passwordHash || room.inviteOnly;
+}
+
+/**
+ * Create a signed, expiring invite for a room
+ * @param {string} roomCode - Room code
+ * @returns {Object} Invite token and its expiry timestamp
+ */
+function createInvite(roomCode) {
+  const expiresAt = Date.now() + config.INVITE_TOKEN_TTL;
+  return {
+    token: createInviteToken(roomCode, expiresAt, config.INVITE_SECRET),
+    expiresAt,
+  };
+}
+
+/**
+ * Check a listener's credentials against the room's access settings
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {Object} credentials - Password and/or invite token supplied by the listener
+ * @returns {Object|null} Failed result object, or null if access is granted
+ */
+function checkAccess(room, roomCode, credentials) {
+  const { password, inviteToken } = credentials;
+
+  // A valid invite always gets you in
+  if (inviteToken) {
+    if (verifyInviteToken(inviteToken, roomCode, config.INVITE_SECRET)) {
+      return null;
+    }
+    return { success: false, code: "invalid_invite", error: "Invite link is invalid or has expired" };
+  }
+
+  if (room.inviteOnly) {
+    return { success: false, code: "invite_required", error: "This room is invite-only" };
+  }
+
+  if (room.passwordHash) {
+    if (!password) {
+      return { success: false, code: "password_required", error: "This room requires a password" };
+    }
+    if (!verifyPassword(password, room.passwordHash)) {
+      return { success: false, code: "invalid_password", error: "Incorrect room password" };
+    }
+  }
+
+  return null;
+}
+
 /**
  * Add a listener to an existing room
  * @param {WebSocket} ws - Listener's WebSocket connection
  * @param {string} roomCode - Room code to join
  * @param {string} userName - Listener's display name
- * @returns {Object} Result object with success status and optional error message
+ * @param {Object} [credentials] - Password and/or invite token for protected rooms
+ * @returns {Object} Result object with success status and optional error code/message
  */
-function joinRoom(ws, roomCode, userName) {
+function joinRoom(ws, roomCode, userName, credentials = {}) {
   const room = rooms.get(roomCode);
 
   if (!room) {
     return {
       success: false,
+      code: "room_not_found",
       error: "Room not found",
     };
   }
 
+  if (room.bannedIps.has(ws.clientIp)) {
+    return {
+      success: false,
+      code: "banned",
+      error: "You have been banned from this room",
+    };
+  }
+
+  const accessError = checkAccess(room, roomCode, credentials);
+  if (accessError) {
+    return accessError;
+  }
+
   // Generate listener ID
   const { getClientId } = require("./utils");
   const listenerId = getClientId(ws);
 
+  const sessionId = generateToken();
+
   // Add listener to room with metadata
   room.listeners.set(ws, {
     id: listenerId,
     name: userName || "Anonymous",
     joinedAt: Date.now(),
+    sessionId: sessionId, // Secret that lets this listener resume after a reconnect
+    chatMuted: false, // Set by the broadcaster to silence this listener in chat
+    presence: "connecting", // Reported by the listener's client (not persisted)
+    disconnectedAt: null, // Set while the slot is held for a reconnecting listener
+    expiryTimer: null,
   });
   
   ws.roomCode = roomCode;
@@ -63,6 +245,7 @@ function joinRoom(ws, roomCode, userName) {
   
   // Update room activity
   room.lastActivityAt = Date.now();
+  persistRoom(roomCode);
 
   return {
     success: true,
@@ -70,14 +253,608 @@ function joinRoom(ws, roomCode, userName) {
     listener: {
       id: listenerId,
       name: userName || "Anonymous",
+      sessionId: sessionId,
     },
   };
 }
 
+/**
+ * Hold a disconnected listener's slot so they can resume their session
+ * @param {WebSocket} ws - Listener's closed WebSocket connection
+ * @param {number} gracePeriod - How long to keep the slot (from config)
+ * @param {Function} onExpire - Called with the leaveRoom-style result if the listener never returns
+ * @returns {boolean} True if a listener slot is now being held
+ */
+function suspendListener(ws, gracePeriod, onExpire) {
+  const room = rooms.get(ws.roomCode);
+  if (!room) return false;
+
+  const listenerData = room.listeners.get(ws);
+  if (!listenerData) return false;
+
+  listenerData.disconnectedAt = Date.now();
+  listenerData.expiryTimer = setTimeout(() => {
+    // The listener didn't come back in time - remove them for real
+    onExpire(leaveRoom(ws));
+  }, gracePeriod);
+
+  room.lastActivityAt = Date.now();
+
+  return true;
+}
+
+/**
+ * Restore a listener's room membership on a new WebSocket connection
+ * @param {WebSocket} ws - Listener's new WebSocket connection
+ * @param {string} roomCode - Room code the session belongs to
+ * @param {string} sessionId - Session ID issued when the listener joined
+ * @returns {Object} Result object with success status and optional error code/message
+ */
+function resumeSession(ws, roomCode, sessionId) {
+  const room = rooms.get(roomCode);
+
+  if (!room) {
+    return {
+      success: false,
+      code: "room_not_found",
+      error: "Room not found",
+    };
+  }
+
+  if (room.bannedSessions.has(sessionId) || room.bannedIps.has(ws.clientIp)) {
+    return {
+      success: false,
+      code: "banned",
+      error: "You have been banned from this room",
+    };
+  }
+
+  let previousWs = null;
+  let listenerData = null;
+  for (const [listenerWs, data] of room.listeners) {
+    if (tokensMatch(data.sessionId, sessionId)) {
+      previousWs = listenerWs;
+      listenerData = data;
+      break;
+    }
+  }
+
+  if (!listenerData) {
+    return {
+      success: false,
+      code: "session_expired",
+      error: "Session expired",
+    };
+  }
+
+  clearTimeout(listenerData.expiryTimer);
+  listenerData.expiryTimer = null;
+  listenerData.disconnectedAt = null;
+  listenerData.presence = "connecting"; // Audio is renegotiated for the new connection
+
+  // Move the slot over to the new connection, detaching the old socket so
+  // its close (if it was still half-open) doesn't remove the listener
+  room.listeners.delete(previousWs);
+  previousWs.roomCode = null;
+  previousWs.role = null;
+  room.listeners.set(ws, listenerData);
+
+  ws.roomCode = roomCode;
+  ws.role = "listener";
+  ws._clientId = listenerData.id; // Keep the same ID so the broadcaster's peer map still matches
+
+  room.abandonedAt = null;
+  room.lastActivityAt = Date.now();
+  persistRoom(roomCode);
+
+  return {
+    success: true,
+    room,
+    replacedConnection: previousWs,
+    listener: {
+      id: listenerData.id,
+      name: listenerData.name,
+      sessionId: listenerData.sessionId,
+    },
+  };
+}
+
+/**
+ * Re-attach a returning broadcaster to their persisted room
+ * @param {WebSocket} ws - Broadcaster's new WebSocket connection
+ * @param {string} roomCode - Room code to reclaim
+ * @param {string} reclaimToken - Secret token issued when the room was created
+ * @param {string} [userName] - Broadcaster's display name in chat (keeps the old one if omitted)
+ * @returns {Object} Result object with success status and optional error code/message
+ */
+function reclaimRoom(ws, roomCode, reclaimToken, userName) {
+  const room = rooms.get(roomCode);
+
+  if (!room) {
+    return {
+      success: false,
+      code: "room_not_found",
+      error: "Room not found",
+    };
+  }
+
+  if (!tokensMatch(room.reclaimToken, reclaimToken)) {
+    return {
+      success: false,
+      code: "invalid_reclaim_token",
+      error: "Invalid reclaim token",
+    };
+  }
+
+  // A half-open socket from before the reload may still be registered -
+  // detach it so its eventual close doesn't abandon the room again
+  let replacedBroadcaster = null;
+  if (room.broadcaster && room.broadcaster !== ws) {
+    replacedBroadcaster = room.broadcaster;
+    replacedBroadcaster.roomCode = null;
+    replacedBroadcaster.role = null;
+  }
+
+  room.broadcaster = ws;
+  room.broadcasterName = userName || room.broadcasterName;
+  room.abandonedAt = null;
+
+  // Keep the same client ID so the room owner is still recognised
+  if (room.broadcasterId) {
+    ws._clientId = room.broadcasterId;
+  } else {
+    const { getClientId } = require("./utils");
+    room.broadcasterId = getClientId(ws);
+  }
+  room.lastActivityAt = Date.now();
+
+  ws.roomCode = roomCode;
+  ws.role = "broadcaster";
+
+  persistRoom(roomCode);
+
+  return {
+    success: true,
+    room,
+    replacedBroadcaster,
+  };
+}
+
+/**
+ * Offer the broadcaster role to a listener, replacing any earlier offer
+ * @param {string} roomCode - Room code
+ * @param {string} listenerId - Listener to hand the room to
+ * @param {Function} onExpire - Called with the expired offer if the listener doesn't accept in time
+ * @param {Object} [djEntry] - DJ queue entry the offer was made for, if it comes from the queue
+ * @returns {Object} Result object with the listener's socket and data, and the offer it replaced
+ */
+function offerBroadcasterTransfer(roomCode, listenerId, onExpire, djEntry = null) {
+  const room = rooms.get(roomCode);
+  if (!room) {
+    return { success: false, code: "room_not_found", error: "Room not found" };
+  }
+
+  const found = findListener(room, listenerId);
+  if (!found || found[1].disconnectedAt) {
+    return { success: false, code: "transfer_target_unavailable", error: "That listener can't take over right now" };
+  }
+
+  const replacedTransfer = cancelBroadcasterTransfer(roomCode);
+
+  const pendingTransfer = {
+    listenerId,
+    expiresAt: Date.now() + config.BROADCASTER_TRANSFER_TIMEOUT,
+    djEntry,
+    timer: null,
+  };
+  pendingTransfer.timer = setTimeout(() => {
+    if (room.pendingTransfer === pendingTransfer) {
+      room.pendingTransfer = null;
+      onExpire(pendingTransfer);
+    }
+  }, config.BROADCASTER_TRANSFER_TIMEOUT);
+  room.pendingTransfer = pendingTransfer;
+
+  return {
+    success: true,
+    room,
+    listenerWs: found[0],
+    listenerData: found[1],
+    expiresAt: pendingTransfer.expiresAt,
+    replacedTransfer,
+  };
+}
+
+/**
+ * Withdraw a room's pending broadcaster transfer
+ * @param {string} roomCode - Room code
+ * @returns {Object|null} The withdrawn offer ({ listenerId, expiresAt, djEntry }), or null if none was pending
+ */
+function cancelBroadcasterTransfer(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room || !room.pendingTransfer) return null;
+
+  const pendingTransfer = room.pendingTransfer;
+  clearTimeout(pendingTransfer.timer);
+  room.pendingTransfer = null;
+
+  return pendingTransfer;
+}
+
+/**
+ * Swap roles with the broadcaster after a listener accepts a transfer
+ *
+ * The old broadcaster stays in the room as a listener with a new session,
+ * and the reclaim token is rotated so only the new broadcaster can reclaim.
+ * A room whose broadcaster has gone is simply taken over.
+ * @param {WebSocket} ws - Accepting listener's WebSocket connection
+ * @returns {Object} Result object with the previous broadcaster's socket and new listener info (if they were there)
+ */
+function transferBroadcaster(ws) {
+  const room = rooms.get(ws.roomCode);
+  const listenerData = room && room.listeners.get(ws);
+  const pendingTransfer = room && room.pendingTransfer;
+
+  if (!listenerData || !pendingTransfer || pendingTransfer.listenerId !== listenerData.id) {
+    return { success: false, code: "transfer_not_pending", error: "That hand-off is no longer available" };
+  }
+
+  cancelBroadcasterTransfer(ws.roomCode);
+  endDjSlot(ws.roomCode);
+
+  let previousBroadcaster = room.broadcaster;
+  let previousData = null;
+
+  if (previousBroadcaster && previousBroadcaster.readyState === WebSocket.OPEN) {
+    const { getClientId } = require("./utils");
+    previousData = {
+      id: getClientId(previousBroadcaster),
+      name: room.broadcasterName || "Anonymous",
+      joinedAt: Date.now(),
+      sessionId: generateToken(),
+      chatMuted: false,
+      presence: "connecting",
+      disconnectedAt: null,
+      expiryTimer: null,
+    };
+    room.listeners.set(previousBroadcaster, previousData);
+    previousBroadcaster.role = "listener";
+  } else if (previousBroadcaster) {
+    // Detach a half-closed socket so its close doesn't abandon the room
+    previousBroadcaster.roomCode = null;
+    previousBroadcaster.role = null;
+    previousBroadcaster = null;
+  }
+
+  room.listeners.delete(ws);
+  removeFromDjQueue(room, listenerData.id);
+
+  room.broadcaster = ws;
+  room.broadcasterId = listenerData.id;
+  room.broadcasterName = listenerData.name;
+  room.reclaimToken = generateToken();
+  room.nowPlaying = null; // The new DJ hasn't said what they're playing yet
+  ws.role = "broadcaster";
+
+  room.abandonedAt = null;
+  room.lastActivityAt = Date.now();
+  persistRoom(ws.roomCode);
+
+  return {
+    success: true,
+    room,
+    djEntry: pendingTransfer.djEntry,
+    previousBroadcaster,
+    previousListener: previousData && {
+      id: previousData.id,
+      name: previousData.name,
+      sessionId: previousData.sessionId,
+    },
+  };
+}
+
+/**
+ * Sign a listener up to broadcast after the current DJ (again to just change their slot length)
+ * @param {WebSocket} ws - Listener's WebSocket connection
+ * @param {number} [slotMinutes] - How long they want to broadcast for (no limit if omitted)
+ * @returns {Object} Result object with the listener's place in the queue (1 is next)
+ */
+function joinDjQueue(ws, slotMinutes) {
+  const room = rooms.get(ws.roomCode);
+  const listenerData = room && room.listeners.get(ws);
+
+  if (!listenerData) {
+    return { success: false, code: "not_authorized", error: "Only listeners can sign up to DJ" };
+  }
+
+  const existing = room.djQueue.find((entry) => entry.listenerId === listenerData.id);
+  if (existing) {
+    existing.slotMinutes = slotMinutes || null;
+  } else {
+    if (room.djQueue.length >= config.DJ_QUEUE_LIMIT) {
+      return { success: false, code: "dj_queue_full", error: "The DJ queue is full" };
+    }
+    room.djQueue.push({ listenerId: listenerData.id, name: listenerData.name, slotMinutes: slotMinutes || null });
+  }
+
+  room.lastActivityAt = Date.now();
+  persistRoom(ws.roomCode);
+
+  return {
+    success: true,
+    room,
+    position: room.djQueue.findIndex((entry) => entry.listenerId === listenerData.id) + 1,
+    alreadyQueued: !!existing,
+  };
+}
+
+/**
+ * Drop a listener from a room's DJ queue (no persist - callers save the room)
+ * @param {Object} room - Room object
+ * @param {string} listenerId - Listener ID
+ * @returns {boolean} True if they were queued
+ */
+function removeFromDjQueue(room, listenerId) {
+  const index = room.djQueue.findIndex((entry) => entry.listenerId === listenerId);
+  if (index === -1) return false;
+
+  room.djQueue.splice(index, 1);
+  return true;
+}
+
+/**
+ * Take a listener out of the DJ queue
+ * @param {string} roomCode - Room code
+ * @param {string} listenerId - Listener ID
+ * @returns {boolean} True if they were queued
+ */
+function leaveDjQueue(roomCode, listenerId) {
+  const room = rooms.get(roomCode);
+  if (!room || !removeFromDjQueue(room, listenerId)) return false;
+
+  persistRoom(roomCode);
+  return true;
+}
+
+/**
+ * Remove and return the first DJ in the queue
+ * @param {string} roomCode - Room code
+ * @returns {Object|null} Queue entry, or null if nobody is waiting
+ */
+function takeNextDj(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room || room.djQueue.length === 0) return null;
+
+  const entry = room.djQueue.shift();
+  persistRoom(roomCode);
+  return entry;
+}
+
+/**
+ * Put a DJ back at the front of the queue (their offer was withdrawn, not refused)
+ * @param {string} roomCode - Room code
+ * @param {Object} entry - Queue entry from takeNextDj
+ */
+function returnDjToQueue(roomCode, entry) {
+  const room = rooms.get(roomCode);
+  if (!room || !findListener(room, entry.listenerId)) return;
+
+  room.djQueue.unshift(entry);
+  persistRoom(roomCode);
+}
+
+/**
+ * Start the current DJ's time limit
+ * @param {string} roomCode - Room code
+ * @param {number} slotMinutes - Length of the slot
+ * @param {Function} onEnd - Called when the slot runs out
+ * @returns {number|null} When the slot ends, or null if the room doesn't exist
+ */
+function startDjSlot(roomCode, slotMinutes, onEnd) {
+  const room = rooms.get(roomCode);
+  if (!room) return null;
+
+  endDjSlot(roomCode);
+
+  const djSlot = { endsAt: Date.now() + slotMinutes * 60 * 1000, timer: null };
+  djSlot.timer = setTimeout(() => {
+    if (room.djSlot === djSlot) {
+      room.djSlot = null;
+      onEnd();
+    }
+  }, slotMinutes * 60 * 1000);
+  room.djSlot = djSlot;
+
+  return djSlot.endsAt;
+}
+
+/**
+ * Clear the current DJ's time limit
+ * @param {string} roomCode - Room code
+ */
+function endDjSlot(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room || !room.djSlot) return;
+
+  clearTimeout(room.djSlot.timer);
+  room.djSlot = null;
+}
+
+/**
+ * Add a listener's song request to the room's queue
+ * @param {WebSocket} ws - Listener's WebSocket connection
+ * @param {Object} request - { title, artist, note } (artist and note are optional)
+ * @returns {Object} Result object with the new song request
+ */
+function addSongRequest(ws, request) {
+  const room = rooms.get(ws.roomCode);
+  const listenerData = room && room.listeners.get(ws);
+
+  if (!listenerData) {
+    return { success: false, code: "not_authorized", error: "Only listeners can request songs" };
+  }
+
+  const openRequests = room.songRequests.filter((songRequest) => songRequest.requesterId === listenerData.id);
+  if (openRequests.length >= config.SONG_REQUESTS_PER_LISTENER) {
+    return {
+      success: false,
+      code: "song_request_limit",
+      error: `You can have ${config.SONG_REQUESTS_PER_LISTENER} songs requested at a time - wait for some to be played`,
+    };
+  }
+  if (room.songRequests.length >= config.SONG_REQUEST_QUEUE_LIMIT) {
+    return { success: false, code: "song_request_queue_full", error: "The song request queue is full" };
+  }
+
+  const songRequest = {
+    id: room.nextSongRequestId++,
+    title: request.title,
+    artist: request.artist || null,
+    note: request.note || null,
+    requesterId: listenerData.id,
+    requesterName: listenerData.name,
+    status: "pending", // "accepted" once the broadcaster says they'll play it
+    voterIds: [], // Listeners who upvoted it
+    createdAt: Date.now(),
+  };
+  room.songRequests.push(songRequest);
+
+  room.lastActivityAt = Date.now();
+  persistRoom(ws.roomCode);
+
+  return { success: true, room, songRequest };
+}
+
+/**
+ * Drop a departing listener's song requests and upvotes
+ * @param {Object} room - Room object
+ * @param {string} listenerId - Listener ID
+ * @returns {boolean} True if the song request queue changed
+ */
+function removeListenerSongRequests(room, listenerId) {
+  const queueLength = room.songRequests.length;
+  room.songRequests = room.songRequests.filter((songRequest) => songRequest.requesterId !== listenerId);
+
+  let changed = room.songRequests.length !== queueLength;
+  room.songRequests.forEach((songRequest) => {
+    const voteIndex = songRequest.voterIds.indexOf(listenerId);
+    if (voteIndex !== -1) {
+      songRequest.voterIds.splice(voteIndex, 1);
+      changed = true;
+    }
+  });
+
+  return changed;
+}
+
+/**
+ * Add or withdraw a listener's upvote on a song request
+ * @param {WebSocket} ws - Listener's WebSocket connection
+ * @param {number} songRequestId - Song request ID
+ * @param {boolean} upvote - True to upvote, false to take the vote back
+ * @returns {Object} Result object with whether the votes changed
+ */
+function voteSongRequest(ws, songRequestId, upvote) {
+  const room = rooms.get(ws.roomCode);
+  const listenerData = room && room.listeners.get(ws);
+
+  if (!listenerData) {
+    return { success: false, code: "not_authorized", error: "Only listeners can vote on song requests" };
+  }
+
+  const songRequest = room.songRequests.find((entry) => entry.id === songRequestId);
+  if (!songRequest) {
+    return { success: false, code: "song_request_not_found", error: "That song request is no longer in the queue" };
+  }
+  if (songRequest.requesterId === listenerData.id) {
+    return { success: false, code: "not_authorized", error: "You can't vote for your own request" };
+  }
+
+  const hasVoted = songRequest.voterIds.includes(listenerData.id);
+  if (hasVoted === upvote) {
+    return { success: true, room, changed: false };
+  }
+
+  if (upvote) {
+    songRequest.voterIds.push(listenerData.id);
+  } else {
+    songRequest.voterIds = songRequest.voterIds.filter((id) => id !== listenerData.id);
+  }
+
+  persistRoom(ws.roomCode);
+
+  return { success: true, room, changed: true };
+}
+
+/**
+ * Withdraw one of a listener's own song requests
+ * @param {WebSocket} ws - Listener's WebSocket connection
+ * @param {number} songRequestId - Song request ID
+ * @returns {Object} Result object with the removed song request
+ */
+function cancelSongRequest(ws, songRequestId) {
+  const room = rooms.get(ws.roomCode);
+  const listenerData = room && room.listeners.get(ws);
+  const index = room ? room.songRequests.findIndex((entry) => entry.id === songRequestId) : -1;
+
+  if (index === -1) {
+    return { success: false, code: "song_request_not_found", error: "That song request is no longer in the queue" };
+  }
+  if (!listenerData || room.songRequests[index].requesterId !== listenerData.id) {
+    return { success: false, code: "not_authorized", error: "You can only withdraw your own requests" };
+  }
+
+  const [songRequest] = room.songRequests.splice(index, 1);
+  persistRoom(ws.roomCode);
+
+  return { success: true, room, songRequest };
+}
+
+/**
+ * Accept a song request, or take it out of the queue once it's rejected or played
+ * @param {string} roomCode - Room code
+ * @param {number} songRequestId - Song request ID
+ * @param {string} status - "accepted", "rejected" or "played"
+ * @returns {Object} Result object with the updated song request
+ */
+function updateSongRequest(roomCode, songRequestId, status) {
+  const room = rooms.get(roomCode);
+  const index = room ? room.songRequests.findIndex((entry) => entry.id === songRequestId) : -1;
+
+  if (index === -1) {
+    return { success: false, code: "song_request_not_found", error: "That song request is no longer in the queue" };
+  }
+
+  const songRequest = room.songRequests[index];
+  if (status === "accepted") {
+    songRequest.status = "accepted";
+  } else {
+    room.songRequests.splice(index, 1);
+  }
+
+  room.lastActivityAt = Date.now();
+  persistRoom(roomCode);
+
+  return { success: true, room, songRequest };
+}
+
+/**
+ * Withdraw the broadcaster transfer offered to a listener who is leaving the room
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @param {string} listenerId - Departing listener's ID
+ * @returns {Object|null} The withdrawn offer, or null if they weren't offered the role
+ */
+function cancelTransferTo(roomCode, room, listenerId) {
+  if (!room.pendingTransfer || room.pendingTransfer.listenerId !== listenerId) return null;
+  return cancelBroadcasterTransfer(roomCode);
+}
+
 /**
  * Remove a user from a room
  * @param {WebSocket} ws - User's WebSocket connection
- * @returns {Object} Result with notified listeners and removed listener info
+ * @returns {Object} Result with notified listeners, removed listener info, whether the DJ queue and
+ *   song requests changed, and the broadcaster transfer withdrawn because the listener left (if any)
  */
 function leaveRoom(ws) {
   const { roomCode, role } = ws;
@@ -89,6 +866,9 @@ function leaveRoom(ws) {
 
   const notifiedListeners = [];
   let removedListener = null;
+  let leftDjQueue = false;
+  let leftSongRequests = false;
+  let cancelledTransfer = null;
 
   if (role === "broadcaster") {
     // Collect listeners to notify
@@ -104,8 +884,14 @@ function leaveRoom(ws) {
   } else if (role === "listener") {
     // Get listener info before removing
     removedListener = room.listeners.get(ws);
+    if (removedListener) {
+      clearTimeout(removedListener.expiryTimer);
+    }
     room.listeners.delete(ws);
     room.lastActivityAt = Date.now();
+    leftDjQueue = !!removedListener && removeFromDjQueue(room, removedListener.id);
+    leftSongRequests = !!removedListener && removeListenerSongRequests(room, removedListener.id);
+    cancelledTransfer = removedListener ? cancelTransferTo(roomCode, room, removedListener.id) : null;
     
     // If all users have left, mark room as abandoned
     if (!room.broadcaster && room.listeners.size === 0) {
@@ -113,7 +899,318 @@ function leaveRoom(ws) {
     }
   }
 
-  return { notifiedListeners, removedListener, room };
+  persistRoom(roomCode);
+
+  return { notifiedListeners, removedListener, leftDjQueue, leftSongRequests, cancelledTransfer, room, roomCode };
+}
+
+/**
+ * Find a listener in a room by their public listener ID
+ * @param {Object} room - Room object
+ * @param {string} listenerId - Listener ID
+ * @returns {Array|null} [listenerWs, listenerData] or null if not found
+ */
+function findListener(room, listenerId) {
+  for (const [listenerWs, listenerData] of room.listeners) {
+    if (listenerData.id === listenerId) {
+      return [listenerWs, listenerData];
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove a listener from a room on the broadcaster's behalf
+ * @param {string} roomCode - Room code
+ * @param {string} listenerId - Listener to remove
+ * @param {Object} [options] - Set ban to also ban their session and IP for the room's lifetime
+ * @returns {Object} Result object with the removed listener's socket and data
+ */
+function kickListener(roomCode, listenerId, options = {}) {
+  const room = rooms.get(roomCode);
+  if (!room) {
+    return { success: false, code: "room_not_found", error: "Room not found" };
+  }
+
+  const found = findListener(room, listenerId);
+  if (!found) {
+    return { success: false, code: "listener_not_found", error: "Listener not found" };
+  }
+
+  const [listenerWs, listenerData] = found;
+
+  clearTimeout(listenerData.expiryTimer);
+  room.listeners.delete(listenerWs);
+  room.lastActivityAt = Date.now();
+  const leftDjQueue = removeFromDjQueue(room, listenerData.id);
+  const leftSongRequests = removeListenerSongRequests(room, listenerData.id);
+  const cancelledTransfer = cancelTransferTo(roomCode, room, listenerData.id);
+
+  if (options.ban) {
+    room.bannedSessions.add(listenerData.sessionId);
+    if (listenerWs.clientIp) {
+      room.bannedIps.add(listenerWs.clientIp);
+    }
+  }
+
+  // Detach the socket so its close doesn't run the normal leave flow again
+  listenerWs.roomCode = null;
+  listenerWs.role = null;
+
+  persistRoom(roomCode);
+
+  return {
+    success: true,
+    room,
+    listenerWs,
+    removedListener: listenerData,
+    leftDjQueue,
+    leftSongRequests,
+    cancelledTransfer,
+  };
+}
+
+/**
+ * Mute or unmute a listener in the room's chat
+ * @param {string} roomCode - Room code
+ * @param {string} listenerId - Listener to update
+ * @param {boolean} muted - Whether the listener may no longer chat
+ * @returns {Object} Result object with the updated listener data
+ */
+function setChatMuted(roomCode, listenerId, muted) {
+  const room = rooms.get(roomCode);
+  if (!room) {
+    return { success: false, code: "room_not_found", error: "Room not found" };
+  }
+
+  const found = findListener(room, listenerId);
+  if (!found) {
+    return { success: false, code: "listener_not_found", error: "Listener not found" };
+  }
+
+  const [listenerWs, listenerData] = found;
+  listenerData.chatMuted = muted;
+  persistRoom(roomCode);
+
+  return {
+    success: true,
+    room,
+    listenerWs,
+    listener: listenerData,
+  };
+}
+
+/**
+ * Record the presence state a listener's client reported
+ * Presence is only interesting while the room is live, so it isn't persisted.
+ * @param {WebSocket} ws - Listener's WebSocket connection
+ * @param {string} state - Presence state (see the presence message in shared/protocol.json)
+ * @returns {Object|null} Listener data, or null if ws isn't a listener in a room
+ */
+function setPresence(ws, state) {
+  const room = rooms.get(ws.roomCode);
+  const listenerData = room && room.listeners.get(ws);
+  if (!listenerData) return null;
+
+  listenerData.presence = state;
+  return listenerData;
+}
+
+/**
+ * Get a listener's presence as shown to the rest of the room
+ * @param {Object} listenerData - Listener data
+ * @returns {string} Reported state, or "reconnecting" while their slot is held
+ */
+function getPresence(listenerData) {
+  return listenerData.disconnectedAt ? "reconnecting" : listenerData.presence || "connecting";
+}
+
+/**
+ * Replace a room's chat policy
+ * @param {string} roomCode - Room code
+ * @param {Object} policy - New chat policy (see chatPolicy.updatePolicy)
+ * @returns {Object} Result object with success status and room
+ */
+function setChatPolicy(roomCode, policy) {
+  const room = rooms.get(roomCode);
+  if (!room) {
+    return { success: false, code: "room_not_found", error: "Room not found" };
+  }
+
+  room.chatPolicy = policy;
+  persistRoom(roomCode);
+
+  return { success: true, room };
+}
+
+/**
+ * List a room in the public directory, or take it out
+ * @param {string} roomCode - Room code
+ * @param {Object|null} listing - { name, description, tags, language }, or null to make the room private
+ * @returns {Object} Result object with success status and room
+ */
+function setRoomListing(roomCode, listing) {
+  const room = rooms.get(roomCode);
+  if (!room) {
+    return { success: false, code: "room_not_found", error: "Room not found" };
+  }
+
+  room.listing = listing;
+  persistRoom(roomCode);
+
+  return { success: true, room };
+}
+
+/**
+ * Add a burst of reactions to the current track's tally
+ * @param {string} roomCode - Room code
+ * @param {Object} counts - Reaction counts by emoji
+ * @returns {Object|null} Updated reaction tally, or null if the room is gone
+ */
+function addReactions(roomCode, counts) {
+  const room = rooms.get(roomCode);
+  if (!room) return null;
+
+  const tally = room.reactionTally.current.counts;
+  Object.entries(counts).forEach(([emoji, count]) => {
+    tally[emoji] = (tally[emoji] || 0) + count;
+  });
+
+  room.lastActivityAt = Date.now();
+  persistRoom(roomCode);
+
+  return room.reactionTally;
+}
+
+/**
+ * Close the current track's reaction tally and start counting a new track
+ * @param {string} roomCode - Room code
+ * @param {string} [title] - Name of the new track, when now-playing started it
+ * @returns {Object} Result object with success status, room and reaction tally
+ */
+function startReactionTrack(roomCode, title) {
+  const room = rooms.get(roomCode);
+  if (!room) {
+    return { success: false, code: "room_not_found", error: "Room not found" };
+  }
+
+  const { current, tracks } = room.reactionTally;
+  const now = Date.now();
+
+  // Tracks nobody reacted to aren't worth keeping
+  if (Object.keys(current.counts).length > 0) {
+    tracks.push({ ...current, endedAt: now });
+    if (tracks.length > config.REACTION_TRACK_HISTORY) {
+      tracks.splice(0, tracks.length - config.REACTION_TRACK_HISTORY);
+    }
+  }
+  room.reactionTally.current = { startedAt: now, counts: {}, title: title || null };
+
+  persistRoom(roomCode);
+
+  return { success: true, room, reactionTally: room.reactionTally };
+}
+
+/**
+ * Set what the broadcaster is playing and add it to the room's track history
+ * @param {string} roomCode - Room code
+ * @param {Object} track - { title, artist, artworkUrl } (artist and artwork are optional)
+ * @returns {Object} Result object with the stored track
+ */
+function setNowPlaying(roomCode, track) {
+  const room = rooms.get(roomCode);
+  if (!room) {
+    return { success: false, code: "room_not_found", error: "Room not found" };
+  }
+
+  const nowPlaying = {
+    title: track.title,
+    artist: track.artist || null,
+    artworkUrl: track.artworkUrl || null,
+    djName: room.broadcasterName || null,
+    startedAt: Date.now(),
+  };
+
+  room.nowPlaying = nowPlaying;
+  room.trackHistory.push(nowPlaying);
+  if (room.trackHistory.length > config.TRACK_HISTORY_LIMIT) {
+    room.trackHistory.splice(0, room.trackHistory.length - config.TRACK_HISTORY_LIMIT);
+  }
+
+  room.lastActivityAt = Date.now();
+  persistRoom(roomCode);
+
+  return { success: true, room, track: nowPlaying };
+}
+
+/**
+ * Append a message to the room's chat history, keeping the newest CHAT_HISTORY_LIMIT
+ * @param {string} roomCode - Room code
+ * @param {Object} chatMessage - Chat message as sent to clients (given its ID here)
+ */
+function addChatMessage(roomCode, chatMessage) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  chatMessage.id = room.nextChatId++;
+  room.chatHistory.push(chatMessage);
+  if (room.chatHistory.length > config.CHAT_HISTORY_LIMIT) {
+    room.chatHistory.splice(0, room.chatHistory.length - config.CHAT_HISTORY_LIMIT);
+  }
+
+  room.lastActivityAt = Date.now();
+  persistRoom(roomCode);
+}
+
+/**
+ * Get a page of a room's chat history, newest last
+ * @param {string} roomCode - Room code
+ * @param {Object} [options] - Paging options
+ * @param {number} [options.before] - Only return messages older than this message ID
+ * @param {number} [options.limit] - Maximum number of messages (default: CHAT_HISTORY_PAGE_SIZE)
+ * @returns {Object} { messages, hasMore } - hasMore is true if older messages remain
+ */
+function getChatHistory(roomCode, { before, limit = config.CHAT_HISTORY_PAGE_SIZE } = {}) {
+  const room = rooms.get(roomCode);
+  if (!room) return { messages: [], hasMore: false };
+
+  const older = before === undefined
+    ? room.chatHistory
+    : room.chatHistory.filter((chatMessage) => chatMessage.id < before);
+  const start = Math.max(older.length - limit, 0);
+
+  return { messages: older.slice(start), hasMore: start > 0 };
+}
+
+/**
+ * Delete a room immediately, whoever is still in it
+ * @param {string} roomCode - Room code
+ * @returns {Object} Result object with the deleted room (its sockets are detached but still open)
+ */
+function closeRoom(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) {
+    return { success: false, code: "room_not_found", error: "Room not found" };
+  }
+
+  cancelBroadcasterTransfer(roomCode);
+  endDjSlot(roomCode);
+  rooms.delete(roomCode);
+  store.remove(roomCode);
+  lifecycle.unscheduleRoom(roomCode);
+
+  // Detach every socket so closing them doesn't run the normal leave flows
+  if (room.broadcaster) {
+    room.broadcaster.roomCode = null;
+    room.broadcaster.role = null;
+  }
+  room.listeners.forEach((listenerData, listenerWs) => {
+    clearTimeout(listenerData.expiryTimer);
+    listenerWs.roomCode = null;
+    listenerWs.role = null;
+  });
+
+  return { success: true, room };
 }
 
 /**
@@ -126,29 +1223,145 @@ function getRoom(roomCode) {
 }
 
 /**
- * Clean up abandoned rooms after persistence timeout
- * @param {number} persistenceTimeout - How long to keep abandoned rooms (from config)
- * @returns {number} Number of rooms cleaned up
+ * List the codes of all rooms held by this server
+ * @returns {Array<string>} Room codes
  */
-function cleanupOldRooms(persistenceTimeout) {
-  const now = Date.now();
-  let cleanedCount = 0;
+function getRoomCodes() {
+  return Array.from(rooms.keys());
+}
 
-  rooms.forEach((room, roomCode) => {
-    // Delete room if it's been abandoned for longer than persistence timeout
-    if (room.abandonedAt && (now - room.abandonedAt > persistenceTimeout)) {
-      rooms.delete(roomCode);
-      cleanedCount++;
+/**
+ * Count the rooms (active or persisted) created from a client IP
+ * @param {string} ip - Client IP address
+ * @returns {number} Number of rooms owned by that IP
+ */
+function countRoomsByIp(ip) {
+  let count = 0;
+  rooms.forEach((room) => {
+    if (room.ownerIp === ip) {
+      count++;
     }
   });
+  return count;
+}
+
+/**
+ * Rebuild rooms from the room store after a restart
+ *
+ * Broadcasters must reclaim their room and listeners must resume their
+ * session, exactly as if every client had just lost its connection.
+ * @param {number} gracePeriod - How long restored listener slots are held (from config)
+ * @param {Function} onListenerExpire - Called like suspendListener's onExpire for listeners that never return
+ * @returns {number} Number of rooms restored
+ */
+function restoreRooms(gracePeriod, onListenerExpire) {
+  const records = store.load();
+  const now = Date.now();
+
+  records.forEach((record) => {
+    // Rooms saved before chat messages had IDs get them now
+    const chatHistory = record.chatHistory || [];
+    chatHistory.forEach((chatMessage, index) => {
+      if (chatMessage.id === undefined) chatMessage.id = index + 1;
+    });
+
+    const room = {
+      broadcaster: null,
+      listeners: new Map(),
+      createdAt: record.createdAt,
+      lastActivityAt: record.lastActivityAt,
+      abandonedAt: record.abandonedAt || now, // The broadcaster's connection died with the old process
+      reclaimToken: record.reclaimToken,
+      passwordHash: record.passwordHash,
+      inviteOnly: record.inviteOnly,
+      listing: record.listing || null,
+      ownerIp: record.ownerIp,
+      ownerId: record.ownerId || null,
+      broadcasterId: record.broadcasterId || null,
+      broadcasterName: record.broadcasterName || null,
+      djQueue: record.djQueue || [],
+      djSlot: null, // Slot timers don't survive a restart
+      nowPlaying: record.nowPlaying || null,
+      trackHistory: record.trackHistory || [],
+      chatPolicy: { ...chatPolicy.createDefaultPolicy(), ...record.chatPolicy }, // Rooms saved before chat policies get the default
+      reactionTally: record.reactionTally || createReactionTally(),
+      bannedSessions: new Set(record.bannedSessions),
+      bannedIps: new Set(record.bannedIps),
+      chatHistory,
+      nextChatId: record.nextChatId || chatHistory.length + 1,
+      songRequests: record.songRequests || [],
+      nextSongRequestId: record.nextSongRequestId || 1,
+      pendingTransfer: null,
+    };
+    rooms.set(record.roomCode, room);
+    lifecycle.scheduleRoom(record.roomCode, room);
+
+    record.listeners.forEach((listener) => {
+      // Stand-in for the listener's lost socket, replaced when they resume
+      const placeholder = {
+        roomCode: record.roomCode,
+        role: "listener",
+        readyState: WebSocket.CLOSED,
+        close() {},
+      };
+
+      room.listeners.set(placeholder, {
+        ...listener,
+        disconnectedAt: null,
+        expiryTimer: null,
+      });
+      suspendListener(placeholder, gracePeriod, onListenerExpire);
+    });
+  });
 
-  return cleanedCount;
+  return records.length;
+}
+
+/**
+ * Write any pending room changes to the room store (call before exiting)
+ */
+function flushRooms() {
+  store.flush();
 }
 
 module.exports = {
   createRoom,
   joinRoom,
+  suspendListener,
+  resumeSession,
+  reclaimRoom,
+  offerBroadcasterTransfer,
+  cancelBroadcasterTransfer,
+  transferBroadcaster,
+  joinDjQueue,
+  leaveDjQueue,
+  takeNextDj,
+  returnDjToQueue,
+  startDjSlot,
+  endDjSlot,
   leaveRoom,
   getRoom,
-  cleanupOldRooms,
+  getRoomCodes,
+  closeRoom,
+  addChatMessage,
+  getChatHistory,
+  countRoomsByIp,
+  findListener,
+  kickListener,
+  setChatMuted,
+  setChatPolicy,
+  setRoomListing,
+  setPresence,
+  getPresence,
+  addReactions,
+  startReactionTrack,
+  setNowPlaying,
+  addSongRequest,
+  voteSongRequest,
+  cancelSongRequest,
+  updateSongRequest,
+  isProtected,
+  createInvite,
+  restoreRooms,
+  flushRooms,
 };
@@ -0,0 +1,346 @@
+/**
+ * Router - Routes client messages to the server node that owns their room
+ *
+ * Every room lives on exactly one node (its "home"), which runs all of the
+ * room logic. A client connected to another node has its messages forwarded
+ * over the node bus, and the home node represents it with a remote socket
+ * that relays send()/close() back to the client's node.
+ */
+
+const WebSocket = require("ws");
+const roomManager = require("./roomManager");
+const { generateConnectionId } = require("./utils");
+const config = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("router");
+
+// Messages that name the room they target; everything else follows the client's current room
+const ROOM_ENTRY_TYPES = ["join-room", "resume-session", "reclaim-room"];
+
+let bus = null;
+let handlers = null;
+
+// Room code -> ID of the node that owns it (rooms on other nodes only)
+const roomDirectory = new Map();
+
+// Room code -> summary published by its owner (rooms on other nodes only, see summarizeRoom in start())
+const roomSummaries = new Map();
+
+// Local sockets whose room lives on another node, keyed by connection ID
+const forwardedSockets = new Map();
+
+// Stand-ins for clients connected to other nodes, keyed by "nodeId:connId"
+const remoteSockets = new Map();
+
+// Requests sent to other nodes and still waiting for an answer, keyed by request ID
+const pendingRequests = new Map();
+
+/**
+ * Tell the other nodes which rooms this node owns, with a summary of each
+ */
+function publishRooms() {
+  if (!bus) return;
+
+  const roomCodes = roomManager.getRoomCodes();
+  bus.publish({
+    type: "rooms",
+    roomCodes,
+    summaries: roomCodes.map((roomCode) => handlers.summarizeRoom(roomCode, roomManager.getRoom(roomCode))),
+  });
+}
+
+/**
+ * Forget every room we knew to be on a node
+ * @param {string} nodeId - Node ID
+ */
+function forgetNodeRooms(nodeId) {
+  roomDirectory.forEach((ownerNodeId, roomCode) => {
+    if (ownerNodeId === nodeId) {
+      roomDirectory.delete(roomCode);
+      roomSummaries.delete(roomCode);
+    }
+  });
+}
+
+/**
+ * Check whether a room code is already in use anywhere in the cluster
+ * @param {string} roomCode - Room code
+ * @returns {boolean} True if this node or another node holds a room with that code
+ */
+function isRoomCodeTaken(roomCode) {
+  return !!roomManager.getRoom(roomCode) || roomDirectory.has(roomCode);
+}
+
+/**
+ * Get the node that owns a room held elsewhere
+ * @param {string} roomCode - Room code
+ * @returns {string|null} Owning node's ID, or null if the room is local or unknown
+ */
+function getRoomNode(roomCode) {
+  return roomDirectory.get(roomCode) || null;
+}
+
+/**
+ * List the summaries other nodes last published for their rooms
+ * @returns {Array<Object>} { roomCode, node, ...summary } for every room on another node
+ */
+function getRemoteRooms() {
+  return Array.from(roomSummaries, ([roomCode, summary]) => ({ ...summary, roomCode, node: roomDirectory.get(roomCode) }));
+}
+
+/**
+ * Send a request to another node and wait for its answer
+ * @param {string} nodeId - Node to ask
+ * @param {Object} request - JSON-serializable request, handled there by handleNodeRequest (see start())
+ * @param {Function} callback - Called with (error, response); error is set if the node didn't answer in time
+ */
+function requestNode(nodeId, request, callback) {
+  const requestId = generateConnectionId();
+  const timer = setTimeout(() => {
+    finishRequest(requestId, new Error(`Node ${nodeId} did not answer`));
+  }, config.NODE_REQUEST_TIMEOUT);
+
+  pendingRequests.set(requestId, { nodeId, callback, timer });
+  bus.send(nodeId, { type: "node-request", requestId, request });
+}
+
+/**
+ * Complete a request sent with requestNode
+ * @param {string} requestId - Request ID
+ * @param {Error|null} error - Why the request failed, if it did
+ * @param {Object} [response] - The other node's answer
+ */
+function finishRequest(requestId, error, response) {
+  const pending = pendingRequests.get(requestId);
+  if (!pending) return;
+
+  pendingRequests.delete(requestId);
+  clearTimeout(pending.timer);
+  pending.callback(error, response);
+}
+
+/**
+ * Create a socket-like stand-in for a client connected to another node
+ * @param {string} nodeId - Node holding the real socket
+ * @param {string} connId - Connection ID on that node
+ * @param {string} clientIp - Client's IP address
+ * @returns {Object} Remote socket
+ */
+function createRemoteSocket(nodeId, connId, clientIp) {
+  const remote = {
+    nodeId,
+    connId,
+    clientIp,
+    roomCode: null,
+    role: null,
+    readyState: WebSocket.OPEN,
+
+    send(payload) {
+      if (remote.readyState !== WebSocket.OPEN) return;
+      bus.send(nodeId, { type: "deliver", connId, payload });
+    },
+
+    close(code, reason) {
+      if (remote.readyState !== WebSocket.OPEN) return;
+      remote.readyState = WebSocket.CLOSING;
+      bus.send(nodeId, { type: "close", connId, code, reason });
+    },
+  };
+
+  return remote;
+}
+
+/**
+ * Run the disconnect flow for a remote client and forget it
+ * @param {string} key - Remote socket key ("nodeId:connId")
+ */
+function dropRemoteSocket(key) {
+  const remote = remoteSockets.get(key);
+  if (!remote) return;
+
+  remoteSockets.delete(key);
+  remote.readyState = WebSocket.CLOSED;
+  handlers.handleDisconnect(remote);
+}
+
+/**
+ * Handle a message from another node
+ * @param {Object} message - Bus message
+ * @param {string} fromNodeId - Sending node's ID
+ */
+function handleBusMessage(message, fromNodeId) {
+  switch (message.type) {
+    case "rooms": {
+      // Full snapshot of the sender's rooms - replace whatever we knew
+      forgetNodeRooms(fromNodeId);
+      message.roomCodes.forEach((roomCode, index) => {
+        // Two nodes picked the same code at once - keep routing it to our own room
+        if (roomManager.getRoom(roomCode)) {
+          log.warn("Ignoring another node's claim on a room we own", { roomCode, claimedBy: fromNodeId });
+          return;
+        }
+        roomDirectory.set(roomCode, fromNodeId);
+        roomSummaries.set(roomCode, message.summaries[index]);
+      });
+      break;
+    }
+
+    case "sync-request":
+      publishRooms();
+      break;
+
+    case "client-message": {
+      const key = `${fromNodeId}:${message.connId}`;
+      let remote = remoteSockets.get(key);
+      if (!remote) {
+        remote = createRemoteSocket(fromNodeId, message.connId, message.clientIp);
+        remoteSockets.set(key, remote);
+      }
+      handlers.handleMessage(remote, message.data);
+      break;
+    }
+
+    case "client-disconnect":
+      dropRemoteSocket(`${fromNodeId}:${message.connId}`);
+      break;
+
+    case "node-request":
+      bus.send(fromNodeId, {
+        type: "node-response",
+        requestId: message.requestId,
+        response: handlers.handleNodeRequest(message.request),
+      });
+      break;
+
+    case "node-response":
+      finishRequest(message.requestId, null, message.response);
+      break;
+
+    case "deliver": {
+      const ws = forwardedSockets.get(message.connId);
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(message.payload);
+      }
+      break;
+    }
+
+    case "close": {
+      const ws = forwardedSockets.get(message.connId);
+      if (ws) {
+        ws.close(message.code, message.reason);
+      }
+      break;
+    }
+
+    case "node-down": {
+      log.warn("Node went down", { downNode: message.nodeId });
+
+      forgetNodeRooms(message.nodeId);
+
+      pendingRequests.forEach((pending, requestId) => {
+        if (pending.nodeId === message.nodeId) {
+          finishRequest(requestId, new Error(`Node ${message.nodeId} went down`));
+        }
+      });
+
+      // Its clients are gone - run their disconnect flow in our rooms
+      remoteSockets.forEach((remote, key) => {
+        if (remote.nodeId === message.nodeId) dropRemoteSocket(key);
+      });
+
+      // Our clients lost their room - make them reconnect so they can resume wherever it comes back
+      forwardedSockets.forEach((ws) => {
+        if (ws.homeNode === message.nodeId) {
+          ws.close(1012, "Room's server restarted");
+        }
+      });
+      break;
+    }
+  }
+}
+
+/**
+ * Forward a validated client message to its room's home node, if that's another node
+ * @param {WebSocket} ws - Client's WebSocket connection on this node
+ * @param {Object} data - Validated message
+ * @returns {boolean} True if the message was forwarded and must not be handled locally
+ */
+function routeMessage(ws, data) {
+  if (!bus) return false;
+
+  const previousHome = ws.homeNode || null;
+
+  if (data.type === "create-room") {
+    ws.homeNode = null; // New rooms always live where they're created
+  } else if (ROOM_ENTRY_TYPES.includes(data.type)) {
+    ws.homeNode = roomManager.getRoom(data.roomCode) ? null : roomDirectory.get(data.roomCode) || null;
+  }
+
+  // Switching rooms - let the old home node run its disconnect flow
+  if (previousHome && previousHome !== ws.homeNode) {
+    bus.send(previousHome, { type: "client-disconnect", connId: ws.connId });
+    forwardedSockets.delete(ws.connId);
+  }
+
+  if (!ws.homeNode) return false;
+
+  if (!ws.connId) {
+    ws.connId = generateConnectionId();
+  }
+  forwardedSockets.set(ws.connId, ws);
+
+  log.debug("Forwarding message", { ws, type: data.type, homeNode: ws.homeNode });
+  bus.send(ws.homeNode, {
+    type: "client-message",
+    connId: ws.connId,
+    clientIp: ws.clientIp,
+    data,
+  });
+  return true;
+}
+
+/**
+ * Tell a forwarded client's home node that its socket closed
+ * @param {WebSocket} ws - Closed WebSocket connection
+ */
+function handleClose(ws) {
+  if (!bus || !ws.homeNode) return;
+
+  bus.send(ws.homeNode, { type: "client-disconnect", connId: ws.connId });
+  forwardedSockets.delete(ws.connId);
+}
+
+/**
+ * Connect the router to the node bus
+ * @param {Object} adapter - Node bus (see adapters/index.js)
+ * @param {Object} messageHandlers - { handleMessage, handleDisconnect } used for remote clients,
+ *   summarizeRoom(roomCode, room) returning the JSON-serializable summary other nodes see for a local room,
+ *   and handleNodeRequest(request) returning the JSON-serializable answer to another node's requestNode()
+ */
+function start(adapter, messageHandlers) {
+  bus = adapter;
+  handlers = messageHandlers;
+
+  bus.subscribe(handleBusMessage);
+
+  // Learn about existing rooms and announce our own (e.g. restored from the room store)
+  bus.publish({ type: "sync-request" });
+  publishRooms();
+
+  // Keep room status, listener counts and directory listings current on the other nodes
+  if (config.ROOM_SYNC_INTERVAL) {
+    setInterval(publishRooms, config.ROOM_SYNC_INTERVAL);
+  }
+}
+
+module.exports = {
+  start,
+  routeMessage,
+  handleClose,
+  publishRooms,
+  isRoomCodeTaken,
+  getRoomNode,
+  getRemoteRooms,
+  requestNode,
+};
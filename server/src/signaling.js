@@ -5,6 +5,68 @@
 const WebSocket = require("ws");
 const { getClientId } = require("./utils");
 const roomManager = require("./roomManager");
+const config = require("./config");
+const { validateClientMessage, createError } = require("./protocol");
+const rateLimiter = require("./rateLimiter");
+const router = require("./router");
+const lifecycle = require("./lifecycle");
+const chatPolicy = require("./chatPolicy");
+const reactions = require("./reactions");
+const directory = require("./directory");
+const metrics = require("./metrics");
+const { createLogger } = require("./logger");
+
+const log = createLogger("signaling");
+
+// Shown to users when a room is closed by the lifecycle engine
+const EXPIRY_REASONS = {
+  abandoned: "The broadcaster didn't come back in time",
+  max_age: "The room reached its maximum age",
+  idle: "The room was inactive for too long",
+};
+
+/**
+ * Send a structured error reply
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} code - Machine-readable error code
+ * @param {Object} [data] - Offending message (its requestId is echoed back)
+ * @param {Object} [details] - Optional message override and offending field
+ */
+function sendError(ws, code, data, details = {}) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  const requestId = typeof data?.requestId === "string" ? data.requestId : undefined;
+  ws.send(JSON.stringify(createError(code, { requestId, ...details })));
+}
+
+/**
+ * Reply with an error for a rejected message and disconnect repeat offenders
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} code - Machine-readable error code
+ * @param {Object} [data] - Offending message
+ * @param {Object} [details] - Optional message override, field and retry delay
+ */
+function rejectMessage(ws, code, data, details) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  sendError(ws, code, data, details);
+
+  if (rateLimiter.recordViolation(ws)) {
+    log.warn("Disconnecting after repeated violations", { ws });
+    ws.close(1008, "Too many invalid or rate-limited messages");
+  }
+}
+
+/**
+ * Count the rooms created from a client IP on every server node
+ * Rooms on other nodes are counted from the summaries they publish (see server.js).
+ * @param {string} ip - Client IP address
+ * @returns {number} Number of rooms owned by that IP
+ */
+function countRoomsByIp(ip) {
+  const remoteCount = router.getRemoteRooms().filter((summary) => summary.description.ownerIp === ip).length;
+  return roomManager.countRoomsByIp(ip) + remoteCount;
+}
 
 /**
  * Handle create room request
@@ -12,13 +74,54 @@ const roomManager = require("./roomManager");
  * @param {Object} data - Message data
  */
 function handleCreateRoom(ws, data) {
-  const roomCode = roomManager.createRoom(ws);
+  if (ws.clientIp && countRoomsByIp(ws.clientIp) >= config.MAX_ROOMS_PER_IP) {
+    log.warn("Room limit reached", { ws, type: data.type });
+    sendError(ws, "rate_limited", data, {
+      message: "Too many rooms created from your network - reclaim an existing room or wait for one to expire",
+      retryAfter: Math.ceil(config.ROOM_PERSISTENCE_TIMEOUT / 1000),
+    });
+    return;
+  }
+
+  const { password, inviteOnly, userName } = data;
+  const roomCode = roomManager.createRoom(ws, { password, inviteOnly, userName, isCodeTaken: router.isRoomCodeTaken });
+  const room = roomManager.getRoom(roomCode);
 
   const response = {
     type: "room-created",
     roomCode: roomCode,
+    reclaimToken: room.reclaimToken,
+    chatPolicy: room.chatPolicy,
+    reactionTally: room.reactionTally,
+    ...getAccessInfo(roomCode, room),
   };
   ws.send(JSON.stringify(response));
+  log.info("Room created", { ws, passwordProtected: !!password, inviteOnly: !!inviteOnly });
+
+  router.publishRooms();
+}
+
+/**
+ * Describe a room's access settings for its broadcaster, with a fresh invite if needed
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @returns {Object} Access fields to merge into a response
+ */
+function getAccessInfo(roomCode, room) {
+  const info = {
+    passwordProtected: !!room.passwordHash,
+    inviteOnly: room.inviteOnly,
+    listing: room.listing,
+  };
+
+  // Share links for protected rooms carry an invite so listeners skip the password
+  if (roomManager.isProtected(room)) {
+    const invite = roomManager.createInvite(roomCode);
+    info.inviteToken = invite.token;
+    info.inviteExpiresAt = invite.expiresAt;
+  }
+
+  return info;
 }
 
 /**
@@ -33,9 +136,90 @@ function getListenersList(listeners) {
       id: data.id,
       name: data.name,
       joinedAt: data.joinedAt,
+      chatMuted: data.chatMuted,
+      presence: roomManager.getPresence(data),
     });
   });
-  return list;
+  // Resumed sessions are re-inserted into the Map, so keep join order stable
+  return list.sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+/**
+ * Send a message to the broadcaster and every listener in a room
+ * @param {Object} room - Room object
+ * @param {Object} message - Message to send
+ * @param {WebSocket} [exclude] - Connection to leave out (e.g. the sender)
+ */
+function broadcastToRoom(room, message, exclude) {
+  const payload = JSON.stringify(message);
+
+  if (room.broadcaster && room.broadcaster !== exclude && room.broadcaster.readyState === WebSocket.OPEN) {
+    room.broadcaster.send(payload);
+  }
+
+  for (const [listenerWs, listenerData] of room.listeners) {
+    if (listenerWs !== exclude && listenerWs.readyState === WebSocket.OPEN) {
+      listenerWs.send(payload);
+    }
+  }
+}
+
+/**
+ * Get the latest page of a room's chat for a user entering it
+ * @param {string} roomCode - Room code
+ * @returns {Object} { chatHistory, hasMoreChatHistory } fields for the reply
+ */
+function getRecentChat(roomCode) {
+  const { messages, hasMore } = roomManager.getChatHistory(roomCode);
+  return { chatHistory: messages, hasMoreChatHistory: hasMore };
+}
+
+/**
+ * Get what's playing in a room for a user entering it
+ * @param {Object} room - Room object
+ * @returns {Object} { nowPlaying, trackHistory } fields for the reply
+ */
+function getTrackInfo(room) {
+  return { nowPlaying: room.nowPlaying, trackHistory: room.trackHistory };
+}
+
+/**
+ * Tell a user who just entered a room that it is about to expire
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} roomCode - Room code
+ */
+function sendExpiryWarning(ws, roomCode) {
+  const warning = lifecycle.getWarning(roomCode);
+  if (warning && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: "room-expiring", ...warning }));
+  }
+}
+
+/**
+ * Tell the broadcaster and remaining listeners that a listener has left
+ * @param {Object} room - Room the listener left
+ * @param {Object} removedListener - Listener data removed from the room
+ * @param {string} reason - Why they left: "left", "disconnected", "kicked" or "banned"
+ */
+function notifyListenerLeft(room, removedListener, reason) {
+  broadcastToRoom(room, {
+    type: "listener-left",
+    listenerId: removedListener.id,
+    userName: removedListener.name,
+    reason: reason,
+    listeners: getListenersList(room.listeners),
+  });
+}
+
+/**
+ * Count a join-room request turned away before reaching handleJoinRoom
+ * @param {*} data - Parsed message (may not be an object)
+ * @param {string} code - Error code it was rejected with
+ */
+function countJoinRejection(data, code) {
+  if (data && data.type === "join-room") {
+    metrics.joinRejections.inc({ code });
+  }
 }
 
 /**
@@ -44,18 +228,14 @@ function getListenersList(listeners) {
  * @param {Object} data - Message data
  */
 function handleJoinRoom(ws, data) {
-  const { roomCode, userName } = data;
+  const { roomCode, userName, password, inviteToken } = data;
   
-  const result = roomManager.joinRoom(ws, roomCode, userName);
+  const result = roomManager.joinRoom(ws, roomCode, userName, { password, inviteToken });
 
   if (!result.success) {
-    console.error(`[SIGNALING] Join failed for room ${roomCode}: ${result.error}`);
-    ws.send(
-      JSON.stringify({
-        type: "error",
-        message: result.error,
-      })
-    );
+    log.info("Join rejected", { ws, roomCode, code: result.code });
+    metrics.joinRejections.inc({ code: result.code });
+    sendError(ws, result.code, data, { message: result.error });
     return;
   }
   
@@ -66,9 +246,18 @@ function handleJoinRoom(ws, data) {
   const joinedResponse = {
     type: "room-joined",
     roomCode: roomCode,
+    listenerId: result.listener.id,
+    sessionId: result.listener.sessionId,
     listeners: listenersList,
+    ...getRecentChat(roomCode),
+    chatPolicy: result.room.chatPolicy,
+    ...getTrackInfo(result.room),
   };
   ws.send(JSON.stringify(joinedResponse));
+  sendExpiryWarning(ws, roomCode);
+  sendDjQueue(ws, result.room);
+  sendSongRequests(ws, result.room);
+  log.info("Listener joined", { ws, listenerId: result.listener.id, name: result.listener.name });
 
   // Notify broadcaster about new listener with updated list
   const broadcasterNotification = {
@@ -77,7 +266,10 @@ function handleJoinRoom(ws, data) {
     userName: result.listener.name,
     listeners: listenersList,
   };
-  result.room.broadcaster.send(JSON.stringify(broadcasterNotification));
+  // The broadcaster may be away while the room persists - they'll get the list on reclaim
+  if (result.room.broadcaster && result.room.broadcaster.readyState === WebSocket.OPEN) {
+    result.room.broadcaster.send(JSON.stringify(broadcasterNotification));
+  }
 
   // Notify all other listeners about the new user
   for (const [listenerWs, listenerData] of result.room.listeners) {
@@ -94,6 +286,123 @@ function handleJoinRoom(ws, data) {
   }
 }
 
+/**
+ * Handle resume session request from a reconnecting listener
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleResumeSession(ws, data) {
+  const { roomCode, sessionId } = data;
+
+  const result = roomManager.resumeSession(ws, roomCode, sessionId);
+
+  if (!result.success) {
+    log.info("Session resume rejected", { ws, roomCode, code: result.code });
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  // Drop the half-open connection this listener left behind
+  if (result.replacedConnection.readyState === WebSocket.OPEN) {
+    result.replacedConnection.close(1000, "Session resumed on another connection");
+  }
+
+  const listenersList = getListenersList(result.room.listeners);
+
+  ws.send(
+    JSON.stringify({
+      type: "session-resumed",
+      roomCode: roomCode,
+      sessionId: result.listener.sessionId,
+      listenerId: result.listener.id,
+      userName: result.listener.name,
+      listeners: listenersList,
+      ...getRecentChat(roomCode),
+      chatPolicy: result.room.chatPolicy,
+      ...getTrackInfo(result.room),
+    })
+  );
+  sendExpiryWarning(ws, roomCode);
+  sendDjQueue(ws, result.room);
+  sendSongRequests(ws, result.room);
+  log.info("Session resumed", { ws, listenerId: result.listener.id });
+
+  // Everyone saw this listener as reconnecting
+  broadcastToRoom(result.room, {
+    type: "presence",
+    id: result.listener.id,
+    name: result.listener.name,
+    state: "connecting",
+    typing: false,
+  }, ws);
+
+  // Ask the broadcaster to renegotiate audio with the returning listener
+  if (result.room.broadcaster && result.room.broadcaster.readyState === WebSocket.OPEN) {
+    result.room.broadcaster.send(
+      JSON.stringify({
+        type: "listener-resumed",
+        listenerId: result.listener.id,
+        userName: result.listener.name,
+        listeners: listenersList,
+      })
+    );
+  }
+}
+
+/**
+ * Handle reclaim room request from a returning broadcaster
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleReclaimRoom(ws, data) {
+  const { roomCode, reclaimToken, userName } = data;
+
+  const result = roomManager.reclaimRoom(ws, roomCode, reclaimToken, userName);
+
+  if (!result.success) {
+    log.warn("Reclaim rejected", { ws, roomCode, code: result.code });
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  // Drop the stale connection this broadcaster left behind
+  if (result.replacedBroadcaster && result.replacedBroadcaster.readyState === WebSocket.OPEN) {
+    result.replacedBroadcaster.close(1000, "Room reclaimed by another connection");
+  }
+
+  const listenersList = getListenersList(result.room.listeners);
+
+  // Confirm to the broadcaster, including who is still waiting for audio
+  ws.send(
+    JSON.stringify({
+      type: "room-reclaimed",
+      roomCode: roomCode,
+      listeners: listenersList,
+      ...getAccessInfo(roomCode, result.room),
+      ...getRecentChat(roomCode),
+      chatPolicy: result.room.chatPolicy,
+      reactionTally: result.room.reactionTally,
+      ...getTrackInfo(result.room),
+    })
+  );
+  sendExpiryWarning(ws, roomCode);
+  sendDjQueue(ws, result.room);
+  sendSongRequests(ws, result.room);
+  log.info("Room reclaimed", { ws });
+
+  // Let listeners know the broadcaster is back so they expect a new offer
+  for (const [listenerWs, listenerData] of result.room.listeners) {
+    if (listenerWs.readyState === WebSocket.OPEN) {
+      listenerWs.send(
+        JSON.stringify({
+          type: "broadcaster-returned",
+          listeners: listenersList,
+        })
+      );
+    }
+  }
+}
+
 /**
  * Handle WebRTC signaling (offer/answer/ICE candidate)
  * @param {WebSocket} ws - WebSocket connection
@@ -105,7 +414,8 @@ function handleSignaling(ws, data) {
   const room = roomManager.getRoom(roomCode);
 
   if (!room) {
-    console.error(`[SIGNALING] Room not found for ${data.type}: ${roomCode}`);
+    log.warn("Signaling from a client outside any room", { ws, type: data.type });
+    sendError(ws, "not_in_room", data);
     return;
   }
 
@@ -123,59 +433,134 @@ function handleSignaling(ws, data) {
     if (targetListener && targetListener.readyState === WebSocket.OPEN) {
       const message = JSON.stringify({
         type: data.type,
-        ...data,
+        targetId: data.targetId,
+        offer: data.offer,
+        answer: data.answer,
+        candidate: data.candidate,
       });
       targetListener.send(message);
     } else {
-      console.error(`[SIGNALING] Target listener ${data.targetId} not found or not ready`);
-      if (targetListener) {
-        console.error(`[SIGNALING] Listener state: ${targetListener.readyState}`);
-      }
+      log.warn("Target listener not found or not ready", {
+        ws,
+        type: data.type,
+        targetId: data.targetId,
+        targetState: targetListener ? targetListener.readyState : null,
+      });
+      metrics.signalingForwardFailures.inc({ type: data.type });
+      sendError(ws, "peer_unavailable", data);
     }
   } else if (ws.role === "listener") {
     const senderId = getClientId(ws);
     
     // Send to broadcaster
     if (room.broadcaster && room.broadcaster.readyState === WebSocket.OPEN) {
+      // senderId always comes from the connection, never from the client
       const message = JSON.stringify({
         type: data.type,
+        offer: data.offer,
+        answer: data.answer,
+        candidate: data.candidate,
         senderId: senderId,
-        ...data,
       });
       room.broadcaster.send(message);
     } else {
-      console.error(`[SIGNALING] Broadcaster not found or not ready for room ${roomCode}`);
-      if (room.broadcaster) {
-        console.error(`[SIGNALING] Broadcaster state: ${room.broadcaster.readyState}`);
-      }
+      log.warn("Broadcaster not found or not ready", {
+        ws,
+        type: data.type,
+        targetState: room.broadcaster ? room.broadcaster.readyState : null,
+      });
+      metrics.signalingForwardFailures.inc({ type: data.type });
+      sendError(ws, "peer_unavailable", data);
     }
   }
 }
 
+/**
+ * Find the caller's room and who they are in it
+ * @param {WebSocket} ws - WebSocket connection
+ * @returns {Object|null} { room, isBroadcaster, listenerData, id, name }, or null if the caller isn't in a room
+ */
+function getMember(ws) {
+  const room = roomManager.getRoom(ws.roomCode);
+  if (!room) return null;
+
+  if (room.broadcaster === ws) {
+    return { room, isBroadcaster: true, listenerData: null, id: "broadcaster", name: room.broadcasterName || "Broadcaster" };
+  }
+
+  const listenerData = room.listeners.get(ws);
+  if (!listenerData) return null;
+
+  return { room, isBroadcaster: false, listenerData, id: listenerData.id, name: listenerData.name };
+}
+
+/**
+ * Check a chat or direct message against the room's chat policy, replying with the reason if it's refused
+ * @param {WebSocket} ws - Sender's WebSocket connection
+ * @param {Object} data - Message data
+ * @param {Object} member - Sender's membership (see getMember)
+ * @returns {string|null} Text to deliver (blocked words masked), or null if the message was refused
+ */
+function applyChatPolicy(ws, data, member) {
+  const now = Date.now();
+  const check = chatPolicy.checkMessage(member.room.chatPolicy, data.message, {
+    isBroadcaster: member.isBroadcaster,
+    lastChatAt: member.listenerData && member.listenerData.lastChatAt,
+  }, now);
+
+  if (!check.allowed) {
+    log.debug("Chat message rejected by room policy", { ws, type: data.type, code: check.code });
+    sendError(ws, check.code, data, { message: check.error, retryAfter: check.retryAfter });
+    return null;
+  }
+
+  if (member.listenerData) {
+    member.listenerData.lastChatAt = now; // Slow mode counts from the last accepted message
+  }
+
+  return check.message;
+}
+
 /**
  * Handle chat message
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} data - Message data
  */
 function handleChatMessage(ws, data) {
-  const { roomCode, message, userName } = data;
+  const { roomCode } = ws;
   const senderId = getClientId(ws);
   
-  const room = roomManager.getRoom(roomCode);
+  // Only members may chat, whatever room code the client claims
+  const member = getMember(ws);
   
-  if (!room) {
-    console.error(`[SIGNALING] Room not found for chat message: ${roomCode}`);
+  if (!member) {
+    log.warn("Chat message from a client outside any room", { ws, type: data.type });
+    sendError(ws, "not_in_room", data);
     return;
   }
   
+  if (member.listenerData && member.listenerData.chatMuted) {
+    sendError(ws, "chat_muted", data);
+    return;
+  }
+  
+  const message = applyChatPolicy(ws, data, member);
+  if (message === null) return;
+  
+  const { room } = member;
+  
+  // Names come from the room, never from the message - clients can't pose as someone else
   const chatMessage = {
     type: "chat-message",
     senderId: senderId,
-    senderName: userName,
+    senderName: member.name,
     message: message,
     timestamp: Date.now(),
   };
   
+  roomManager.addChatMessage(roomCode, chatMessage);
+  metrics.chatMessages.inc();
+  
   // Send to broadcaster
   if (room.broadcaster && room.broadcaster.readyState === WebSocket.OPEN) {
     room.broadcaster.send(JSON.stringify(chatMessage));
@@ -190,150 +575,1237 @@ function handleChatMessage(ws, data) {
 }
 
 /**
- * Handle leave room request
+ * Handle a private message to one participant ("broadcaster" or a listener ID)
+ * Direct messages are relayed, never stored - they aren't part of the room's history.
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} data - Message data
  */
-function handleLeaveRoom(ws, data) {
-  const result = roomManager.leaveRoom(ws);
+function handleDirectMessage(ws, data) {
+  const member = getMember(ws);
 
-  // Notify all listeners if broadcaster left
-  if (ws.role === "broadcaster") {
-    result.notifiedListeners.forEach((listener) => {
-      if (listener.readyState === WebSocket.OPEN) {
-        listener.send(
-          JSON.stringify({
-            type: "broadcaster-left",
-          })
-        );
-      }
-    });
-  } else if (ws.role === "listener" && result.removedListener && result.room) {
-    // Get updated listeners list
-    const listenersList = getListenersList(result.room.listeners);
-    
-    // Notify broadcaster that listener left
-    if (result.room.broadcaster && result.room.broadcaster.readyState === WebSocket.OPEN) {
-      result.room.broadcaster.send(
-        JSON.stringify({
-          type: "listener-left",
-          listenerId: result.removedListener.id,
-          userName: result.removedListener.name,
-          listeners: listenersList,
-        })
-      );
-    }
-    
-    // Notify all other listeners that someone left
-    for (const [listenerWs, listenerData] of result.room.listeners) {
-      if (listenerWs.readyState === WebSocket.OPEN) {
-        const listenerNotification = {
-          type: "listener-left",
-          listenerId: result.removedListener.id,
-          userName: result.removedListener.name,
-          listeners: listenersList,
-        };
-        listenerWs.send(JSON.stringify(listenerNotification));
-      }
-    }
+  if (!member) {
+    sendError(ws, "not_in_room", data);
+    return;
+  }
+
+  const { room } = member;
+  const { targetId } = data;
+
+  if (targetId === member.id) {
+    sendError(ws, "invalid_message", data, { message: "You can't message yourself", field: "targetId" });
+    return;
+  }
+
+  // Listeners muted in chat can still write to the broadcaster, e.g. to ask to be unmuted
+  if (member.listenerData && member.listenerData.chatMuted && targetId !== "broadcaster") {
+    sendError(ws, "chat_muted", data);
+    return;
+  }
+
+  let targetWs = null;
+  if (targetId === "broadcaster") {
+    targetWs = room.broadcaster;
+  } else {
+    const found = roomManager.findListener(room, targetId);
+    targetWs = found && found[0];
+  }
+
+  if (!targetWs || targetWs.readyState !== WebSocket.OPEN) {
+    sendError(ws, "recipient_unavailable", data);
+    return;
   }
+
+  const message = applyChatPolicy(ws, data, member);
+  if (message === null) return;
+
+  const directMessage = {
+    type: "direct-message",
+    senderId: member.id,
+    senderName: member.name,
+    recipientId: targetId,
+    message: message,
+    timestamp: Date.now(),
+  };
+
+  // The sender's copy confirms delivery and shows any masking
+  targetWs.send(JSON.stringify(directMessage));
+  ws.send(JSON.stringify(directMessage));
+  metrics.directMessages.inc();
 }
 
 /**
- * Handle WebSocket disconnection
+ * Send an older page of the room's chat history
  * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
  */
-function handleDisconnect(ws) {
-  const { role } = ws;
-  const result = roomManager.leaveRoom(ws);
+function handleChatHistory(ws, data) {
+  if (!roomManager.getRoom(ws.roomCode)) {
+    sendError(ws, "not_in_room", data);
+    return;
+  }
 
-  // Notify all listeners if broadcaster disconnected
-  if (role === "broadcaster") {
-    result.notifiedListeners.forEach((listener) => {
-      if (listener.readyState === WebSocket.OPEN) {
-        listener.send(
-          JSON.stringify({
-            type: "broadcaster-disconnected",
-          })
-        );
-      }
-    });
-  } else if (role === "listener" && result.removedListener && result.room) {
-    // Get updated listeners list
-    const listenersList = getListenersList(result.room.listeners);
-    
-    // Notify broadcaster that listener disconnected
-    if (result.room.broadcaster && result.room.broadcaster.readyState === WebSocket.OPEN) {
-      result.room.broadcaster.send(
-        JSON.stringify({
-          type: "listener-left",
-          listenerId: result.removedListener.id,
-          userName: result.removedListener.name,
-          listeners: listenersList,
-        })
-      );
-    }
-    
-    // Notify all other listeners that someone disconnected
-    for (const [listenerWs, listenerData] of result.room.listeners) {
-      if (listenerWs.readyState === WebSocket.OPEN) {
-        const listenerNotification = {
-          type: "listener-left",
-          listenerId: result.removedListener.id,
-          userName: result.removedListener.name,
-          listeners: listenersList,
-        };
-        listenerWs.send(JSON.stringify(listenerNotification));
-      }
-    }
+  const { messages, hasMore } = roomManager.getChatHistory(ws.roomCode, {
+    before: data.before,
+    limit: data.limit,
+  });
+
+  ws.send(JSON.stringify({ type: "chat-history", messages, hasMore }));
+}
+
+/**
+ * Relay a presence change (listening state and/or typing) to the rest of the room
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handlePresence(ws, data) {
+  const member = getMember(ws);
+
+  if (!member) {
+    sendError(ws, "not_in_room", data);
+    return;
   }
+
+  // Only the fields that changed are sent; the broadcaster has no listening state
+  const update = {
+    type: "presence",
+    id: member.id,
+    name: member.name,
+  };
+  if (data.state !== undefined && !member.isBroadcaster) {
+    roomManager.setPresence(ws, data.state);
+    update.state = data.state;
+  }
+  if (data.typing !== undefined) {
+    update.typing = data.typing;
+  }
+  if (update.state === undefined && update.typing === undefined) return;
+
+  broadcastToRoom(member.room, update, ws);
 }
 
 /**
- * Setup WebSocket message handlers
+ * Count an emoji reaction towards the room's next burst
  * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
  */
-function setupMessageHandlers(ws) {
-  ws.on("message", (message) => {
-    try {
-      const data = JSON.parse(message);
-
-      switch (data.type) {
-        case "create-room":
-          handleCreateRoom(ws, data);
-          break;
-        case "join-room":
-          handleJoinRoom(ws, data);
-          break;
-        case "offer":
-        case "answer":
-        case "ice-candidate":
-          handleSignaling(ws, data);
-          break;
-        case "chat-message":
-          handleChatMessage(ws, data);
-          break;
-        case "leave-room":
-          handleLeaveRoom(ws, data);
-          break;
-        default:
-          console.warn(`[SIGNALING] Unknown message type: ${data.type}`);
-          break;
-      }
-    } catch (error) {
-      console.error(`[SIGNALING] Error handling message:`, error.message);
-    }
+function handleReaction(ws, data) {
+  const room = roomManager.getRoom(ws.roomCode);
+
+  if (!room || (room.broadcaster !== ws && !room.listeners.has(ws))) {
+    sendError(ws, "not_in_room", data);
+    return;
+  }
+
+  reactions.addReaction(ws.roomCode, data.emoji);
+  metrics.reactions.inc({ emoji: data.emoji });
+}
+
+/**
+ * Send the broadcaster the room's reaction tally
+ * @param {Object} room - Room object
+ */
+function sendReactionTally(room) {
+  if (room.broadcaster && room.broadcaster.readyState === WebSocket.OPEN) {
+    room.broadcaster.send(JSON.stringify({ type: "reaction-tally", ...room.reactionTally }));
+  }
+}
+
+/**
+ * Send a room's batched reactions to everyone in it (called by the reactions module)
+ * @param {string} roomCode - Room code
+ * @param {Object} counts - Reaction counts by emoji since the last burst
+ */
+function handleReactionBurst(roomCode, counts) {
+  if (!roomManager.addReactions(roomCode, counts)) return;
+
+  const room = roomManager.getRoom(roomCode);
+  broadcastToRoom(room, { type: "reaction-burst", reactions: counts });
+  sendReactionTally(room);
+}
+
+/**
+ * Close the current reaction tally and start a new track's
+ * @param {WebSocket} ws - Broadcaster's WebSocket connection
+ * @param {Object} data - Message that started the track
+ * @param {string} [title] - Name of the new track
+ */
+function startNewReactionTrack(ws, data, title) {
+  // Reactions still waiting for their burst belong to the track that just ended
+  reactions.flushRoom(ws.roomCode);
+
+  const result = roomManager.startReactionTrack(ws.roomCode, title);
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  sendReactionTally(result.room);
+}
+
+/**
+ * Handle the broadcaster starting a new track's reaction tally
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleNewReactionTrack(ws, data) {
+  if (!requireBroadcaster(ws, data)) return;
+
+  startNewReactionTrack(ws, data);
+}
+
+/**
+ * Handle the broadcaster announcing what's playing
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleNowPlaying(ws, data) {
+  if (!requireBroadcaster(ws, data)) return;
+
+  const result = roomManager.setNowPlaying(ws.roomCode, {
+    title: data.title.trim(),
+    artist: data.artist && data.artist.trim(),
+    artworkUrl: data.artworkUrl,
+  });
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  log.info("Now playing updated", { ws });
+  broadcastToRoom(result.room, {
+    type: "now-playing",
+    track: result.track,
+  });
+
+  // A new song starts a new reaction tally too
+  startNewReactionTrack(ws, data, result.track.title);
+}
+
+/**
+ * Get the caller's room if they are its broadcaster, replying with an error otherwise
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ * @returns {Object|null} Room object, or null if the caller isn't allowed
+ */
+function requireBroadcaster(ws, data) {
+  const room = roomManager.getRoom(ws.roomCode);
+
+  if (ws.role !== "broadcaster" || !room || room.broadcaster !== ws) {
+    log.warn("Broadcaster-only message from a non-broadcaster", { ws, type: data.type });
+    sendError(ws, "not_authorized", data);
+    return null;
+  }
+
+  return room;
+}
+
+/**
+ * Handle kick/ban listener request from the broadcaster
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleRemoveListener(ws, data) {
+  if (!requireBroadcaster(ws, data)) return;
+
+  const { listenerId, reason } = data;
+  const ban = data.type === "ban-listener";
+
+  const result = roomManager.kickListener(ws.roomCode, listenerId, { ban });
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  // Tell the listener why, then drop their socket
+  if (result.listenerWs.readyState === WebSocket.OPEN) {
+    result.listenerWs.send(
+      JSON.stringify({
+        type: "kicked",
+        banned: ban,
+        reason: reason,
+      })
+    );
+    result.listenerWs.close(4001, ban ? "Banned from room" : "Kicked from room");
+  }
+
+  log.info(ban ? "Listener banned" : "Listener kicked", { ws, listenerId });
+
+  // The broadcaster closes its peer connection when it sees listener-left
+  notifyListenerLeft(result.room, result.removedListener, ban ? "banned" : "kicked");
+  handleListenerDeparture(ws.roomCode, result);
+}
+
+/**
+ * Handle chat mute request from the broadcaster
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleChatMute(ws, data) {
+  if (!requireBroadcaster(ws, data)) return;
+
+  const { listenerId, muted } = data;
+
+  const result = roomManager.setChatMuted(ws.roomCode, listenerId, muted);
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  broadcastToRoom(result.room, {
+    type: "chat-mute-updated",
+    listenerId: listenerId,
+    muted: muted,
+    listeners: getListenersList(result.room.listeners),
+  });
+}
+
+/**
+ * Handle chat policy change from the broadcaster
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleSetChatPolicy(ws, data) {
+  const room = requireBroadcaster(ws, data);
+  if (!room) return;
+
+  const update = chatPolicy.updatePolicy(room.chatPolicy, data);
+
+  if (!update.success) {
+    rejectMessage(ws, update.code, data, { message: update.error, field: update.field });
+    return;
+  }
+
+  const result = roomManager.setChatPolicy(ws.roomCode, update.policy);
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  log.info("Chat policy updated", { ws, ...update.policy, blockedWords: update.policy.blockedWords.length });
+
+  // Listeners need the new limits too, e.g. to show the slow mode interval
+  broadcastToRoom(result.room, {
+    type: "chat-policy-updated",
+    chatPolicy: update.policy,
+  });
+}
+
+/**
+ * Handle the broadcaster listing the room in the public directory (or taking it out)
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleSetRoomListing(ws, data) {
+  const room = requireBroadcaster(ws, data);
+  if (!room) return;
+
+  if (data.public && room.inviteOnly) {
+    sendError(ws, "invalid_message", data, { message: "Invite-only rooms can't be listed publicly", field: "public" });
+    return;
+  }
+
+  const update = directory.createListing(data);
+
+  if (!update.success) {
+    rejectMessage(ws, update.code, data, { message: update.error, field: update.field });
+    return;
+  }
+
+  const result = roomManager.setRoomListing(ws.roomCode, update.listing);
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  log.info(update.listing ? "Room listed publicly" : "Room unlisted", { ws, tags: update.listing && update.listing.tags });
+  ws.send(JSON.stringify({ type: "room-listing-updated", listing: update.listing }));
+
+  // Show the change in every node's directory without waiting for the next sync
+  router.publishRooms();
+}
+
+/**
+ * Tell the broadcaster and the offered listener that a broadcaster transfer is off
+ * @param {Object} room - Room object
+ * @param {Object} pendingTransfer - The withdrawn offer
+ * @param {string} reason - "declined", "cancelled", "expired", "replaced", "skipped" or "left"
+ */
+function notifyTransferCancelled(room, pendingTransfer, reason) {
+  const message = JSON.stringify({
+    type: "broadcaster-transfer-cancelled",
+    listenerId: pendingTransfer.listenerId,
+    reason: reason,
+  });
+
+  if (room.broadcaster && room.broadcaster.readyState === WebSocket.OPEN) {
+    room.broadcaster.send(message);
+  }
+
+  const found = roomManager.findListener(room, pendingTransfer.listenerId);
+  if (found && found[0].readyState === WebSocket.OPEN) {
+    found[0].send(message);
+  }
+}
+
+/**
+ * Describe a room's DJ queue for one member
+ * @param {Object} room - Room object
+ * @param {boolean} canSkip - Whether this member may skip to the next DJ
+ * @returns {Object} dj-queue-updated message
+ */
+function getDjQueueMessage(room, canSkip) {
+  const pendingTransfer = room.pendingTransfer;
+  const upNext = pendingTransfer && pendingTransfer.djEntry;
+
+  return {
+    type: "dj-queue-updated",
+    queue: room.djQueue.map((entry) => ({ id: entry.listenerId, name: entry.name, slotMinutes: entry.slotMinutes })),
+    upNext: upNext ? { id: upNext.listenerId, name: upNext.name, expiresAt: pendingTransfer.expiresAt } : null,
+    slotEndsAt: room.djSlot ? room.djSlot.endsAt : null,
+    canSkip: canSkip,
+  };
+}
+
+/**
+ * Send the DJ queue to one member of a room
+ * @param {WebSocket} ws - Member's WebSocket connection
+ * @param {Object} room - Room object
+ */
+function sendDjQueue(ws, room) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  const listenerData = room.listeners.get(ws);
+  const canSkip = room.broadcaster === ws || (!!listenerData && listenerData.id === room.ownerId);
+  ws.send(JSON.stringify(getDjQueueMessage(room, canSkip)));
+}
+
+/**
+ * Send the DJ queue to everyone in a room (only the broadcaster and owner may skip)
+ * @param {Object} room - Room object
+ */
+function broadcastDjQueue(room) {
+  if (room.broadcaster) {
+    sendDjQueue(room.broadcaster, room);
+  }
+  for (const listenerWs of room.listeners.keys()) {
+    sendDjQueue(listenerWs, room);
+  }
+}
+
+/**
+ * Offer the broadcaster role to a listener and tell both sides
+ * @param {string} roomCode - Room code
+ * @param {string} listenerId - Listener to offer the role to
+ * @param {Object} [djEntry] - DJ queue entry, if the offer comes from the queue
+ * @returns {Object} offerBroadcasterTransfer result
+ */
+function offerTransfer(roomCode, listenerId, djEntry) {
+  const room = roomManager.getRoom(roomCode);
+
+  const result = roomManager.offerBroadcasterTransfer(roomCode, listenerId, (pendingTransfer) => {
+    log.info("Broadcaster transfer expired", { roomCode, listenerId: pendingTransfer.listenerId });
+    notifyTransferCancelled(room, pendingTransfer, "expired");
+    // A DJ who doesn't show up loses their turn
+    if (pendingTransfer.djEntry) {
+      advanceDjQueue(roomCode);
+    }
+  }, djEntry);
+
+  if (!result.success) return result;
+
+  const replacedTransfer = result.replacedTransfer;
+  if (replacedTransfer && replacedTransfer.listenerId !== listenerId) {
+    notifyTransferCancelled(room, replacedTransfer, djEntry ? "skipped" : "replaced");
+    // A broadcaster handing over by hand doesn't cost the waiting DJ their turn
+    if (replacedTransfer.djEntry && !djEntry) {
+      roomManager.returnDjToQueue(roomCode, replacedTransfer.djEntry);
+    }
+  }
+
+  // The listener accepts by capturing audio and sending accept-broadcaster-transfer
+  if (result.listenerWs.readyState === WebSocket.OPEN) {
+    result.listenerWs.send(
+      JSON.stringify({
+        type: "broadcaster-transfer-requested",
+        fromName: room.broadcasterName || "The broadcaster",
+        expiresAt: result.expiresAt,
+        fromDjQueue: !!djEntry,
+      })
+    );
+  }
+
+  if (room.broadcaster && room.broadcaster.readyState === WebSocket.OPEN) {
+    room.broadcaster.send(
+      JSON.stringify({
+        type: "broadcaster-transfer-pending",
+        listenerId: listenerId,
+        userName: result.listenerData.name,
+        expiresAt: result.expiresAt,
+      })
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Offer the broadcaster role to the next DJ in the queue who is still around
+ * @param {string} roomCode - Room code
+ * @returns {boolean} True if someone was offered the role
+ */
+function advanceDjQueue(roomCode) {
+  const room = roomManager.getRoom(roomCode);
+  if (!room) return false;
+
+  let entry;
+  while ((entry = roomManager.takeNextDj(roomCode))) {
+    const result = offerTransfer(roomCode, entry.listenerId, entry);
+    if (result.success) {
+      log.info("Next DJ offered the broadcast", { roomCode, listenerId: entry.listenerId });
+      sendSystemMessage(roomCode, `🎧 Up next: ${entry.name}`);
+      broadcastDjQueue(room);
+      return true;
+    }
+    // They're reconnecting or gone - they lose their turn
+  }
+
+  broadcastDjQueue(room);
+  return false;
+}
+
+/**
+ * Update the room after a listener leaves: withdraw the broadcaster role if it was
+ * on offer to them, and show everyone the DJ queue and song requests without them
+ * @param {string} roomCode - Room code
+ * @param {Object} result - leaveRoom or kickListener result
+ */
+function handleListenerDeparture(roomCode, result) {
+  const { room, cancelledTransfer } = result;
+
+  if (result.leftSongRequests) {
+    broadcastToRoom(room, getSongRequestsMessage(room));
+  }
+
+  if (cancelledTransfer) {
+    log.info("Broadcaster transfer withdrawn, listener left", { roomCode, listenerId: cancelledTransfer.listenerId });
+    notifyTransferCancelled(room, cancelledTransfer, "left");
+    // Offer the broadcast to the next DJ now instead of waiting out the offer
+    if (cancelledTransfer.djEntry && advanceDjQueue(roomCode)) return;
+  }
+
+  if (result.leftDjQueue || cancelledTransfer) {
+    broadcastDjQueue(room);
+  }
+}
+
+/**
+ * Hand over to the next DJ when the current one's slot runs out
+ * @param {string} roomCode - Room code
+ */
+function handleDjSlotEnded(roomCode) {
+  const room = roomManager.getRoom(roomCode);
+  if (!room) return;
+
+  // Nobody waiting (or already offered) - the current DJ just keeps going
+  if (room.djQueue.length === 0 || room.pendingTransfer) {
+    broadcastDjQueue(room);
+    return;
+  }
+
+  sendSystemMessage(roomCode, `⏰ ${room.broadcasterName || "The DJ"}'s slot is over`);
+  advanceDjQueue(roomCode);
+}
+
+/**
+ * Handle the broadcaster offering their role to a listener
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleTransferBroadcaster(ws, data) {
+  const room = requireBroadcaster(ws, data);
+  if (!room) return;
+
+  const result = offerTransfer(ws.roomCode, data.listenerId, null);
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  broadcastDjQueue(room);
+  log.info("Broadcaster transfer offered", { ws, listenerId: data.listenerId });
+}
+
+/**
+ * Handle the broadcaster withdrawing their transfer offer
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleCancelBroadcasterTransfer(ws, data) {
+  const room = requireBroadcaster(ws, data);
+  if (!room) return;
+
+  const pendingTransfer = roomManager.cancelBroadcasterTransfer(ws.roomCode);
+  if (pendingTransfer) {
+    notifyTransferCancelled(room, pendingTransfer, "cancelled");
+    // The DJ didn't refuse - keep their place
+    if (pendingTransfer.djEntry) {
+      roomManager.returnDjToQueue(ws.roomCode, pendingTransfer.djEntry);
+      broadcastDjQueue(room);
+    }
+  }
+}
+
+/**
+ * Handle the offered listener declining the broadcaster role
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleDeclineBroadcasterTransfer(ws, data) {
+  const member = getMember(ws);
+  const pendingTransfer = member && member.room.pendingTransfer;
+
+  if (!pendingTransfer || pendingTransfer.listenerId !== member.id) {
+    sendError(ws, "transfer_not_pending", data);
+    return;
+  }
+
+  roomManager.cancelBroadcasterTransfer(ws.roomCode);
+  notifyTransferCancelled(member.room, pendingTransfer, "declined");
+  log.info("Broadcaster transfer declined", { ws });
+
+  if (pendingTransfer.djEntry) {
+    advanceDjQueue(ws.roomCode);
+  }
+}
+
+/**
+ * Handle the offered listener accepting the broadcaster role
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleAcceptBroadcasterTransfer(ws, data) {
+  const roomCode = ws.roomCode;
+  const result = roomManager.transferBroadcaster(ws);
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  const room = result.room;
+  const listenersList = getListenersList(room.listeners);
+
+  // The new broadcaster gets everything room-reclaimed carries, and offers audio to every listener
+  ws.send(
+    JSON.stringify({
+      type: "broadcaster-transferred",
+      roomCode: roomCode,
+      reclaimToken: room.reclaimToken,
+      listeners: listenersList,
+      ...getAccessInfo(roomCode, room),
+      chatPolicy: room.chatPolicy,
+      reactionTally: room.reactionTally,
+      ...getTrackInfo(room),
+    })
+  );
+
+  // Everyone else - the old broadcaster included - waits for a fresh offer
+  for (const [listenerWs, listenerData] of room.listeners) {
+    if (listenerWs.readyState !== WebSocket.OPEN) continue;
+
+    const message = {
+      type: "broadcaster-changed",
+      broadcasterName: room.broadcasterName,
+      listeners: listenersList,
+    };
+    if (listenerWs === result.previousBroadcaster) {
+      // The old broadcaster needs a listener session of its own to resume after a reconnect
+      message.roomCode = roomCode;
+      message.listenerId = result.previousListener.id;
+      message.sessionId = result.previousListener.sessionId;
+    }
+    listenerWs.send(JSON.stringify(message));
+  }
+
+  // DJs from the queue keep the decks for the slot they signed up for
+  const slotMinutes = result.djEntry && result.djEntry.slotMinutes;
+  if (slotMinutes) {
+    roomManager.startDjSlot(roomCode, slotMinutes, () => handleDjSlotEnded(roomCode));
+  }
+  if (result.djEntry) {
+    sendSystemMessage(roomCode, `🎙️ ${room.broadcasterName} is now DJing${slotMinutes ? ` for ${slotMinutes} min` : ""}`);
+  }
+  broadcastDjQueue(room);
+
+  metrics.broadcasterTransfers.inc();
+  log.info("Broadcaster role transferred", {
+    ws,
+    previousBroadcasterId: result.previousListener ? result.previousListener.id : null,
+    fromDjQueue: !!result.djEntry,
+  });
+}
+
+/**
+ * Handle a listener signing up to DJ
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleDjQueueJoin(ws, data) {
+  const result = roomManager.joinDjQueue(ws, data.slotMinutes);
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  const member = getMember(ws);
+  if (!result.alreadyQueued) {
+    log.info("Joined DJ queue", { ws, position: result.position });
+    sendSystemMessage(ws.roomCode, `🎧 ${member.name} joined the DJ queue (#${result.position})`);
+  }
+  broadcastDjQueue(result.room);
+}
+
+/**
+ * Handle a listener leaving the DJ queue
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleDjQueueLeave(ws, data) {
+  const member = getMember(ws);
+
+  if (!member) {
+    sendError(ws, "not_in_room", data);
+    return;
+  }
+
+  if (roomManager.leaveDjQueue(ws.roomCode, member.id)) {
+    broadcastDjQueue(member.room);
+  }
+}
+
+/**
+ * Handle the current DJ or the room owner skipping to the next DJ
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleDjSkip(ws, data) {
+  const member = getMember(ws);
+
+  if (!member || (!member.isBroadcaster && member.id !== member.room.ownerId)) {
+    log.warn("DJ skip from someone who can't skip", { ws });
+    sendError(ws, "not_authorized", data, { message: "Only the current DJ or the room owner can skip" });
+    return;
+  }
+
+  if (member.room.djQueue.length === 0) {
+    sendError(ws, "dj_queue_empty", data);
+    return;
+  }
+
+  log.info("Skipping to the next DJ", { ws });
+  if (!advanceDjQueue(ws.roomCode)) {
+    sendError(ws, "dj_queue_empty", data);
+  }
+}
+
+/**
+ * Describe a room's open song requests, accepted ones first, then by votes and age
+ * @param {Object} room - Room object
+ * @returns {Object} song-requests-updated message
+ */
+function getSongRequestsMessage(room) {
+  const requests = [...room.songRequests].sort((a, b) => (
+    (b.status === "accepted") - (a.status === "accepted") ||
+    b.voterIds.length - a.voterIds.length ||
+    a.id - b.id
+  ));
+
+  return { type: "song-requests-updated", requests: requests };
+}
+
+/**
+ * Send the song request queue to one member of a room
+ * @param {WebSocket} ws - Member's WebSocket connection
+ * @param {Object} room - Room object
+ */
+function sendSongRequests(ws, room) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  ws.send(JSON.stringify(getSongRequestsMessage(room)));
+}
+
+/**
+ * Handle a listener requesting a song
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleSongRequest(ws, data) {
+  const member = getMember(ws);
+
+  if (member && member.listenerData && member.listenerData.chatMuted) {
+    sendError(ws, "chat_muted", data);
+    return;
+  }
+
+  const result = roomManager.addSongRequest(ws, {
+    title: data.title.trim(),
+    artist: data.artist && data.artist.trim(),
+    note: data.note && data.note.trim(),
+  });
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  log.info("Song requested", { ws, songRequestId: result.songRequest.id });
+  broadcastToRoom(result.room, getSongRequestsMessage(result.room));
+}
+
+/**
+ * Handle a listener upvoting a song request (or taking their vote back)
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleSongRequestVote(ws, data) {
+  const result = roomManager.voteSongRequest(ws, data.songRequestId, data.upvote);
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  if (result.changed) {
+    broadcastToRoom(result.room, getSongRequestsMessage(result.room));
+  }
+}
+
+/**
+ * Handle a listener withdrawing their own song request
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleSongRequestCancel(ws, data) {
+  const result = roomManager.cancelSongRequest(ws, data.songRequestId);
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  broadcastToRoom(result.room, getSongRequestsMessage(result.room));
+}
+
+/**
+ * Handle the broadcaster accepting, rejecting or playing a song request
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleSongRequestUpdate(ws, data) {
+  if (!requireBroadcaster(ws, data)) return;
+
+  const result = roomManager.updateSongRequest(ws.roomCode, data.songRequestId, data.status);
+
+  if (!result.success) {
+    sendError(ws, result.code, data, { message: result.error });
+    return;
+  }
+
+  const { songRequest } = result;
+  log.info("Song request updated", { ws, songRequestId: songRequest.id, status: data.status });
+  if (data.status === "played") {
+    sendSystemMessage(ws.roomCode, `🎶 Playing ${songRequest.requesterName}'s request: ${songRequest.title}`);
+  }
+  broadcastToRoom(result.room, getSongRequestsMessage(result.room));
+}
+
+/**
+ * Handle leave room request
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Message data
+ */
+function handleLeaveRoom(ws, data) {
+  log.info("Left room", { ws });
+  const result = roomManager.leaveRoom(ws);
+
+  // Notify all listeners if broadcaster left
+  if (ws.role === "broadcaster") {
+    result.notifiedListeners.forEach((listener) => {
+      if (listener.readyState === WebSocket.OPEN) {
+        listener.send(
+          JSON.stringify({
+            type: "broadcaster-left",
+          })
+        );
+      }
+    });
+  } else if (ws.role === "listener" && result.removedListener && result.room) {
+    notifyListenerLeft(result.room, result.removedListener, "left");
+    handleListenerDeparture(result.roomCode, result);
+  }
+}
+
+/**
+ * Post a system announcement into a room's chat
+ * @param {string} roomCode - Room code
+ * @param {string} message - Announcement text
+ * @returns {Object|null} The chat message sent, or null if the room doesn't exist
+ */
+function sendSystemMessage(roomCode, message) {
+  const room = roomManager.getRoom(roomCode);
+  if (!room) return null;
+
+  const chatMessage = {
+    type: "chat-message",
+    senderId: "system",
+    senderName: "System",
+    message: message,
+    timestamp: Date.now(),
+    system: true,
+  };
+
+  roomManager.addChatMessage(roomCode, chatMessage);
+  metrics.chatMessages.inc();
+  broadcastToRoom(room, chatMessage);
+
+  return chatMessage;
+}
+
+/**
+ * Close a room for everyone in it, telling them why
+ * @param {string} roomCode - Room code
+ * @param {string} [reason] - Reason shown to the room's users
+ * @returns {Object} roomManager.closeRoom result
+ */
+function closeRoom(roomCode, reason) {
+  const result = roomManager.closeRoom(roomCode);
+  if (!result.success) return result;
+
+  const { room } = result;
+  log.info("Room closed", { roomCode, reason });
+  broadcastToRoom(room, { type: "room-closed", reason: reason });
+
+  // Drop everyone's socket - their clients go back home instead of resuming
+  const sockets = [room.broadcaster, ...room.listeners.keys()];
+  sockets.forEach((socket) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.close(4002, "Room closed");
+    }
+  });
+
+  router.publishRooms();
+
+  return result;
+}
+
+/**
+ * Warn everyone in a room that it is about to be closed
+ * @param {string} roomCode - Room code
+ * @param {Object} deadline - { reason, expiresAt } from the lifecycle engine
+ */
+function handleRoomExpiring(roomCode, deadline) {
+  const room = roomManager.getRoom(roomCode);
+  if (!room) return;
+
+  log.info("Room expiring", { roomCode, reason: deadline.reason, expiresAt: deadline.expiresAt });
+  broadcastToRoom(room, { type: "room-expiring", ...deadline });
+}
+
+/**
+ * Tell everyone in a room that it is no longer about to be closed
+ * @param {string} roomCode - Room code
+ */
+function handleRoomExpiryCancelled(roomCode) {
+  const room = roomManager.getRoom(roomCode);
+  if (!room) return;
+
+  log.info("Room expiry cancelled", { roomCode });
+  broadcastToRoom(room, { type: "room-expiry-cancelled" });
+}
+
+/**
+ * Close a room that has reached its lifecycle deadline
+ * @param {string} roomCode - Room code
+ * @param {Object} deadline - { reason, expiresAt } from the lifecycle engine
+ */
+function expireRoom(roomCode, deadline) {
+  metrics.roomsExpired.inc({ reason: deadline.reason });
+  closeRoom(roomCode, EXPIRY_REASONS[deadline.reason]);
+}
+
+/**
+ * Close every room already past its deadline (a backstop for the per-room timers)
+ * @returns {number} Number of rooms closed
+ */
+function expireDueRooms() {
+  const now = Date.now();
+  let expiredCount = 0;
+
+  roomManager.getRoomCodes().forEach((roomCode) => {
+    const deadline = lifecycle.getDeadline(roomManager.getRoom(roomCode));
+    if (deadline && now >= deadline.expiresAt) {
+      expireRoom(roomCode, deadline);
+      expiredCount++;
+    }
+  });
+
+  return expiredCount;
+}
+
+/**
+ * Notify the room once a held listener slot expires without the listener resuming
+ * @param {Object} result - leaveRoom result for the expired listener
+ */
+function handleListenerExpired(result) {
+  if (result.removedListener && result.room) {
+    log.info("Held listener slot expired", { roomCode: result.roomCode, listenerId: result.removedListener.id });
+    notifyListenerLeft(result.room, result.removedListener, "disconnected");
+    handleListenerDeparture(result.roomCode, result);
+  }
+}
+
+/**
+ * Rebuild rooms saved by a previous server process
+ * @returns {number} Number of rooms restored
+ */
+function restoreRooms() {
+  return roomManager.restoreRooms(config.SESSION_GRACE_PERIOD, handleListenerExpired);
+}
+
+/**
+ * Handle WebSocket disconnection
+ * @param {WebSocket} ws - WebSocket connection
+ */
+function handleDisconnect(ws) {
+  const { role } = ws;
+
+  // Hold the listener's slot so a quick reconnect can resume the session
+  if (role === "listener") {
+    if (roomManager.suspendListener(ws, config.SESSION_GRACE_PERIOD, handleListenerExpired)) {
+      log.info("Listener disconnected, holding slot", { ws, gracePeriodMs: config.SESSION_GRACE_PERIOD });
+
+      const room = roomManager.getRoom(ws.roomCode);
+      const listenerData = room.listeners.get(ws);
+      broadcastToRoom(room, {
+        type: "presence",
+        id: listenerData.id,
+        name: listenerData.name,
+        state: roomManager.getPresence(listenerData),
+        typing: false,
+      }, ws);
+    }
+    return;
+  }
+
+  if (role === "broadcaster") {
+    log.info("Broadcaster disconnected, room persists", { ws });
+  }
+
+  const result = roomManager.leaveRoom(ws);
+
+  // Notify all listeners if broadcaster disconnected
+  if (role === "broadcaster") {
+    result.notifiedListeners.forEach((listener) => {
+      if (listener.readyState === WebSocket.OPEN) {
+        listener.send(
+          JSON.stringify({
+            type: "broadcaster-disconnected",
+          })
+        );
+      }
+    });
+  }
+}
+
+/**
+ * Dispatch a validated message to its handler
+ * @param {WebSocket|Object} ws - WebSocket connection, or a remote socket for a client on another node
+ * @param {Object} data - Validated message
+ */
+function handleMessage(ws, data) {
+  try {
+    switch (data.type) {
+      case "create-room":
+        handleCreateRoom(ws, data);
+        break;
+      case "join-room":
+        handleJoinRoom(ws, data);
+        break;
+      case "resume-session":
+        handleResumeSession(ws, data);
+        break;
+      case "reclaim-room":
+        handleReclaimRoom(ws, data);
+        break;
+      case "offer":
+      case "answer":
+      case "ice-candidate":
+        handleSignaling(ws, data);
+        break;
+      case "chat-message":
+        handleChatMessage(ws, data);
+        break;
+      case "chat-history":
+        handleChatHistory(ws, data);
+        break;
+      case "direct-message":
+        handleDirectMessage(ws, data);
+        break;
+      case "leave-room":
+        handleLeaveRoom(ws, data);
+        break;
+      case "kick-listener":
+      case "ban-listener":
+        handleRemoveListener(ws, data);
+        break;
+      case "chat-mute":
+        handleChatMute(ws, data);
+        break;
+      case "set-chat-policy":
+        handleSetChatPolicy(ws, data);
+        break;
+      case "set-room-listing":
+        handleSetRoomListing(ws, data);
+        break;
+      case "presence":
+        handlePresence(ws, data);
+        break;
+      case "reaction":
+        handleReaction(ws, data);
+        break;
+      case "new-reaction-track":
+        handleNewReactionTrack(ws, data);
+        break;
+      case "now-playing":
+        handleNowPlaying(ws, data);
+        break;
+      case "transfer-broadcaster":
+        handleTransferBroadcaster(ws, data);
+        break;
+      case "cancel-broadcaster-transfer":
+        handleCancelBroadcasterTransfer(ws, data);
+        break;
+      case "accept-broadcaster-transfer":
+        handleAcceptBroadcasterTransfer(ws, data);
+        break;
+      case "decline-broadcaster-transfer":
+        handleDeclineBroadcasterTransfer(ws, data);
+        break;
+      case "dj-queue-join":
+        handleDjQueueJoin(ws, data);
+        break;
+      case "dj-queue-leave":
+        handleDjQueueLeave(ws, data);
+        break;
+      case "dj-skip":
+        handleDjSkip(ws, data);
+        break;
+      case "song-request":
+        handleSongRequest(ws, data);
+        break;
+      case "song-request-vote":
+        handleSongRequestVote(ws, data);
+        break;
+      case "song-request-cancel":
+        handleSongRequestCancel(ws, data);
+        break;
+      case "song-request-update":
+        handleSongRequestUpdate(ws, data);
+        break;
+    }
+  } catch (error) {
+    log.error("Error handling message", { ws, type: data.type, error });
+    sendError(ws, "internal_error", data);
+  }
+}
+
+/**
+ * Setup WebSocket message handlers
+ * @param {WebSocket} ws - WebSocket connection
+ */
+function setupMessageHandlers(ws) {
+  ws.on("message", (message) => {
+    const sizeCheck = rateLimiter.checkMessageSize(message.length);
+    if (!sizeCheck.allowed) {
+      log.warn("Rejected oversized message", { ws, size: message.length });
+      rejectMessage(ws, sizeCheck.code, null, { message: sizeCheck.message });
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      log.warn("Rejected invalid JSON", { ws, error });
+      rejectMessage(ws, "invalid_json");
+      return;
+    }
+
+    const validation = validateClientMessage(data);
+    if (!validation.valid) {
+      log.warn("Rejected invalid message", { ws, type: data?.type, code: validation.code, field: validation.field });
+      countJoinRejection(data, validation.code);
+      rejectMessage(ws, validation.code, data, {
+        message: validation.message,
+        field: validation.field,
+      });
+      return;
+    }
+
+    const rateCheck = rateLimiter.checkMessageRate(ws, data.type);
+    if (!rateCheck.allowed) {
+      log.warn("Rate limited", { ws, type: data.type, retryAfterMs: rateCheck.retryAfterMs });
+      countJoinRejection(data, rateCheck.code);
+      rejectMessage(ws, rateCheck.code, data, {
+        message: rateCheck.message,
+        retryAfter: Math.ceil(rateCheck.retryAfterMs / 1000),
+      });
+      return;
+    }
+
+    metrics.messagesReceived.inc({ type: data.type });
+    log.debug("Message received", { ws, type: data.type });
+
+    // Client keepalives are answered by the node holding the socket
+    if (data.type === "ping") {
+      ws.send(JSON.stringify({ type: "pong" }));
+      return;
+    }
+
+    // Rooms owned by another server node are handled there
+    if (router.routeMessage(ws, data)) return;
+
+    handleMessage(ws, data);
   });
 
   ws.on("close", () => {
+    router.handleClose(ws);
     handleDisconnect(ws);
   });
 
   ws.on("error", (error) => {
-    // WebSocket error
+    log.error("WebSocket error", { ws, error });
   });
 }
 
 module.exports = {
   setupMessageHandlers,
+  handleMessage,
+  handleDisconnect,
+  restoreRooms,
+  sendSystemMessage,
+  closeRoom,
+  handleRoomExpiring,
+  handleRoomExpiryCancelled,
+  expireRoom,
+  expireDueRooms,
+  handleReactionBurst,
 };
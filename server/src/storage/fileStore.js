@@ -0,0 +1,101 @@
+/**
+ * File Store - Keeps room records in a JSON file so they survive restarts
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../logger");
+
+const log = createLogger("store");
+
+/**
+ * Create a room store backed by a JSON file
+ * @param {string} filePath - Path of the JSON file
+ * @param {number} flushDelay - How long to batch changes before writing (ms)
+ * @returns {Object} Room store ({ load, save, remove, flush })
+ */
+function createFileStore(filePath, flushDelay) {
+  const records = new Map();
+  let flushTimer = null;
+
+  /**
+   * Write all records to disk, replacing the file atomically
+   */
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    const payload = JSON.stringify({
+      savedAt: Date.now(),
+      rooms: Array.from(records.values()),
+    });
+
+    // Write to a temp file first so a crash mid-write never leaves a truncated store
+    const tempPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, payload);
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      log.error("Failed to write room store", { filePath, error });
+    }
+  }
+
+  /**
+   * Write changes after flushDelay, batching bursts of updates into one write
+   */
+  function scheduleFlush() {
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushDelay);
+    }
+  }
+
+  return {
+    /**
+     * Load all stored room records from disk
+     * @returns {Array<Object>} Room records
+     */
+    load() {
+      if (!fs.existsSync(filePath)) {
+        return [];
+      }
+
+      try {
+        const { rooms } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        records.clear();
+        rooms.forEach((record) => records.set(record.roomCode, record));
+      } catch (error) {
+        log.error("Ignoring unreadable room store", { filePath, error });
+        return [];
+      }
+
+      return Array.from(records.values());
+    },
+
+    /**
+     * Store (or replace) a room record
+     * @param {string} roomCode - Room code
+     * @param {Object} record - Serializable room record
+     */
+    save(roomCode, record) {
+      records.set(roomCode, record);
+      scheduleFlush();
+    },
+
+    /**
+     * Delete a room record
+     * @param {string} roomCode - Room code
+     */
+    remove(roomCode) {
+      if (records.delete(roomCode)) {
+        scheduleFlush();
+      }
+    },
+
+    flush,
+  };
+}
+
+module.exports = {
+  createFileStore,
+};
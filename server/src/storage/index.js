@@ -0,0 +1,33 @@
+/**
+ * Storage - Picks the room store implementation from config
+ *
+ * A room store persists serializable room records (never sockets) and
+ * implements: load() -> records[], save(roomCode, record), remove(roomCode), flush().
+ */
+
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+const { createLogger } = require("../logger");
+
+const log = createLogger("store");
+
+/**
+ * Create the room store selected by config.ROOM_STORE
+ * @param {Object} config - Server configuration
+ * @returns {Object} Room store
+ */
+function createRoomStore(config) {
+  switch (config.ROOM_STORE) {
+    case "file":
+      log.info("Persisting rooms to file", { filePath: config.ROOM_STORE_PATH });
+      return createFileStore(config.ROOM_STORE_PATH, config.ROOM_STORE_FLUSH_DELAY);
+    case "memory":
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown ROOM_STORE "${config.ROOM_STORE}" (expected "memory" or "file")`);
+  }
+}
+
+module.exports = {
+  createRoomStore,
+};
@@ -0,0 +1,47 @@
+/**
+ * Memory Store - Keeps room records in process memory (lost on restart)
+ */
+
+/**
+ * Create an in-memory room store
+ * @returns {Object} Room store ({ load, save, remove, flush })
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    /**
+     * Load all stored room records
+     * @returns {Array<Object>} Room records
+     */
+    load() {
+      return Array.from(records.values());
+    },
+
+    /**
+     * Store (or replace) a room record
+     * @param {string} roomCode - Room code
+     * @param {Object} record - Serializable room record
+     */
+    save(roomCode, record) {
+      records.set(roomCode, record);
+    },
+
+    /**
+     * Delete a room record
+     * @param {string} roomCode - Room code
+     */
+    remove(roomCode) {
+      records.delete(roomCode);
+    },
+
+    /**
+     * Write pending changes (nothing to do in memory)
+     */
+    flush() {},
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
@@ -2,6 +2,8 @@
  * Utility functions for the VibeP2P server
  */
 
+const crypto = require("crypto");
+
 /**
  * Generate a random 6-character room code
  * @returns {string} Room code in uppercase
@@ -22,7 +24,128 @@ function getClientId(ws) {
   return ws._clientId;
 }
 
+/**
+ * Get the client's IP address from the upgrade request
+ * @param {http.IncomingMessage} req - HTTP upgrade request
+ * @param {boolean} trustProxy - Whether to honour X-Forwarded-For (only behind a trusted proxy)
+ * @returns {string} Client IP address
+ */
+function getClientIp(req, trustProxy) {
+  const forwardedFor = req.headers["x-forwarded-for"];
+  if (trustProxy && forwardedFor) {
+    return forwardedFor.split(",")[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+/**
+ * Generate a short ID for a WebSocket connection (used in logs and node-to-node routing)
+ * @returns {string} Random hex ID
+ */
+function generateConnectionId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+/**
+ * Generate an unguessable secret token (e.g. for reclaiming a room)
+ * @returns {string} Random hex token
+ */
+function generateToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+/**
+ * Compare two secret tokens in constant time
+ * @param {string} expected - Token we issued
+ * @param {string} provided - Token supplied by the client
+ * @returns {boolean} True if the tokens match
+ */
+function tokensMatch(expected, provided) {
+  if (typeof expected !== "string" || typeof provided !== "string") {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+
+  if (expectedBuffer.length !== providedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+/**
+ * Hash a room password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {string} Salt and hash as "salt:hash" (hex)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 32).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a hash created by hashPassword
+ * @param {string} password - Plain-text password supplied by the client
+ * @param {string} storedHash - "salt:hash" string
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, storedHash) {
+  if (typeof password !== "string" || typeof storedHash !== "string") {
+    return false;
+  }
+
+  const [salt, hash] = storedHash.split(":");
+  const candidate = crypto.scryptSync(password, salt, 32).toString("hex");
+  return tokensMatch(hash, candidate);
+}
+
+/**
+ * Sign an expiring invite token for a room
+ * @param {string} roomCode - Room the invite is valid for
+ * @param {number} expiresAt - Expiry timestamp in milliseconds
+ * @param {string} secret - Server signing secret
+ * @returns {string} Token as "expiresAt.signature"
+ */
+function createInviteToken(roomCode, expiresAt, secret) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${roomCode}:${expiresAt}`)
+    .digest("base64url");
+  return `${expiresAt}.${signature}`;
+}
+
+/**
+ * Verify an invite token's signature and expiry
+ * @param {string} token - Token created by createInviteToken
+ * @param {string} roomCode - Room the client is trying to join
+ * @param {string} secret - Server signing secret
+ * @returns {boolean} True if the token is valid for this room and not expired
+ */
+function verifyInviteToken(token, roomCode, secret) {
+  if (typeof token !== "string") {
+    return false;
+  }
+
+  const expiresAt = Number(token.split(".")[0]);
+  if (!Number.isFinite(expiresAt) || expiresAt < Date.now()) {
+    return false;
+  }
+
+  return tokensMatch(createInviteToken(roomCode, expiresAt, secret), token);
+}
+
 module.exports = {
   generateRoomCode,
   getClientId,
+  getClientIp,
+  generateConnectionId,
+  generateToken,
+  tokensMatch,
+  hashPassword,
+  verifyPassword,
+  createInviteToken,
+  verifyInviteToken,
 };